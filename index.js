@@ -2,15 +2,48 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const WhatsAppService = require('./src/infrastructure/whatsapp/whatsappService');
+const WhatsAppSessionManager = require('./src/infrastructure/whatsapp/sessionManager');
+const CloudApiTransport = require('./src/infrastructure/whatsapp/transports/cloudApiTransport');
+const WoztellTransport = require('./src/infrastructure/whatsapp/transports/woztellTransport');
+const WhatsAppBusinessRepository = require('./src/infrastructure/repositories/WhatsAppBusinessRepository');
+const WhatsappRepository = require('./src/infrastructure/repositories/WhatsappRepository');
+const config = require('./src/infrastructure/config/config');
 const { logger } = require('./src/utils/logger');
-const { Client, LocalAuth } = require('whatsapp-web.js');
-const qrcode = require('qrcode-terminal');
-const MessageHandler = require('./src/application/messageHandler');
+const { getDateString } = require('./src/utils/dateUtils');
 const http = require('http');
 const socketIo = require('socket.io');
 const { testConnection } = require('./src/infrastructure/database/connection');
 const { syncModels } = require('./src/infrastructure/database/models');
 const LeadTrackingService = require('./src/application/services/LeadTrackingService');
+const AppointmentService = require('./src/application/services/AppointmentService');
+const DocumentService = require('./src/application/services/DocumentService');
+const HandoffService = require('./src/application/services/HandoffService');
+const MessageHistoryService = require('./src/application/services/MessageHistoryService');
+const AuthService = require('./src/application/services/AuthService');
+const LeadPipelineService = require('./src/application/services/LeadPipelineService');
+const AppointmentReminderService = require('./src/application/services/AppointmentReminderService');
+const FollowUpService = require('./src/application/services/FollowUpService');
+const ConsentService = require('./src/application/services/ConsentService');
+const BroadcastService = require('./src/application/services/BroadcastService');
+const ClinicConfigService = require('./src/application/services/ClinicConfigService');
+const BusinessHoursService = require('./src/application/services/BusinessHoursService');
+const PromptService = require('./src/application/services/PromptService');
+const TenantService = require('./src/application/services/TenantService');
+const WhatsAppSessionService = require('./src/application/services/WhatsAppSessionService');
+const { ConversationStateService } = require('./src/application/services/ConversationStateService');
+const OpenAIService = require('./src/infrastructure/openai/openaiService');
+const { DEFAULT_TENANT_ID, getTenantContext, findTenantContext } = require('./src/infrastructure/config/tenantContext');
+const socketNotifier = require('./src/infrastructure/realtime/socketNotifier');
+const { registerAgentInboxHandlers } = require('./src/infrastructure/realtime/agentInbox');
+const { captureRawBody, verifyMetaSignature, verifyWebhookSecret } = require('./src/infrastructure/http/webhookAuth');
+const {
+    authenticate,
+    requirePermission,
+    selectTenantServices,
+    resolveTenant,
+    requireGlobalAdmin,
+    authenticateSocket
+} = require('./src/infrastructure/http/authMiddleware');
 
 // Suprimir warning de punycode
 process.removeAllListeners('warning');
@@ -24,35 +57,209 @@ process.on('warning', (warning) => {
 // Configuración de Express (mantener para health checks y posibles webhooks futuros)
 const app = express();
 const server = http.createServer(app);
+
+// Orígenes permitidos para el dashboard, separados por coma (por defecto cualquiera)
+const corsOrigin = process.env.CORS_ORIGIN
+    ? process.env.CORS_ORIGIN.split(',').map(origin => origin.trim())
+    : '*';
+
 const io = socketIo(server, {
     cors: {
-        origin: "*",
+        origin: corsOrigin,
         methods: ["GET", "POST"]
     }
 });
 
-app.use(cors());
-app.use(express.json());
+app.use(cors({ origin: corsOrigin }));
+app.use(express.json({ verify: captureRawBody }));
+
+// Permitir que los servicios emitan eventos a los dashboards
+socketNotifier.setServer(io);
+
+const authService = new AuthService();
+const tenantService = new TenantService();
+
+// Servicios de cada clínica activa (tenant.id -> servicios)
+const tenantServices = new Map();
+
+// Clientes de WhatsApp de todas las clínicas, uno por sesión
+const sessionManager = new WhatsAppSessionManager({
+    // Actualizar datos después de cada mensaje
+    onMessage: async (tenant) => {
+        const services = tenantServices.get(tenant.id);
+        if (services) {
+            const stats = await services.leadTrackingService.getStats();
+            socketNotifier.emitToTenant(tenant.id, 'stats-data', stats);
+        }
+    }
+});
+
+// whatsappService es el del número principal de la clínica; cada sesión adicional tiene el suyo
+function createTenantServices(tenant) {
+    const whatsappService = new WhatsAppService(tenant, tenant.whatsappSession);
+    const getSessionService = nombre => sessionManager.getService(nombre, tenant.id);
+    const getReplyService = nombre => getChannelService(services, nombre);
+    const services = {
+        tenant,
+        whatsappService,
+        leadTrackingService: new LeadTrackingService(null, null, tenant),
+        appointmentService: new AppointmentService(tenant),
+        documentService: new DocumentService(tenant),
+        handoffService: new HandoffService(tenant),
+        messageHistoryService: new MessageHistoryService(tenant),
+        leadPipelineService: new LeadPipelineService(tenant),
+        appointmentReminderService: new AppointmentReminderService(whatsappService, tenant, getReplyService),
+        followUpService: new FollowUpService(whatsappService, new OpenAIService(tenant), tenant, getReplyService),
+        consentService: new ConsentService(tenant),
+        broadcastService: new BroadcastService(whatsappService, tenant, getSessionService),
+        clinicConfigService: new ClinicConfigService(tenant),
+        businessHoursService: new BusinessHoursService(tenant),
+        promptService: new PromptService(tenant),
+        whatsappSessionService: new WhatsAppSessionService(tenant),
+        // Números atendidos por webhook (cloud, woztell)
+        webhookServices: {},
+        getReplyService
+    };
+    return services;
+}
+
+// Número de la clínica (sesión o webhook) por el que se responde a un paciente; si no se
+// conoce o ya no está conectado, el principal
+function getChannelService(services, nombre) {
+    const service = nombre &&
+        (sessionManager.getService(nombre, services.tenant.id) || services.webhookServices[nombre]);
+    return service && service.isClientReady() ? service : services.whatsappService;
+}
+
+// Servicios por id o slug de la clínica; null devuelve los de la principal
+function getTenantServices(value) {
+    const tenant = value === null ? getTenantContext(DEFAULT_TENANT_ID) : findTenantContext(value);
+    return tenant ? tenantServices.get(tenant.id) || null : null;
+}
+
+// Estado del número principal de la clínica
+function getWhatsAppStatus(services) {
+    const { isReady, qrCodeUrl } = sessionManager.getStatus(services.tenant.whatsappSession);
+    return { isReady, qrCodeUrl };
+}
+
+// Carga los datos de la clínica, sus prompts y sus sesiones de WhatsApp
+async function startTenant(tenant) {
+    const services = createTenantServices(tenant);
+    tenantServices.set(tenant.id, services);
 
-const whatsappService = new WhatsAppService();
-// Crear instancia de LeadTrackingService sin parámetros por ahora
-const leadTrackingService = new LeadTrackingService(null, null);
-let messageHandler = null;
-let qrCodeUrl = null;
-let isWhatsAppReady = false;
+    // Aplicar los datos de la clínica editados desde la API
+    await services.clinicConfigService.load();
+
+    // Importar prompt.txt la primera vez y cargar los prompts publicados
+    await services.promptService.ensureDefaultPrompt();
+
+    await startWhatsAppSessions(services);
+    if (tenant.id === DEFAULT_TENANT_ID) {
+        services.webhookServices = await createWebhookServices(tenant);
+    }
+    return services;
+}
+
+// Números atendidos por webhook en lugar de whatsapp-web.js: la API oficial (WhatsApp Cloud)
+// y Woztell, si tienen credenciales. Van a la clínica principal con el mismo MessageHandler
+async function createWebhookServices(tenant) {
+    const transports = {};
+    if (config.whatsappBusiness.accessToken && config.whatsappBusiness.phoneNumberId) {
+        transports.cloud = new CloudApiTransport(new WhatsAppBusinessRepository(config.whatsappBusiness));
+    }
+    if (config.whatsapp.apiToken) {
+        transports.woztell = new WoztellTransport(new WhatsappRepository(config.whatsapp));
+    }
+
+    const webhookServices = {};
+    for (const [name, transport] of Object.entries(transports)) {
+        webhookServices[name] = new WhatsAppService(tenant, name);
+        await webhookServices[name].setTransport(transport);
+    }
+    return webhookServices;
+}
+
+// Entrega al bot los mensajes de una notificación; false si el transporte no está configurado
+async function handleWebhookMessages(name, body) {
+    const services = getTenantServices(null);
+    const whatsappService = services && services.webhookServices[name];
+    if (!whatsappService) {
+        logger.warn(`Webhook ${name} received but it is not configured`);
+        return false;
+    }
+
+    for (const message of whatsappService.transport.parseWebhook(body)) {
+        await whatsappService.handleIncomingMessage(message);
+    }
+    return true;
+}
+
+async function stopTenant(tenantId) {
+    if (!tenantServices.has(tenantId)) {
+        return;
+    }
+
+    const services = tenantServices.get(tenantId);
+    tenantServices.delete(tenantId);
+    await sessionManager.stopTenant(tenantId);
+    Object.values(services.webhookServices).forEach(whatsappService => whatsappService.dispose());
+    await ConversationStateService.disposeTenant(tenantId);
+}
+
+// Inicia el número principal (registrándolo la primera vez) y las demás sesiones activas
+async function startWhatsAppSessions(services) {
+    const { tenant, whatsappSessionService } = services;
+    if (!tenant.whatsappSession) {
+        logger.warn(`[WhatsApp:${tenant.slug}] No WhatsApp session configured`);
+    }
+
+    await whatsappSessionService.ensureMainSession();
+    const sessions = await whatsappSessionService.listSessions({ activo: true });
+    sessions.forEach(session => startWhatsAppSession(services, session.nombre));
+}
+
+function startWhatsAppSession(services, nombre) {
+    const whatsappService = services.whatsappSessionService.isMainSession(nombre)
+        ? services.whatsappService
+        : new WhatsAppService(services.tenant, nombre);
+    return sessionManager.start(nombre, services.tenant, whatsappService);
+}
+
+// Solo usuarios autenticados pueden conectarse al dashboard
+io.use(authenticateSocket(authService));
 
 // Configuración de WebSocket
 io.on('connection', (socket) => {
-    logger.info('New client connected');
+    logger.info(`New client connected: ${socket.data.user.email}`);
+
+    // Cada dashboard trabaja con una clínica y solo recibe sus eventos
+    const { services, error } = selectTenantServices(
+        authService,
+        socket.data.user,
+        socket.handshake.auth?.tenant || socket.handshake.query?.tenant,
+        getTenantServices
+    );
+    if (!services) {
+        socket.emit('tenant-error', { error });
+        socket.disconnect(true);
+        return;
+    }
+    socket.join(socketNotifier.getTenantRoom(services.tenant.id));
 
     // Enviar estado inicial
-    socket.emit('whatsapp-status', {
-        isReady: isWhatsAppReady,
-        qrCodeUrl: qrCodeUrl
-    });
+    socket.emit('whatsapp-status', getWhatsAppStatus(services));
 
     // Enviar datos iniciales
-    sendInitialData(socket);
+    sendInitialData(socket, services);
+
+    // Inbox de gestores
+    registerAgentInboxHandlers(socket, {
+        getReplyService: services.getReplyService,
+        messageHistoryService: services.messageHistoryService,
+        handoffService: services.handoffService,
+        authService
+    });
 
     socket.on('disconnect', () => {
         logger.info('Client disconnected');
@@ -60,131 +267,83 @@ io.on('connection', (socket) => {
 });
 
 // Función para enviar datos iniciales
-async function sendInitialData(socket) {
+async function sendInitialData(socket, services) {
     try {
-        const stats = await leadTrackingService.getStats();
+        const stats = await services.leadTrackingService.getStats();
         socket.emit('stats-data', stats);
     } catch (error) {
         logger.error('Error sending initial data:', error);
     }
 }
 
-// Función para actualizar datos cada 5 minutos
-setInterval(async () => {
-    try {
-        const stats = await leadTrackingService.getStats();
-        io.emit('stats-data', stats);
-    } catch (error) {
-        logger.error('Error updating stats:', error);
-    }
-}, 5 * 60 * 1000);
-
-// Configuración del cliente WhatsApp
-const client = new Client({
-    authStrategy: new LocalAuth({
-        dataPath: './whatsapp-auth'  // Directorio específico para auth
-    }),
-    puppeteer: {
-        headless: true,
-        args: [
-            '--no-sandbox',
-            '--disable-setuid-sandbox',
-            '--disable-dev-shm-usage',
-            '--disable-accelerated-2d-canvas',
-            '--no-first-run',
-            '--no-zygote',
-            '--disable-gpu'
-        ]
-    }
-});
+// Ejecuta una tarea periódica en cada clínica; el error de una no detiene a las demás
+function forEachTenant(task, errorMessage) {
+    return async () => {
+        for (const services of tenantServices.values()) {
+            try {
+                await task(services);
+            } catch (error) {
+                logger.error(`${errorMessage} (tenant ${services.tenant.slug}):`, error);
+            }
+        }
+    };
+}
 
-// Manejo de errores global para el cliente
-client.on('error', error => {
-    logger.error('[WhatsApp] Client error:', error);
-});
+// Función para actualizar datos cada 5 minutos
+setInterval(forEachTenant(async ({ tenant, leadTrackingService }) => {
+    const stats = await leadTrackingService.getStats();
+    socketNotifier.emitToTenant(tenant.id, 'stats-data', stats);
+}, 'Error updating stats'), 5 * 60 * 1000);
 
-// Eventos del cliente WhatsApp
-client.on('qr', (qr) => {
-    qrCodeUrl = qr;
-    isWhatsAppReady = false;
-    
-    logger.info('[WhatsApp] New QR Code generated');
-    logger.info('[WhatsApp] Original QR string:', qr);
-    
-    try {
-        qrcode.generate(qrCodeUrl, { small: true });
-        logger.info('[WhatsApp] QR Code generated successfully in console');
-        
-        logger.info('[WhatsApp] Base64 QR for frontend:', qrCodeUrl);
-        
-        // Emitir QR a todos los clientes conectados
-        io.emit('whatsapp-status', {
-            isReady: false,
-            qrCodeUrl: qrCodeUrl
-        });
-        
-    } catch (error) {
-        logger.error('[WhatsApp] Error generating QR in console:', error);
+// Reactivar el bot en conversaciones cuyo gestor dejó de responder
+setInterval(forEachTenant(async ({ tenant, handoffService }) => {
+    const resumed = await handoffService.resumeExpiredHandoffs();
+    if (resumed > 0) {
+        logger.info(`Bot resumed for ${resumed} expired handoffs (tenant ${tenant.slug})`);
     }
-});
+}, 'Error resuming expired handoffs'), 5 * 60 * 1000);
 
-client.on('ready', async () => {
-    try {
-        logger.info('[WhatsApp] Client is ready!');
-        isWhatsAppReady = true;
-        qrCodeUrl = null;
-        
-        // Emitir estado a todos los clientes conectados
-        io.emit('whatsapp-status', {
-            isReady: true,
-            qrCodeUrl: null
-        });
+// Avisar a los gestores de las derivaciones fuera de horario cuando abre la clínica
+setInterval(forEachTenant(async ({ handoffService }) => {
+    await handoffService.releaseQueuedHandoffs();
+}, 'Error releasing queued handoffs'), 60 * 1000);
 
-        await whatsappService.setClient(client);
-        messageHandler = new MessageHandler(client);
-        await messageHandler.initialize();
-        
-        logger.info('WhatsApp service and message handler initialized successfully');
-    } catch (error) {
-        logger.error('Error initializing WhatsApp service:', error);
+// Enviar los recordatorios de cita cuya hora de envío ya llegó
+setInterval(forEachTenant(async ({ whatsappService, appointmentReminderService }) => {
+    if (whatsappService.isClientReady()) {
+        await appointmentReminderService.sendDueReminders();
     }
-});
+}, 'Error sending appointment reminders'), parseInt(process.env.REMINDER_CHECK_INTERVAL_MINUTES || '5', 10) * 60 * 1000);
 
-client.on('authenticated', () => {
-    logger.info('WhatsApp client authenticated successfully');
-});
+// Enviar los seguimientos pendientes (solo dentro del horario de atención)
+setInterval(forEachTenant(async ({ whatsappService, followUpService }) => {
+    if (whatsappService.isClientReady()) {
+        await followUpService.processDueFollowUps();
+    }
+}, 'Error processing follow-ups'), 5 * 60 * 1000);
 
-client.on('auth_failure', (error) => {
-    logger.error('WhatsApp authentication failed:', error);
-    isWhatsAppReady = false;
-    qrCodeUrl = null;
-    
-    // Emitir estado a todos los clientes conectados
-    io.emit('whatsapp-status', {
-        isReady: false,
-        qrCodeUrl: null
-    });
-});
+// Retomar las campañas masivas en curso tras un reinicio o una reconexión
+// (cada campaña espera a que su sesión de WhatsApp esté conectada)
+setInterval(forEachTenant(async ({ broadcastService }) => {
+    await broadcastService.resumeRunning();
+}, 'Error resuming broadcasts'), 60 * 1000);
 
-client.on('disconnected', (reason) => {
-    logger.warn('WhatsApp client disconnected:', reason);
-    isWhatsAppReady = false;
-    qrCodeUrl = null;
-    
-    // Emitir estado a todos los clientes conectados
-    io.emit('whatsapp-status', {
-        isReady: false,
-        qrCodeUrl: null
-    });
-});
+// Recargar los prompts publicados (cambios hechos directamente en la base de datos)
+setInterval(forEachTenant(async ({ promptService }) => {
+    await promptService.reload();
+}, 'Error reloading prompts'), parseInt(process.env.PROMPT_RELOAD_INTERVAL_SECONDS || '60', 10) * 1000);
 
-// Ruta de salud
+// Ruta de salud (según el WhatsApp de la clínica principal; el resto se informa aparte)
 app.get('/health', (req, res) => {
+    const defaultServices = getTenantServices(null);
+    const isWhatsAppReady = Boolean(defaultServices && defaultServices.whatsappService.isClientReady());
     const status = {
         status: 'OK',
         timestamp: new Date().toISOString(),
         whatsapp: {
-            connected: isWhatsAppReady
+            connected: isWhatsAppReady,
+            tenants: Object.fromEntries(Array.from(tenantServices.values())
+                .map(services => [services.tenant.slug, services.whatsappService.isClientReady()]))
         },
         services: {
             express: 'running',
@@ -197,6 +356,8 @@ app.get('/health', (req, res) => {
 
 // Ruta para obtener información del bot
 app.get('/info', (req, res) => {
+    const defaultServices = getTenantServices(null);
+    const isWhatsAppReady = Boolean(defaultServices && defaultServices.whatsappService.isClientReady());
     res.json({
         name: 'WhatsApp GPT Bot',
         version: '1.0.0',
@@ -213,7 +374,7 @@ app.get('/info', (req, res) => {
 });
 
 // Ruta para enviar mensajes programáticamente (opcional, para testing)
-app.post('/send-message', async (req, res) => {
+app.post('/send-message', authenticate(authService), resolveTenant(authService, getTenantServices), requirePermission(authService, 'messages:send'), async (req, res) => {
     try {
         const { to, message } = req.body;
         
@@ -223,13 +384,16 @@ app.post('/send-message', async (req, res) => {
             });
         }
 
-        if (!isWhatsAppReady) {
+        // Si el paciente ya escribió, sale por el mismo número de la clínica
+        const lastInbound = await req.services.messageHistoryService.getLastInbound(to);
+        const whatsappService = req.services.getReplyService(lastInbound ? lastInbound.whatsapp_session : null);
+        if (!whatsappService.isClientReady()) {
             return res.status(503).json({ 
                 error: 'El cliente de WhatsApp no está conectado' 
             });
         }
 
-        await whatsappService.sendMessage(to, message);
+        await whatsappService.sendMessage(to, message, { sender: 'api', agentId: String(req.user.id) });
         
         res.json({ 
             success: true, 
@@ -237,6 +401,11 @@ app.post('/send-message', async (req, res) => {
             to: to
         });
     } catch (error) {
+        if (error.code === 'OPTED_OUT') {
+            return res.status(409).json({ 
+                error: 'El destinatario pidió no recibir mensajes' 
+            });
+        }
         logger.error('Error en /send-message:', error);
         res.status(500).json({ 
             error: 'Error al enviar mensaje',
@@ -246,9 +415,9 @@ app.post('/send-message', async (req, res) => {
 });
 
 // Ruta para obtener estadísticas del bot (opcional)
-app.get('/stats', (req, res) => {
-    const client = whatsappService.getClient();
-    if (!client || !isWhatsAppReady) {
+app.get('/stats', authenticate(authService), resolveTenant(authService, getTenantServices), requirePermission(authService, 'stats:read'), (req, res) => {
+    const client = req.services.whatsappService.getClient();
+    if (!client || !req.services.whatsappService.isClientReady()) {
         return res.status(503).json({ 
             error: 'Cliente de WhatsApp no disponible' 
         });
@@ -281,19 +450,15 @@ app.get('/webhook', (req, res) => {
     }
 });
 
-// Webhook para recibir mensajes (fallback, normalmente se usa whatsapp-web.js)
-app.post('/webhook', async (req, res) => {
+// Webhook de la API oficial (WhatsApp Cloud); requiere WHATSAPP_BUSINESS_TOKEN y WHATSAPP_PHONE_NUMBER_ID,
+// y solo acepta notificaciones firmadas con WHATSAPP_APP_SECRET
+app.post('/webhook', verifyMetaSignature(config.whatsappBusiness.appSecret), async (req, res) => {
     try {
         const { body } = req;
         
         if (body.object) {
-            if (body.entry && 
-                body.entry[0].changes && 
-                body.entry[0].changes[0].value.messages && 
-                body.entry[0].changes[0].value.messages[0]
-            ) {
-                const message = body.entry[0].changes[0].value.messages[0];
-                await whatsappService.handleIncomingMessage(message);
+            if (!(await handleWebhookMessages('cloud', body))) {
+                return res.sendStatus(503);
             }
             res.status(200).send('EVENT_RECEIVED');
         } else {
@@ -305,23 +470,346 @@ app.post('/webhook', async (req, res) => {
     }
 });
 
-// WhatsApp Status Endpoint
-app.get('/api/whatsapp/status', (req, res) => {
-    logger.info('[API] WhatsApp status check requested');
+// Webhook de Woztell; requiere WHATSAPP_API_TOKEN y WOZTELL_WEBHOOK_SECRET
+app.post('/webhook/woztell', verifyWebhookSecret(config.whatsapp.webhookSecret, 'Woztell'), async (req, res) => {
+    try {
+        if (!(await handleWebhookMessages('woztell', req.body))) {
+            return res.sendStatus(503);
+        }
+        res.status(200).json({ success: true });
+    } catch (error) {
+        logger.error('Error processing Woztell webhook:', error);
+        res.sendStatus(500);
+    }
+});
+
+// Auth Endpoints
+app.post('/api/auth/login', async (req, res) => {
+    try {
+        const { email, password } = req.body;
+        const session = await authService.authenticate(email, password);
+        if (!session) {
+            return res.status(401).json({ error: 'Invalid credentials' });
+        }
+
+        logger.info(`[API] User ${session.user.email} logged in`);
+        res.json(session);
+    } catch (error) {
+        logger.error('[API Error] Failed to log in:', error);
+        res.status(500).json({ error: 'Failed to log in' });
+    }
+});
+
+// El resto de /api requiere token y trabaja con la clínica del usuario
+app.use('/api', authenticate(authService), resolveTenant(authService, getTenantServices));
+
+app.get('/api/auth/me', (req, res) => {
     res.json({
-        isReady: isWhatsAppReady,
-        qrCodeUrl: qrCodeUrl
+        ...req.user,
+        tenant: { id: req.tenant.id, slug: req.tenant.slug, nombre: req.tenant.nombre }
     });
 });
 
+// Users Endpoints (solo administradores)
+app.get('/api/users', requirePermission(authService, 'users:manage'), async (req, res) => {
+    try {
+        const users = await authService.listUsers({ tenantId: req.user.tenant_id });
+        res.json(users);
+    } catch (error) {
+        logger.error('[API Error] Failed to list users:', error);
+        res.status(500).json({ error: 'Failed to list users' });
+    }
+});
+
+app.post('/api/users', requirePermission(authService, 'users:manage'), async (req, res) => {
+    try {
+        const { email, nombre, password, role } = req.body;
+        // Un administrador de una clínica solo crea usuarios de su clínica
+        const tenantId = req.user.tenant_id || req.body.tenant_id || null;
+        if (!email || !nombre || !password) {
+            return res.status(400).json({ 
+                error: 'Los campos "email", "nombre" y "password" son requeridos' 
+            });
+        }
+        if (role && !AuthService.ROLES.includes(role)) {
+            return res.status(400).json({ error: `Invalid role: ${role}` });
+        }
+        if (password.length < 8) {
+            return res.status(400).json({ error: 'Password must be at least 8 characters' });
+        }
+
+        const user = await authService.createUser({ email, nombre, password, role, tenant_id: tenantId });
+        res.status(201).json(user);
+    } catch (error) {
+        if (error.name === 'SequelizeUniqueConstraintError') {
+            return res.status(409).json({ error: 'Email already registered' });
+        }
+        if (error.message.startsWith('Invalid tenant_id')) {
+            return res.status(400).json({ error: error.message });
+        }
+        logger.error('[API Error] Failed to create user:', error);
+        res.status(500).json({ error: 'Failed to create user' });
+    }
+});
+
+app.patch('/api/users/:id', requirePermission(authService, 'users:manage'), async (req, res) => {
+    try {
+        const { nombre, password, role, is_active } = req.body;
+        if (role !== undefined && !AuthService.ROLES.includes(role)) {
+            return res.status(400).json({ error: `Invalid role: ${role}` });
+        }
+        if (password !== undefined && password.length < 8) {
+            return res.status(400).json({ error: 'Password must be at least 8 characters' });
+        }
+
+        // Solo un administrador sin clínica fija cambia la clínica de un usuario
+        const tenantId = req.user.tenant_id ? undefined : req.body.tenant_id;
+
+        const user = await authService.updateUser(
+            req.params.id,
+            { nombre, password, role, is_active, tenant_id: tenantId },
+            { tenantId: req.user.tenant_id }
+        );
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        res.json(user);
+    } catch (error) {
+        if (error.message.startsWith('Invalid tenant_id')) {
+            return res.status(400).json({ error: error.message });
+        }
+        logger.error('[API Error] Failed to update user:', error);
+        res.status(500).json({ error: 'Failed to update user' });
+    }
+});
+
+// Tenant Endpoints (clínicas; solo administradores sin clínica fija)
+app.get('/api/tenants', requireGlobalAdmin(authService), async (req, res) => {
+    try {
+        const tenants = await tenantService.listTenants();
+        res.json(tenants.map(tenant => ({
+            ...tenant.toJSON(),
+            whatsappReady: tenantServices.has(tenant.id) && tenantServices.get(tenant.id).whatsappService.isClientReady()
+        })));
+    } catch (error) {
+        logger.error('[API Error] Failed to list tenants:', error);
+        res.status(500).json({ error: 'Failed to list tenants' });
+    }
+});
+
+app.post('/api/tenants', requireGlobalAdmin(authService), async (req, res) => {
+    try {
+        const { slug, nombre, whatsapp_session, clinic } = req.body;
+        const tenant = await tenantService.createTenant({ slug, nombre, whatsapp_session, clinic }, String(req.user.id));
+        await startTenant(getTenantContext(tenant.id));
+        res.status(201).json(tenant);
+    } catch (error) {
+        if (error.code === 'INVALID_TENANT' || error.code === 'INVALID_CLINIC_CONFIG') {
+            return res.status(400).json({ error: error.message });
+        }
+        logger.error('[API Error] Failed to create tenant:', error);
+        res.status(500).json({ error: 'Failed to create tenant' });
+    }
+});
+
+// Desactivar una clínica detiene su WhatsApp; cambiar la sesión reinicia el cliente
+app.patch('/api/tenants/:id', requireGlobalAdmin(authService), async (req, res) => {
+    try {
+        const { nombre, activo, whatsapp_session } = req.body;
+        const tenantId = parseInt(req.params.id, 10);
+        const running = tenantServices.get(tenantId);
+        const previousSession = running ? running.tenant.whatsappSession : null;
+
+        const tenant = await tenantService.updateTenant(tenantId, { nombre, activo, whatsapp_session });
+        if (!tenant) {
+            return res.status(404).json({ error: 'Tenant not found' });
+        }
+
+        const context = getTenantContext(tenant.id);
+        if (!tenant.activo || (running && previousSession !== context.whatsappSession)) {
+            await stopTenant(tenant.id);
+        }
+        if (tenant.activo && !tenantServices.has(tenant.id)) {
+            await startTenant(context);
+        }
+        res.json(tenant);
+    } catch (error) {
+        if (error.code === 'INVALID_TENANT') {
+            return res.status(400).json({ error: error.message });
+        }
+        logger.error('[API Error] Failed to update tenant:', error);
+        res.status(500).json({ error: 'Failed to update tenant' });
+    }
+});
+
+// WhatsApp Status Endpoint
+app.get('/api/whatsapp/status', requirePermission(authService, 'stats:read'), (req, res) => {
+    logger.info('[API] WhatsApp status check requested');
+    res.json(getWhatsAppStatus(req.services));
+});
+
+// WhatsApp Session Endpoints (números de la clínica; el estado cambia por socket.io en whatsapp-session-status)
+app.get('/api/whatsapp/sessions', requirePermission(authService, 'stats:read'), async (req, res) => {
+    try {
+        const sessions = await req.services.whatsappSessionService.listSessions();
+        res.json(sessions.map(session => ({
+            ...session.toJSON(),
+            ...sessionManager.getStatus(session.nombre),
+            principal: req.services.whatsappSessionService.isMainSession(session.nombre)
+        })));
+    } catch (error) {
+        logger.error('[API Error] Failed to list WhatsApp sessions:', error);
+        res.status(500).json({ error: 'Failed to list WhatsApp sessions' });
+    }
+});
+
+app.post('/api/whatsapp/sessions', requirePermission(authService, 'whatsapp:manage'), async (req, res) => {
+    try {
+        const session = await req.services.whatsappSessionService.createSession(
+            { nombre: req.body.nombre },
+            String(req.user.id)
+        );
+        res.status(201).json({
+            ...session.toJSON(),
+            ...startWhatsAppSession(req.services, session.nombre)
+        });
+    } catch (error) {
+        if (error.code === 'INVALID_WHATSAPP_SESSION') {
+            return res.status(400).json({ error: error.message });
+        }
+        logger.error('[API Error] Failed to create WhatsApp session:', error);
+        res.status(500).json({ error: 'Failed to create WhatsApp session' });
+    }
+});
+
+// Iniciar o detener una sesión; queda así también tras un reinicio del servidor
+app.post('/api/whatsapp/sessions/:nombre/:action(start|stop)', requirePermission(authService, 'whatsapp:manage'), async (req, res) => {
+    try {
+        const { nombre, action } = req.params;
+        const session = await req.services.whatsappSessionService.setActive(nombre, action === 'start');
+        if (!session) {
+            return res.status(404).json({ error: 'WhatsApp session not found' });
+        }
+
+        if (action === 'start') {
+            // Una sesión fallida o desconectada se vuelve a lanzar desde cero
+            const { estado } = sessionManager.getStatus(nombre);
+            if (['fallida', 'desconectada', 'error_auth'].includes(estado)) {
+                await sessionManager.restart(nombre);
+            } else {
+                startWhatsAppSession(req.services, nombre);
+            }
+        } else {
+            await sessionManager.stop(nombre);
+        }
+        res.json({ ...session.toJSON(), ...sessionManager.getStatus(nombre) });
+    } catch (error) {
+        logger.error(`[API Error] Failed to ${req.params.action} WhatsApp session:`, error);
+        res.status(500).json({ error: `Failed to ${req.params.action} WhatsApp session` });
+    }
+});
+
+// Sesión indicada con session (query o cuerpo); por defecto, el número principal de la clínica
+function findRequestedSession(req) {
+    const nombre = req.query.session || req.body?.session || req.services.tenant.whatsappSession;
+    return nombre ? req.services.whatsappSessionService.findSession(nombre) : null;
+}
+
+// QR para vincular el teléfono: PNG, o JSON con el data URL y su vencimiento con ?format=json
+app.get('/api/whatsapp/qr', requirePermission(authService, 'whatsapp:manage'), async (req, res) => {
+    try {
+        const session = await findRequestedSession(req);
+        if (!session) {
+            return res.status(404).json({ error: 'WhatsApp session not found' });
+        }
+
+        const status = sessionManager.getStatus(session.nombre);
+        const image = status.qrCodeUrl ? await sessionManager.getQrImage(session.nombre) : null;
+        if (!image) {
+            return res.status(404).json({ error: 'No QR code available', estado: status.estado });
+        }
+
+        res.set('Cache-Control', 'no-store');
+        if (req.query.format === 'json') {
+            return res.json({
+                nombre: session.nombre,
+                qrCodeUrl: status.qrCodeUrl,
+                qrExpiresAt: status.qrExpiresAt
+            });
+        }
+        res.type('png').send(image);
+    } catch (error) {
+        logger.error('[API Error] Failed to get WhatsApp QR:', error);
+        res.status(500).json({ error: 'Failed to get WhatsApp QR' });
+    }
+});
+
+// Desvincula el teléfono de la sesión y la relanza: el QR nuevo llega por whatsapp-qr
+app.post('/api/whatsapp/logout', requirePermission(authService, 'whatsapp:manage'), async (req, res) => {
+    try {
+        const session = await findRequestedSession(req);
+        if (!session) {
+            return res.status(404).json({ error: 'WhatsApp session not found' });
+        }
+        if (!sessionManager.isRunning(session.nombre)) {
+            return res.status(409).json({ error: 'WhatsApp session is not running' });
+        }
+
+        logger.info(`[API] WhatsApp session ${session.nombre} logged out by ${req.user.email}`);
+        res.json(await sessionManager.logout(session.nombre));
+    } catch (error) {
+        logger.error('[API Error] Failed to log out WhatsApp session:', error);
+        res.status(500).json({ error: 'Failed to log out WhatsApp session' });
+    }
+});
+
+// Cierra el navegador de la sesión y la vuelve a iniciar conservando la vinculación
+app.post('/api/whatsapp/restart', requirePermission(authService, 'whatsapp:manage'), async (req, res) => {
+    try {
+        const session = await findRequestedSession(req);
+        if (!session) {
+            return res.status(404).json({ error: 'WhatsApp session not found' });
+        }
+
+        logger.info(`[API] WhatsApp session ${session.nombre} restarted by ${req.user.email}`);
+        if (sessionManager.isRunning(session.nombre)) {
+            return res.json(await sessionManager.restart(session.nombre));
+        }
+
+        await session.update({ activo: true });
+        res.json(startWhatsAppSession(req.services, session.nombre));
+    } catch (error) {
+        logger.error('[API Error] Failed to restart WhatsApp session:', error);
+        res.status(500).json({ error: 'Failed to restart WhatsApp session' });
+    }
+});
+
+// Elimina la sesión y sus datos de autenticación (no el número principal de la clínica)
+app.delete('/api/whatsapp/sessions/:nombre', requirePermission(authService, 'whatsapp:manage'), async (req, res) => {
+    try {
+        const session = await req.services.whatsappSessionService.deleteSession(req.params.nombre);
+        if (!session) {
+            return res.status(404).json({ error: 'WhatsApp session not found' });
+        }
+        await sessionManager.remove(session.nombre);
+        res.json({ success: true });
+    } catch (error) {
+        if (error.code === 'INVALID_WHATSAPP_SESSION') {
+            return res.status(409).json({ error: error.message });
+        }
+        logger.error('[API Error] Failed to delete WhatsApp session:', error);
+        res.status(500).json({ error: 'Failed to delete WhatsApp session' });
+    }
+});
+
 // Stats Endpoint
-app.get('/api/stats', async (req, res) => {
+app.get('/api/stats', requirePermission(authService, 'stats:read'), async (req, res) => {
     try {
         logger.info('[API] Stats requested');
-        const stats = await leadTrackingService.getStats();
+        const stats = await req.services.leadTrackingService.getStats();
         res.json({
             ...stats,
-            whatsappStatus: isWhatsAppReady
+            whatsappStatus: req.services.whatsappService.isClientReady()
         });
     } catch (error) {
         logger.error('[API Error] Failed to get stats:', error);
@@ -329,23 +817,568 @@ app.get('/api/stats', async (req, res) => {
     }
 });
 
-// Modificar el evento de mensaje
-client.on('message', async (message) => {
+// Leads Endpoints
+app.get('/api/leads', requirePermission(authService, 'leads:read'), async (req, res) => {
     try {
-        logger.info('[WhatsApp] Message received');
-        await whatsappService.handleIncomingMessage(message);
-        
-        // Actualizar datos después de cada mensaje
-        const stats = await leadTrackingService.getStats();
-        io.emit('stats-data', stats);
+        logger.info('[API] Leads requested');
+        const result = await req.services.leadTrackingService.listLeads(req.query);
+        res.json(result);
     } catch (error) {
-        logger.error('Error handling message:', error);
-        try {
-            await client.sendMessage(message.from, 
-                "Lo siento, hubo un error procesando tu mensaje. Por favor, intenta nuevamente en unos momentos.");
-        } catch (sendError) {
-            logger.error('Error sending error message:', sendError);
+        if (error.message === 'Invalid cursor') {
+            return res.status(400).json({ error: 'Invalid cursor' });
         }
+        logger.error('[API Error] Failed to list leads:', error);
+        res.status(500).json({ error: 'Failed to list leads' });
+    }
+});
+
+app.get('/api/leads/:telefono', requirePermission(authService, 'leads:read'), async (req, res) => {
+    try {
+        logger.info(`[API] Lead details requested for ${req.params.telefono}`);
+        const lead = await req.services.leadTrackingService.getLeadDetails(req.params.telefono);
+        if (!lead) {
+            return res.status(404).json({ error: 'Lead not found' });
+        }
+
+        const messageLimit = Math.min(parseInt(req.query.messages, 10) || 50, 500);
+        const messages = await req.services.messageHistoryService.getRecentMessages(req.params.telefono, messageLimit);
+
+        res.json({
+            ...lead.toJSON(),
+            messages: messages.map(message => req.services.messageHistoryService.serializeMessage(message))
+        });
+    } catch (error) {
+        logger.error('[API Error] Failed to get lead details:', error);
+        res.status(500).json({ error: 'Failed to get lead details' });
+    }
+});
+
+app.get('/api/leads/:telefono/stages', requirePermission(authService, 'leads:read'), async (req, res) => {
+    try {
+        const history = await req.services.leadPipelineService.getHistory(req.params.telefono);
+        if (!history) {
+            return res.status(404).json({ error: 'Lead not found' });
+        }
+        res.json(history);
+    } catch (error) {
+        logger.error('[API Error] Failed to get stage history:', error);
+        res.status(500).json({ error: 'Failed to get stage history' });
+    }
+});
+
+app.patch('/api/leads/:telefono/stage', requirePermission(authService, 'leads:write'), async (req, res) => {
+    try {
+        const { etapa, motivo } = req.body;
+        if (!req.services.leadPipelineService.isValidStage(etapa)) {
+            return res.status(400).json({ 
+                error: `El campo "etapa" debe ser uno de: ${LeadPipelineService.STAGES.join(', ')}` 
+            });
+        }
+
+        const lead = await req.services.leadPipelineService.moveToStage(req.params.telefono, etapa, {
+            agentId: String(req.user.id),
+            reason: motivo
+        });
+        if (!lead) {
+            return res.status(404).json({ error: 'Lead not found' });
+        }
+        res.json({ success: true, telefono: lead.telefono, etapa: lead.etapa });
+    } catch (error) {
+        logger.error('[API Error] Failed to move lead stage:', error);
+        res.status(500).json({ error: 'Failed to move lead stage' });
+    }
+});
+
+// Pipeline Metrics Endpoint (conversión y abandono por etapa, tiempo hasta agendar)
+app.get('/api/pipeline/metrics', requirePermission(authService, 'stats:read'), async (req, res) => {
+    try {
+        logger.info('[API] Pipeline metrics requested');
+        const { desde, hasta } = req.query;
+        const metrics = await req.services.leadPipelineService.getMetrics({ desde, hasta });
+        res.json(metrics);
+    } catch (error) {
+        logger.error('[API Error] Failed to get pipeline metrics:', error);
+        res.status(500).json({ error: 'Failed to get pipeline metrics' });
+    }
+});
+
+// Appointments Endpoint (agenda para recepción)
+app.get('/api/appointments', requirePermission(authService, 'appointments:read'), async (req, res) => {
+    try {
+        logger.info('[API] Appointments requested');
+        const { fecha, sede, estado } = req.query;
+        const appointments = await req.services.appointmentService.getAppointments({ fecha, sede, estado });
+        res.json(appointments);
+    } catch (error) {
+        logger.error('[API Error] Failed to get appointments:', error);
+        res.status(500).json({ error: 'Failed to get appointments' });
+    }
+});
+
+// Availability Endpoint
+app.get('/api/appointments/availability', requirePermission(authService, 'appointments:read'), async (req, res) => {
+    try {
+        const { sede, fecha } = req.query;
+
+        if (!sede || !fecha) {
+            return res.status(400).json({ 
+                error: 'Los parámetros "sede" y "fecha" son requeridos' 
+            });
+        }
+
+        const availability = await req.services.appointmentService.getAvailability(sede, fecha);
+        res.json(availability);
+    } catch (error) {
+        logger.error('[API Error] Failed to get availability:', error);
+        res.status(500).json({ error: 'Failed to get availability' });
+    }
+});
+
+app.patch('/api/appointments/:id', requirePermission(authService, 'appointments:write'), async (req, res) => {
+    try {
+        const { estado } = req.body;
+        if (!AppointmentService.APPOINTMENT_STATES.includes(estado)) {
+            return res.status(400).json({ 
+                error: `El campo "estado" debe ser uno de: ${AppointmentService.APPOINTMENT_STATES.join(', ')}` 
+            });
+        }
+
+        const appointment = await req.services.appointmentService.updateStatus(req.params.id, estado);
+        if (!appointment) {
+            return res.status(404).json({ error: 'Appointment not found' });
+        }
+
+        // La asistencia cierra el embudo del lead
+        if (estado === 'asistio') {
+            await req.services.leadPipelineService.advance(appointment.telefono, 'attended', {
+                trigger: 'appointment',
+                reason: `Cita ${appointment.id}`
+            });
+        }
+
+        res.json(appointment);
+    } catch (error) {
+        logger.error('[API Error] Failed to update appointment:', error);
+        res.status(500).json({ error: 'Failed to update appointment' });
+    }
+});
+
+// Documents Endpoint (resultados y reportes enviados por pacientes)
+app.get('/api/documents', requirePermission(authService, 'documents:read'), async (req, res) => {
+    try {
+        logger.info('[API] Documents requested');
+        const { telefono, q, limit } = req.query;
+        const documents = await req.services.documentService.findDocuments({ telefono, q, limit });
+        res.json(documents);
+    } catch (error) {
+        logger.error('[API Error] Failed to get documents:', error);
+        res.status(500).json({ error: 'Failed to get documents' });
+    }
+});
+
+app.get('/api/documents/:id', requirePermission(authService, 'documents:read'), async (req, res) => {
+    try {
+        const document = await req.services.documentService.getDocument(req.params.id);
+        if (!document) {
+            return res.status(404).json({ error: 'Document not found' });
+        }
+        res.json(document);
+    } catch (error) {
+        logger.error('[API Error] Failed to get document:', error);
+        res.status(500).json({ error: 'Failed to get document' });
+    }
+});
+
+// Objection Report Endpoint (tasa de objeciones y ofertas aceptadas)
+app.get('/api/reports/objections', requirePermission(authService, 'stats:read'), async (req, res) => {
+    try {
+        logger.info('[API] Objection report requested');
+        const { desde, hasta, group_by } = req.query;
+        const report = await req.services.leadTrackingService.getObjectionReport({ desde, hasta, group_by });
+        res.json(report);
+    } catch (error) {
+        logger.error('[API Error] Failed to get objection report:', error);
+        res.status(500).json({ error: 'Failed to get objection report' });
+    }
+});
+
+// Follow-up Endpoints (secuencias de seguimiento y sus intentos)
+app.get('/api/follow-ups', requirePermission(authService, 'leads:read'), async (req, res) => {
+    try {
+        logger.info('[API] Follow-ups requested');
+        const { telefono, estado } = req.query;
+        const followUps = await req.services.followUpService.getFollowUps({ telefono, estado });
+        res.json(followUps);
+    } catch (error) {
+        logger.error('[API Error] Failed to get follow-ups:', error);
+        res.status(500).json({ error: 'Failed to get follow-ups' });
+    }
+});
+
+app.delete('/api/follow-ups/:id', requirePermission(authService, 'leads:write'), async (req, res) => {
+    try {
+        const followUp = await req.services.followUpService.stopSequence(req.params.id, `detenido_por_gestor:${req.user.id}`);
+        if (!followUp) {
+            return res.status(404).json({ error: 'Follow-up not found' });
+        }
+        res.json({ success: true, id: followUp.id, estado: followUp.estado });
+    } catch (error) {
+        logger.error('[API Error] Failed to stop follow-up:', error);
+        res.status(500).json({ error: 'Failed to stop follow-up' });
+    }
+});
+
+// Clinic Endpoints (sedes, servicios, horarios, pagos y teléfonos que usan el bot y el agendamiento)
+app.get('/api/clinic', requirePermission(authService, 'clinic:read'), (req, res) => {
+    res.json(req.services.clinicConfigService.getEditableConfig());
+});
+
+app.patch('/api/clinic', requirePermission(authService, 'clinic:write'), async (req, res) => {
+    try {
+        const clinic = await req.services.clinicConfigService.update(req.body, String(req.user.id));
+        res.json(clinic);
+    } catch (error) {
+        if (error.code === 'INVALID_CLINIC_CONFIG') {
+            return res.status(400).json({ error: error.message });
+        }
+        logger.error('[API Error] Failed to update clinic configuration:', error);
+        res.status(500).json({ error: 'Failed to update clinic configuration' });
+    }
+});
+
+// Estado actual (abierta/cerrada) y próxima apertura según horarios, feriados y excepciones
+app.get('/api/clinic/status', requirePermission(authService, 'clinic:read'), (req, res) => {
+    const status = req.services.businessHoursService.getStatus();
+    res.json({
+        ...status,
+        nextOpeningLabel: status.nextOpening ? req.services.businessHoursService.formatOpening(status.nextOpening) : null
+    });
+});
+
+app.get('/api/clinic/holidays', requirePermission(authService, 'clinic:read'), (req, res) => {
+    const year = req.query.year ? parseInt(req.query.year, 10) : parseInt(getDateString(new Date(), req.tenant.clinic.timezone).slice(0, 4), 10);
+    if (isNaN(year) || year < 2000 || year > 2100) {
+        return res.status(400).json({ error: 'year must be between 2000 and 2100' });
+    }
+    res.json({ year, holidays: req.services.businessHoursService.getHolidays(year) });
+});
+
+// Prompt Endpoints (versiones del guion del bot y variantes A/B)
+app.get('/api/prompts', requirePermission(authService, 'prompts:manage'), async (req, res) => {
+    try {
+        const versions = await req.services.promptService.listVersions({ variante: req.query.variante });
+        res.json({ published: req.services.promptService.prompts.list(), versions });
+    } catch (error) {
+        logger.error('[API Error] Failed to list prompts:', error);
+        res.status(500).json({ error: 'Failed to list prompts' });
+    }
+});
+
+app.get('/api/prompts/report', requirePermission(authService, 'stats:read'), async (req, res) => {
+    try {
+        logger.info('[API] Prompt variant report requested');
+        const { desde, hasta } = req.query;
+        const report = await req.services.promptService.getVariantReport({ desde, hasta });
+        res.json(report);
+    } catch (error) {
+        logger.error('[API Error] Failed to get prompt variant report:', error);
+        res.status(500).json({ error: 'Failed to get prompt variant report' });
+    }
+});
+
+app.get('/api/prompts/:id', requirePermission(authService, 'prompts:manage'), async (req, res) => {
+    try {
+        const version = await req.services.promptService.getVersion(req.params.id);
+        if (!version) {
+            return res.status(404).json({ error: 'Prompt version not found' });
+        }
+        res.json(version);
+    } catch (error) {
+        logger.error('[API Error] Failed to get prompt version:', error);
+        res.status(500).json({ error: 'Failed to get prompt version' });
+    }
+});
+
+app.post('/api/prompts', requirePermission(authService, 'prompts:manage'), async (req, res) => {
+    try {
+        const { variante, contenido, notas, publicar } = req.body;
+        let version = await req.services.promptService.createVersion({
+            variante,
+            contenido,
+            notas,
+            autor: String(req.user.id)
+        });
+        if (publicar) {
+            version = await req.services.promptService.publish(version.id, String(req.user.id));
+        }
+        res.status(201).json(version);
+    } catch (error) {
+        if (error.code === 'INVALID_PROMPT_VERSION') {
+            return res.status(400).json({ error: error.message });
+        }
+        logger.error('[API Error] Failed to create prompt version:', error);
+        res.status(500).json({ error: 'Failed to create prompt version' });
+    }
+});
+
+app.post('/api/prompts/:id/publish', requirePermission(authService, 'prompts:manage'), async (req, res) => {
+    try {
+        const version = await req.services.promptService.publish(req.params.id, String(req.user.id));
+        if (!version) {
+            return res.status(404).json({ error: 'Prompt version not found' });
+        }
+        res.json(version);
+    } catch (error) {
+        logger.error('[API Error] Failed to publish prompt version:', error);
+        res.status(500).json({ error: 'Failed to publish prompt version' });
+    }
+});
+
+app.post('/api/prompts/variants/:variante/rollback', requirePermission(authService, 'prompts:manage'), async (req, res) => {
+    try {
+        const version = await req.services.promptService.rollback(req.params.variante, String(req.user.id));
+        if (!version) {
+            return res.status(404).json({ error: 'Published variant not found' });
+        }
+        res.json(version);
+    } catch (error) {
+        if (error.code === 'INVALID_PROMPT_VERSION') {
+            return res.status(409).json({ error: error.message });
+        }
+        logger.error('[API Error] Failed to roll back prompt:', error);
+        res.status(500).json({ error: 'Failed to roll back prompt' });
+    }
+});
+
+app.patch('/api/prompts/variants/:variante', requirePermission(authService, 'prompts:manage'), async (req, res) => {
+    try {
+        const peso = req.body.peso;
+        if (!Number.isInteger(peso) || peso < 0 || peso > 100) {
+            return res.status(400).json({ 
+                error: 'El campo "peso" debe ser un entero entre 0 y 100' 
+            });
+        }
+
+        const version = await req.services.promptService.setWeight(req.params.variante, peso);
+        if (!version) {
+            return res.status(404).json({ error: 'Published variant not found' });
+        }
+        res.json({ published: req.services.promptService.prompts.list() });
+    } catch (error) {
+        logger.error('[API Error] Failed to update prompt weight:', error);
+        res.status(500).json({ error: 'Failed to update prompt weight' });
+    }
+});
+
+app.delete('/api/prompts/variants/:variante', requirePermission(authService, 'prompts:manage'), async (req, res) => {
+    try {
+        const version = await req.services.promptService.unpublish(req.params.variante);
+        if (!version) {
+            return res.status(404).json({ error: 'Published variant not found' });
+        }
+        res.json({ published: req.services.promptService.prompts.list() });
+    } catch (error) {
+        if (error.code === 'INVALID_PROMPT_VERSION') {
+            return res.status(409).json({ error: error.message });
+        }
+        logger.error('[API Error] Failed to unpublish prompt variant:', error);
+        res.status(500).json({ error: 'Failed to unpublish prompt variant' });
+    }
+});
+
+// Broadcast Endpoints (campañas masivas con envío espaciado)
+app.post('/api/broadcasts/preview', requirePermission(authService, 'broadcasts:write'), async (req, res) => {
+    try {
+        const preview = await req.services.broadcastService.previewSegment(req.body?.filtros || {});
+        res.json(preview);
+    } catch (error) {
+        logger.error('[API Error] Failed to preview broadcast segment:', error);
+        res.status(500).json({ error: 'Failed to preview broadcast segment' });
+    }
+});
+
+app.post('/api/broadcasts', requirePermission(authService, 'broadcasts:write'), async (req, res) => {
+    try {
+        const { nombre, plantilla, filtros, por_minuto, whatsapp_session, iniciar } = req.body;
+        if (!nombre || !plantilla) {
+            return res.status(400).json({ 
+                error: 'Los campos "nombre" y "plantilla" son requeridos' 
+            });
+        }
+
+        const porMinuto = por_minuto !== undefined ? parseInt(por_minuto, 10) : req.services.broadcastService.maxPerMinute;
+        if (!(porMinuto >= 1 && porMinuto <= req.services.broadcastService.maxPerMinute)) {
+            return res.status(400).json({ 
+                error: `El campo "por_minuto" debe estar entre 1 y ${req.services.broadcastService.maxPerMinute}` 
+            });
+        }
+
+        const broadcast = await req.services.broadcastService.createBroadcast({
+            nombre,
+            plantilla,
+            filtros: filtros || {},
+            porMinuto,
+            whatsappSession: whatsapp_session || null,
+            createdBy: String(req.user.id)
+        });
+        if (iniciar) {
+            await req.services.broadcastService.start(broadcast.id);
+        }
+
+        res.status(201).json(await req.services.broadcastService.getBroadcast(broadcast.id));
+    } catch (error) {
+        if (error.message === 'The segment has no leads') {
+            return res.status(400).json({ error: 'El segmento no tiene leads' });
+        }
+        if (error.message === 'Unknown WhatsApp session') {
+            return res.status(400).json({ error: 'La sesión de WhatsApp no existe' });
+        }
+        logger.error('[API Error] Failed to create broadcast:', error);
+        res.status(500).json({ error: 'Failed to create broadcast' });
+    }
+});
+
+app.get('/api/broadcasts', requirePermission(authService, 'broadcasts:read'), async (req, res) => {
+    try {
+        logger.info('[API] Broadcasts requested');
+        const broadcasts = await req.services.broadcastService.listBroadcasts({ estado: req.query.estado });
+        res.json(broadcasts);
+    } catch (error) {
+        logger.error('[API Error] Failed to list broadcasts:', error);
+        res.status(500).json({ error: 'Failed to list broadcasts' });
+    }
+});
+
+app.get('/api/broadcasts/:id', requirePermission(authService, 'broadcasts:read'), async (req, res) => {
+    try {
+        const broadcast = await req.services.broadcastService.getBroadcast(req.params.id);
+        if (!broadcast) {
+            return res.status(404).json({ error: 'Broadcast not found' });
+        }
+        res.json(broadcast);
+    } catch (error) {
+        logger.error('[API Error] Failed to get broadcast:', error);
+        res.status(500).json({ error: 'Failed to get broadcast' });
+    }
+});
+
+app.get('/api/broadcasts/:id/recipients', requirePermission(authService, 'broadcasts:read'), async (req, res) => {
+    try {
+        const recipients = await req.services.broadcastService.getRecipients(req.params.id, { estado: req.query.estado });
+        if (!recipients) {
+            return res.status(404).json({ error: 'Broadcast not found' });
+        }
+        res.json(recipients);
+    } catch (error) {
+        logger.error('[API Error] Failed to get broadcast recipients:', error);
+        res.status(500).json({ error: 'Failed to get broadcast recipients' });
+    }
+});
+
+// start (también reanuda una campaña pausada), pause y cancel
+app.post('/api/broadcasts/:id/:action(start|pause|cancel)', requirePermission(authService, 'broadcasts:write'), async (req, res) => {
+    try {
+        const broadcast = await req.services.broadcastService[req.params.action](req.params.id);
+        if (!broadcast) {
+            return res.status(404).json({ error: 'Broadcast not found' });
+        }
+        res.json(req.services.broadcastService.serializeBroadcast(broadcast));
+    } catch (error) {
+        if (error.code === 'INVALID_BROADCAST_STATE') {
+            return res.status(409).json({ error: error.message });
+        }
+        logger.error(`[API Error] Failed to ${req.params.action} broadcast:`, error);
+        res.status(500).json({ error: `Failed to ${req.params.action} broadcast` });
+    }
+});
+
+// Opt-out Endpoints (números que pidieron no recibir mensajes)
+app.get('/api/opt-outs', requirePermission(authService, 'leads:read'), async (req, res) => {
+    try {
+        logger.info('[API] Opt-outs requested');
+        const optOuts = await req.services.consentService.listOptOuts();
+        res.json(optOuts);
+    } catch (error) {
+        logger.error('[API Error] Failed to list opt-outs:', error);
+        res.status(500).json({ error: 'Failed to list opt-outs' });
+    }
+});
+
+app.post('/api/opt-outs/:telefono', requirePermission(authService, 'leads:write'), async (req, res) => {
+    try {
+        const consent = await req.services.consentService.optOut(req.params.telefono, {
+            source: 'agent',
+            motivo: req.body?.motivo,
+            agentId: String(req.user.id)
+        });
+        await req.services.followUpService.stopSequences(req.params.telefono, 'opt_out');
+        res.json(consent);
+    } catch (error) {
+        logger.error('[API Error] Failed to register opt-out:', error);
+        res.status(500).json({ error: 'Failed to register opt-out' });
+    }
+});
+
+app.delete('/api/opt-outs/:telefono', requirePermission(authService, 'leads:write'), async (req, res) => {
+    try {
+        const consent = await req.services.consentService.optIn(req.params.telefono, {
+            source: 'agent',
+            agentId: String(req.user.id)
+        });
+        if (!consent) {
+            return res.status(404).json({ error: 'Opt-out not found' });
+        }
+        res.json(consent);
+    } catch (error) {
+        logger.error('[API Error] Failed to remove opt-out:', error);
+        res.status(500).json({ error: 'Failed to remove opt-out' });
+    }
+});
+
+// Handoff Endpoints (conversaciones atendidas por un gestor)
+app.get('/api/handoffs', requirePermission(authService, 'handoffs:read'), async (req, res) => {
+    try {
+        logger.info('[API] Active handoffs requested');
+        const leads = await req.services.handoffService.getActiveHandoffs();
+        res.json(leads);
+    } catch (error) {
+        logger.error('[API Error] Failed to get handoffs:', error);
+        res.status(500).json({ error: 'Failed to get handoffs' });
+    }
+});
+
+app.post('/api/handoffs/:telefono', requirePermission(authService, 'handoffs:write'), async (req, res) => {
+    try {
+        const lead = await req.services.handoffService.startHandoff(req.params.telefono, {
+            reason: req.body?.reason,
+            agentId: String(req.user.id),
+            requestedBy: 'agent'
+        });
+
+        if (!lead) {
+            return res.status(404).json({ error: 'Lead not found' });
+        }
+        res.json({ success: true, telefono: lead.telefono, is_bot_active: lead.is_bot_active });
+    } catch (error) {
+        logger.error('[API Error] Failed to start handoff:', error);
+        res.status(500).json({ error: 'Failed to start handoff' });
+    }
+});
+
+app.delete('/api/handoffs/:telefono', requirePermission(authService, 'handoffs:write'), async (req, res) => {
+    try {
+        const lead = await req.services.handoffService.endHandoff(req.params.telefono, {
+            endedBy: 'agent',
+            agentId: String(req.user.id)
+        });
+
+        if (!lead) {
+            return res.status(404).json({ error: 'Lead not found' });
+        }
+        res.json({ success: true, telefono: lead.telefono, is_bot_active: lead.is_bot_active });
+    } catch (error) {
+        logger.error('[API Error] Failed to end handoff:', error);
+        res.status(500).json({ error: 'Failed to end handoff' });
     }
 });
 
@@ -371,16 +1404,6 @@ process.on('unhandledRejection', (reason, promise) => {
     logger.error('Unhandled Rejection at:', promise, 'reason:', reason);
 });
 
-// Inicializar el cliente de WhatsApp
-logger.info('[WhatsApp] Initializing client...');
-client.initialize()
-    .then(() => {
-        logger.info('[WhatsApp] Client initialization started successfully');
-    })
-    .catch(error => {
-        logger.error('[WhatsApp] Failed to initialize client:', error);
-    });
-
 // Manejar señales de terminación
 process.on('SIGTERM', async () => {
     logger.info('SIGTERM received. Shutting down gracefully...');
@@ -397,9 +1420,8 @@ process.on('SIGINT', async () => {
 // Función de limpieza mejorada
 async function cleanup() {
     try {
-        if (client) {
-            await client.destroy();
-            logger.info('[WhatsApp] Client destroyed successfully');
+        for (const tenantId of Array.from(tenantServices.keys())) {
+            await stopTenant(tenantId);
         }
         logger.info('Cleanup completed successfully');
     } catch (error) {
@@ -415,6 +1437,15 @@ const initializeApp = async () => {
     
     // Sincronizar modelos
     await syncModels();
+
+    // Registrar las clínicas activas (la principal se crea la primera vez) y arrancar cada una
+    await tenantService.ensureDefaultTenant();
+    for (const tenant of await tenantService.load()) {
+        await startTenant(tenant);
+    }
+
+    // Crear el primer administrador si aún no hay usuarios
+    await authService.ensureAdminUser();
     
     // Iniciar el servidor
     const PORT = process.env.PORT || 3000;
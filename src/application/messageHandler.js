@@ -7,23 +7,63 @@ const path = require('path');
 const fs = require('fs');
 const { setInterval } = require('timers');
 const LeadTrackingService = require('./services/LeadTrackingService');
+const AppointmentService = require('./services/AppointmentService');
+const MessageHistoryService = require('./services/MessageHistoryService');
+const DocumentService = require('./services/DocumentService');
+const HandoffService = require('./services/HandoffService');
+const LeadPipelineService = require('./services/LeadPipelineService');
+const AppointmentReminderService = require('./services/AppointmentReminderService');
+const FollowUpService = require('./services/FollowUpService');
+const ConsentService = require('./services/ConsentService');
+const PromptService = require('./services/PromptService');
+const BusinessHoursService = require('./services/BusinessHoursService');
+const documentTextExtractor = require('../infrastructure/documents/documentTextExtractor');
+const { getDefaultTenant } = require('../infrastructure/config/tenantContext');
+const { formatDateTime, getDateString } = require('../utils/dateUtils');
+const { describeLocation } = require('../utils/clinicUtils');
 
 class MessageHandler {
-    constructor(client) {
-        if (!client) {
-            throw new Error('WhatsApp client is required for MessageHandler');
-        }
-        this.client = client;
-        this.conversationState = new ConversationStateService();
-        this.openaiService = new OpenAIService();
-        this.leadTrackingService = new LeadTrackingService(null, null);
+    // transport: por donde llegan y salen los mensajes (whatsapp-web.js, API oficial o Woztell);
+    // los mensajes recibidos ya vienen normalizados. tenant: clínica dueña del número
+    constructor(transport, tenant = getDefaultTenant()) {
+        if (!transport) {
+            throw new Error('WhatsApp transport is required for MessageHandler');
+        }
+        this.transport = transport;
+        this.tenant = tenant;
+        this.clinic = tenant.clinic;
+        this.conversationState = ConversationStateService.forTenant(tenant);
+        this.openaiService = new OpenAIService(tenant);
+        this.leadTrackingService = new LeadTrackingService(null, null, tenant);
+        this.appointmentService = new AppointmentService(tenant);
+        this.messageHistoryService = new MessageHistoryService(tenant);
+        this.documentService = new DocumentService(tenant);
+        this.handoffService = new HandoffService(tenant);
+        this.leadPipelineService = new LeadPipelineService(tenant);
+        this.appointmentReminderService = new AppointmentReminderService(null, tenant);
+        this.followUpService = new FollowUpService(null, null, tenant);
+        this.consentService = new ConsentService(tenant);
+        this.promptService = new PromptService(tenant);
+        this.businessHoursService = new BusinessHoursService(tenant);
         this.initialized = false;
         
+        // Cantidad de mensajes previos que se envían al modelo como contexto
+        this.historyLimit = parseInt(process.env.CONVERSATION_HISTORY_LIMIT || '10', 10);
+        
         // Límites para archivos
         this.maxImageSize = 5 * 1024 * 1024; // 5MB
         this.maxDocumentSize = 10 * 1024 * 1024; // 10MB
         this.allowedImageTypes = ['image/jpeg', 'image/png', 'image/gif'];
         this.allowedDocumentTypes = ['application/pdf', 'application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'];
+        this.maxAudioSize = 16 * 1024 * 1024; // 16MB
+        this.maxAudioDuration = 5 * 60; // 5 minutos
+        this.audioExtensions = {
+            'audio/ogg': 'ogg',
+            'audio/mpeg': 'mp3',
+            'audio/mp4': 'm4a',
+            'audio/wav': 'wav',
+            'audio/webm': 'webm'
+        };
         
         // Directorio temporal para archivos
         this.tempDir = path.join(process.cwd(), 'temp');
@@ -32,7 +72,95 @@ class MessageHandler {
         }
         
         // Limpiar archivos temporales cada hora
-        setInterval(() => this.cleanupTempFiles(), 3600000);
+        this.cleanupTimer = setInterval(() => this.cleanupTempFiles(), 3600000);
+        
+        // Herramientas que el modelo puede invocar con datos reales de la clínica
+        this.registerTools();
+    }
+
+    registerTools() {
+        // Se leen en cada llamada para reflejar los cambios hechos en /api/clinic
+        const sedeKeys = () => Object.keys(this.clinic.sedes);
+        const turnoKeys = () => Object.keys(this.clinic.turns);
+        const serviceKeys = () => Object.keys(this.clinic.services);
+
+        this.openaiService.registerTool('check_availability', {
+            description: 'Consulta los cupos disponibles por turno en una sede para una fecha.',
+            parameters: () => ({
+                type: 'object',
+                properties: {
+                    sede: { type: 'string', enum: sedeKeys() },
+                    fecha: { type: 'string', description: 'Fecha en formato YYYY-MM-DD' }
+                },
+                required: ['sede', 'fecha']
+            })
+        }, (args) => this.appointmentService.getAvailability(args.sede, args.fecha));
+
+        this.openaiService.registerTool('book_appointment', {
+            description: 'Registra la cita del paciente. Solo confirma la cita al paciente si el resultado es success.',
+            parameters: () => ({
+                type: 'object',
+                properties: {
+                    sede: { type: 'string', enum: sedeKeys() },
+                    fecha: { type: 'string', description: 'Fecha en formato YYYY-MM-DD' },
+                    turno: { type: 'string', enum: turnoKeys() },
+                    hora: { type: 'string', description: 'Hora en formato HH:MM (24 horas), opcional' },
+                    servicio: { type: 'string', enum: serviceKeys() },
+                    nombre_paciente: { type: 'string', description: 'Nombre completo del paciente' },
+                    dni: { type: 'string', description: 'DNI o carnet de extranjería' }
+                },
+                required: ['sede', 'fecha', 'turno', 'nombre_paciente', 'dni']
+            })
+        }, (args, context) => this.bookAppointment(context.message, context.userId, args));
+
+        this.openaiService.registerTool('get_price', {
+            description: 'Obtiene el precio vigente de un servicio de la clínica.',
+            parameters: () => ({
+                type: 'object',
+                properties: {
+                    servicio: { type: 'string', enum: serviceKeys() }
+                },
+                required: ['servicio']
+            })
+        }, async (args, context) => {
+            const service = this.clinic.services[args.servicio];
+            if (!service) {
+                return { error: 'Servicio no encontrado', servicios: serviceKeys() };
+            }
+
+            // Si el paciente deja de responder tras conocer el precio, se le hace seguimiento
+            try {
+                await this.followUpService.startSequence(context.message.from.replace('@c.us', ''), 'sin_respuesta');
+            } catch (error) {
+                logger.error('Error starting price follow-up:', error);
+            }
+
+            return { servicio: service.name, precio: service.price, moneda: this.clinic.currency.code };
+        });
+
+        this.openaiService.registerTool('request_human', {
+            description: 'Deriva la conversación a un gestor humano (mujeres que piden atención para ellas, preguntas por médicos específicos, insultos).',
+            parameters: {
+                type: 'object',
+                properties: {
+                    motivo: { type: 'string', description: 'Motivo breve de la derivación' }
+                },
+                required: ['motivo']
+            }
+        }, (args, context) => this.requestHuman(context.message, context.userId, args.motivo));
+    }
+
+    // El número cambia de cliente (reconexión, otro transporte) sin crear otro handler
+    setTransport(transport) {
+        if (!transport) {
+            throw new Error('WhatsApp transport is required for MessageHandler');
+        }
+        this.transport = transport;
+    }
+
+    // Detiene los timers propios; el estado de las conversaciones es de la clínica y sigue vivo
+    dispose() {
+        clearInterval(this.cleanupTimer);
     }
 
     async cleanupTempFiles() {
@@ -77,6 +205,14 @@ class MessageHandler {
             if (!this.allowedDocumentTypes.includes(media.mimetype)) {
                 throw new Error('Invalid document type');
             }
+        } else if (type === 'audio') {
+            if (fileSize > this.maxAudioSize) {
+                throw new Error('Audio size exceeds limit');
+            }
+            // Las notas de voz llegan como 'audio/ogg; codecs=opus'
+            if (!this.audioExtensions[media.mimetype.split(';')[0].trim()]) {
+                throw new Error('Invalid audio type');
+            }
         }
 
         return buffer;
@@ -115,14 +251,43 @@ class MessageHandler {
             let response = null;
 
             try {
+                // Si el paciente respondió, los seguimientos pendientes ya no aplican
+                try {
+                    await this.followUpService.stopSequences(userId.replace('@c.us', ''), 'respondio');
+                } catch (error) {
+                    logger.error('Error stopping follow-ups:', error);
+                }
+
+                // Pedidos de baja ("BAJA", "no me escriban") y de volver a recibir mensajes ("ALTA")
+                const consentReply = await this.handleConsentKeywords(message);
+                if (consentReply) {
+                    return consentReply;
+                }
+
+                // Con un gestor a cargo, el bot solo registra el mensaje y avisa al panel
+                const isBotActive = await this.handoffService.isBotActive(userId.replace('@c.us', ''));
+                if (!isBotActive) {
+                    await this.forwardToAgents(message);
+                    return null;
+                }
+
             // Procesar comandos primero
             if (message.body && message.body.startsWith('/')) {
                     response = await this.handleCommand(message, message.body);
                     return response;
                 }
 
+                // Registrar el mensaje entrante en el historial
+                let inboundRecord = null;
+                try {
+                    inboundRecord = await this.messageHistoryService.recordInbound(message);
+                } catch (error) {
+                    logger.error('Error recording inbound message:', error);
+                }
+
                 let userInput = '';
                 let imageBase64 = null;
+                let documentContext = '';
 
                 // Procesar contenido del mensaje
                 if (message.body) {
@@ -140,47 +305,98 @@ class MessageHandler {
                         fs.writeFileSync(tempPath, buffer);
                         tempFilePaths.push(tempPath);
                         
-                        await cloudinaryService.uploadImage(buffer);
+                        const upload = await cloudinaryService.uploadImage(buffer);
                         imageBase64 = `data:${media.mimetype};base64,${media.data}`;
+                        
+                        if (inboundRecord) {
+                            await this.messageHistoryService.attachMedia(inboundRecord, { mediaUrl: upload.url });
+                        }
                     } catch (error) {
                         logger.error('Error processing image:', error);
                         return "Lo siento, hubo un problema procesando tu imagen. Por favor, asegúrate que sea menor a 5MB y en formato JPG, PNG o GIF.";
                     }
                 }
 
-                // Verificar el estado de saludo del usuario
-                const isFirstTimeUser = this.conversationState.isFirstTimeUser(userId);
-                const hasEverBeenGreeted = this.conversationState.hasEverBeenGreeted(userId);
-                
-                // Si es la primera vez que el usuario escribe, registrar en la base de datos
-                if (isFirstTimeUser) {
+                // Procesar nota de voz como si el texto hubiera sido escrito
+                if (message.hasMedia && (message.type === 'ptt' || message.type === 'audio')) {
+                    const duration = parseInt(message.duration || '0', 10);
+                    if (duration > this.maxAudioDuration) {
+                        return `Tu nota de voz es un poco larga 🙏. ¿Podrías enviarme un audio de menos de ${this.maxAudioDuration / 60} minutos o escribirme tu consulta?`;
+                    }
+
                     try {
-                        const leadData = {
-                            telefono: message.from.replace('@c.us', ''),
-                            nombre: message._data?.notifyName || message._data?.pushname || 'No proporcionado',
-                            ubicacion: 'No proporcionada',
-                            sintomas: '',  // Inicializar como string vacío
-                            origen: 'WhatsApp',
-                            id_campana: message._data?.ad_id || 'N/A'
-                        };
-                        await this.leadTrackingService.createOrUpdateLead(leadData);
+                        const voiceNote = await this.transcribeVoiceNote(message);
+                        userInput = [userInput, voiceNote.transcript].filter(Boolean).join('\n');
+                        
+                        if (inboundRecord) {
+                            await this.messageHistoryService.attachMedia(inboundRecord, {
+                                mediaUrl: voiceNote.mediaUrl,
+                                transcript: voiceNote.transcript
+                            });
+                        }
                     } catch (error) {
-                        logger.error('Error tracking first-time user:', error);
-                        // Continuar con el proceso aunque falle el tracking
+                        logger.error('Error processing voice note:', error);
+                        return "Disculpa, no logré escuchar bien tu nota de voz 🙏. ¿Podrías escribirme tu consulta o enviar el audio nuevamente?";
                     }
                 }
-                
-                // Construir contexto para GPT incluyendo el historial de la conversación
-                const conversationContext = this.buildConversationContext(userId, isFirstTimeUser, hasEverBeenGreeted);
-                
-                // Generar respuesta usando GPT con el contexto completo
-                response = await this.generateIntelligentResponse(userInput, conversationContext, imageBase64);
-                
-                if (!response) {
-                    throw new Error('No se pudo generar una respuesta');
+
+                // Respuesta a un recordatorio de cita ("confirmo", "no podré")
+                if (userInput) {
+                    try {
+                        const reminderReply = await this.appointmentReminderService.handleReply(
+                            userId.replace('@c.us', ''),
+                            userInput
+                        );
+                        if (reminderReply) {
+                            this.conversationState.addInteraction(userId, 'Respuesta a recordatorio', userInput);
+                            return reminderReply;
+                        }
+                    } catch (error) {
+                        logger.error('Error handling reminder reply:', error);
+                    }
                 }
 
-                // Extraer información estructurada de la respuesta del usuario
+                // Procesar documento (resultados de laboratorio, informes)
+                if (message.hasMedia && message.type === 'document') {
+                    try {
+                        const document = await this.processDocument(message, inboundRecord);
+                        documentContext = `[DOCUMENTO ENVIADO: ${document.file_name || 'sin nombre'}]\n`;
+                        if (document.summary) {
+                            documentContext += `[RESUMEN DEL DOCUMENTO: ${document.summary}]\n`;
+                            this.conversationState.addInteraction(userId, 'Documento enviado', document.summary);
+                        } else {
+                            documentContext += '[No se pudo leer el contenido - Indicar que un gestor lo revisará]\n';
+                        }
+                        // En multimedia el cuerpo es la descripción opcional del paciente
+                        userInput = userInput || 'Te envío un documento.';
+                    } catch (error) {
+                        logger.error('Error processing document:', error);
+                        return "Lo siento, hubo un problema procesando tu documento. Por favor, asegúrate que sea un PDF o Word menor a 10MB.";
+                    }
+                }
+
+                // Verificar el estado de saludo del usuario
+                const isFirstTimeUser = this.conversationState.isFirstTimeUser(userId);
+                const hasEverBeenGreeted = this.conversationState.hasEverBeenGreeted(userId);
+                
+                // Registrar la visita del día (y el lead, si es la primera vez que escribe)
+                try {
+                    await this.leadTrackingService.registerVisit({
+                        telefono: message.from.replace('@c.us', ''),
+                        nombre: message.contactName || 'No proporcionado',
+                        ubicacion: 'No proporcionada',
+                        sintomas: '',  // Inicializar como string vacío
+                        origen: 'WhatsApp',
+                        id_campana: message.adId || 'N/A',
+                        whatsapp_session: message.whatsappSession || null
+                    });
+                } catch (error) {
+                    logger.error('Error tracking lead visit:', error);
+                    // Continuar con el proceso aunque falle el tracking
+                }
+                
+                // Extraer información estructurada antes de responder, para que
+                // el agendamiento se valide contra el sistema antes de confirmar
                 const extractedData = await this.extractUserData(userInput, userId);
                 
                 // Actualizar estado de conversación
@@ -188,13 +404,25 @@ class MessageHandler {
                     this.updateConversationState(userId, extractedData);
                 }
                 
+                // La respuesta a una oferta anterior de consulta gratuita se registra sobre esa oferta
+                if (extractedData.free_consultation_response) {
+                    await this.resolveFreeConsultation(message, extractedData);
+                }
+                
                 // Trackear objeciones si se detectan
+                let objection = null;
+                let objectionContext = '';
                 if (extractedData.objection_detected) {
-                    try {
-                        await this.trackObjection(message, extractedData);
-                        await this.trackFreeConsultation(message, extractedData);
-                    } catch (error) {
-                        logger.error('Error tracking objection/consultation:', error);
+                    objection = await this.trackObjection(message, extractedData);
+                    objectionContext = `[OBJECIÓN DETECTADA (${extractedData.objection_type || 'sin tipo'}) - ` +
+                        'Responde con empatía y ofrece la consulta urológica gratuita]\n';
+
+                    if (extractedData.objection_type === 'desinteres') {
+                        try {
+                            await this.followUpService.startSequence(userId.replace('@c.us', ''), 'desinteres');
+                        } catch (error) {
+                            logger.error('Error starting follow-up sequence:', error);
+                        }
                     }
                 }
                 
@@ -208,6 +436,49 @@ class MessageHandler {
                     }
                 }
                 
+                // Mover el lead en el embudo según lo que sabemos del paciente
+                await this.updatePipelineStage(message, userId, extractedData);
+                
+                // Validar y registrar la cita si el usuario está agendando
+                let schedulingContext = '';
+                try {
+                    schedulingContext = await this.handleScheduling(userId);
+                } catch (error) {
+                    logger.error('Error handling scheduling:', error);
+                    schedulingContext = '[ERROR DE AGENDAMIENTO - No confirmes la cita, indica que un gestor se comunicará para confirmarla]\n';
+                }
+                
+                // Construir contexto para GPT incluyendo el historial de la conversación
+                const conversationContext = this.buildConversationContext(userId, isFirstTimeUser, hasEverBeenGreeted) +
+                    schedulingContext + objectionContext + documentContext;
+                
+                // Generar respuesta usando GPT con el contexto completo
+                // Turnos previos de la conversación (sin el mensaje actual)
+                let history = [];
+                try {
+                    history = await this.messageHistoryService.getChatTurns(
+                        userId,
+                        this.historyLimit,
+                        inboundRecord ? inboundRecord.id : null
+                    );
+                } catch (error) {
+                    logger.error('Error loading conversation history:', error);
+                }
+                
+                response = await this.generateIntelligentResponse(userInput, conversationContext, imageBase64, {
+                    message,
+                    userId
+                }, history);
+                
+                if (!response) {
+                    throw new Error('No se pudo generar una respuesta');
+                }
+                
+                // La respuesta a la objeción es la oferta que se hizo al paciente
+                if (extractedData.objection_detected) {
+                    await this.trackFreeConsultation(message, extractedData, objection, response);
+                }
+                
                 // Marcar como saludado si es la primera interacción
                 if (isFirstTimeUser) {
                     this.conversationState.markAsGreeted(userId);
@@ -237,6 +508,67 @@ class MessageHandler {
         }
     }
 
+    async transcribeVoiceNote(message) {
+        const media = await message.downloadMedia();
+        const buffer = this.validateFile(media, 'audio');
+
+        // La subida es para consulta de los gestores; si falla, igual se transcribe
+        let mediaUrl = null;
+        try {
+            const upload = await cloudinaryService.uploadAudio(buffer);
+            mediaUrl = upload.url;
+        } catch (error) {
+            logger.error('Error uploading voice note:', error);
+        }
+
+        const extension = this.audioExtensions[media.mimetype.split(';')[0].trim()];
+        const transcript = ((await this.openaiService.transcribeAudioBuffer(buffer, extension)) || '').trim();
+        if (!transcript) {
+            throw new Error('Empty transcription');
+        }
+
+        return { transcript, mediaUrl };
+    }
+
+    async processDocument(message, inboundRecord) {
+        const media = await message.downloadMedia();
+        const buffer = this.validateFile(media, 'document');
+        const upload = await cloudinaryService.uploadDocument(buffer, media.mimetype);
+
+        // Si no se puede leer el texto, el documento igual queda guardado para los gestores
+        let extractedText = '';
+        let summary = null;
+        try {
+            extractedText = await documentTextExtractor.extract(buffer, media.mimetype);
+            if (extractedText) {
+                summary = await this.openaiService.summarizeDocument(extractedText);
+            }
+        } catch (error) {
+            logger.error('Error reading document content:', error);
+        }
+
+        const document = await this.documentService.saveDocument({
+            telefono: message.from.replace('@c.us', ''),
+            messageId: inboundRecord ? inboundRecord.id : null,
+            fileName: media.filename || null,
+            mimetype: media.mimetype,
+            size: buffer.length,
+            url: upload.url,
+            publicId: upload.public_id,
+            extractedText,
+            summary
+        });
+
+        if (inboundRecord) {
+            await this.messageHistoryService.attachMedia(inboundRecord, {
+                mediaUrl: upload.url,
+                transcript: summary
+            });
+        }
+
+        return document;
+    }
+
     buildConversationContext(userId, isFirstTimeUser, hasEverBeenGreeted) {
         const currentState = this.conversationState.getCurrentState(userId);
         const memorySummary = this.conversationState.buildContextSummary(userId);
@@ -260,12 +592,11 @@ class MessageHandler {
         
         // Agregar información sobre la última cita
         if (lastAppointment) {
-            const appointmentDate = new Date(lastAppointment.date);
-            const today = new Date();
+            const today = getDateString(new Date(), this.clinic.timezone);
             
-            if (appointmentDate > today) {
-                context += `[CITA PENDIENTE: ${appointmentDate.toLocaleDateString('es-PE')} - Recordar al usuario]\n`;
-            } else if (appointmentDate.toDateString() === today.toDateString()) {
+            if (lastAppointment.date > today) {
+                context += `[CITA PENDIENTE: ${lastAppointment.description} - Recordar al usuario]\n`;
+            } else if (lastAppointment.date === today) {
                 context += `[CITA HOY: Preguntar cómo le fue en su cita]\n`;
             }
         }
@@ -281,18 +612,27 @@ class MessageHandler {
         return context;
     }
 
-    async generateIntelligentResponse(userInput, conversationContext, imageBase64) {
+    async generateIntelligentResponse(userInput, conversationContext, imageBase64, toolContext = {}, history = []) {
         try {
             // Construir mensaje completo con contexto
             const fullMessage = `${conversationContext}\n\nMensaje del usuario: ${userInput}`;
 
-            // Generar respuesta
-            if (imageBase64) {
-                return await this.openaiService.generateResponse(fullMessage, imageBase64);
-            } else {
-                return await this.openaiService.generateResponse(fullMessage);
+            // Variante del prompt (A/B) asignada a este chat
+            let promptVariant = null;
+            try {
+                promptVariant = await this.promptService.getVariantForLead(toolContext.userId.replace('@c.us', ''));
+            } catch (error) {
+                logger.error('Error assigning prompt variant:', error);
             }
 
+            // Generar respuesta permitiendo que el modelo use las herramientas registradas
+            return await this.openaiService.generateResponse(fullMessage, imageBase64, {
+                useTools: true,
+                toolContext,
+                history,
+                promptVariant
+            });
+
         } catch (error) {
             logger.error('Error generating intelligent response:', error);
             return "Lo siento, hubo un error al procesar tu consulta. ¿Podrías intentar nuevamente?";
@@ -302,11 +642,15 @@ class MessageHandler {
     async extractUserData(messageBody, userId) {
         try {
             const currentState = this.conversationState.getCurrentState(userId);
+            const sedeOptions = [...Object.keys(this.clinic.sedes), 'null'].join('|');
+            const turnOptions = [...Object.keys(this.clinic.turns), 'null'].join('|');
             
             // Usar GPT para extraer información estructurada
             const extractionPrompt = `
             Analiza el siguiente mensaje y extrae ÚNICAMENTE la información específica mencionada.
             
+            Fecha actual: ${formatDateTime(new Date(), this.clinic.timezone)}
+            
             Mensaje: "${messageBody}"
             
             Responde SOLO en formato JSON válido con esta estructura:
@@ -317,12 +661,21 @@ class MessageHandler {
                 "objection_type": "precio|desinteres|comparacion|null",
                 "objection_detected": true/false,
                 "free_consultation_response": "acepta|rechaza|null",
+                "wants_appointment": true/false,
+                "appointment": {
+                    "sede": "${sedeOptions}",
+                    "date": "YYYY-MM-DD o null",
+                    "turn": "${turnOptions}",
+                    "time": "HH:MM en formato 24 horas o null",
+                    "full_name": "nombre completo del paciente o null",
+                    "dni": "DNI o carnet de extranjería o null"
+                },
                 "hasNewData": true/false
             }
             
             Reglas:
             - Solo extraer información EXPLÍCITAMENTE mencionada
-            - Para ubicación, reconocer distritos de Lima
+            - Para ubicación, reconocer distritos y localidades de ${describeLocation(this.clinic)}
             - Para síntomas, incluir cualquier molestia médica mencionada
             - Para objection_type: 
               * "precio" si menciona costo, caro, descuento, rebaja, promoción, dinero
@@ -333,6 +686,9 @@ class MessageHandler {
               * "acepta" si dice "sí", "okay", "me parece bien", "acepto", "perfecto"
               * "rechaza" si dice "no", "no me interesa", "mejor no", "gracias pero no"
               * null si no responde sobre consulta gratuita
+            - wants_appointment: true si el usuario quiere agendar, reservar o separar una cita
+            - Para appointment: convertir fechas relativas ("mañana", "el lunes") a YYYY-MM-DD usando la fecha actual,
+              y horas como "10am" o "4 de la tarde" a HH:MM en formato 24 horas
             - objection_detected: true si se detecta cualquier tipo de resistencia u objeción
             - Si no hay información nueva, hasNewData = false
             `;
@@ -350,9 +706,15 @@ class MessageHandler {
                     objection_type: extracted.objection_type || null,
                     objection_detected: extracted.objection_detected || false,
                     free_consultation_response: extracted.free_consultation_response || null,
-                    hasNewData: extracted.hasNewData || extracted.objection_detected || false
+                    wants_appointment: extracted.wants_appointment || false,
+                    appointment: this.pickAppointmentData(extracted.appointment),
+                    hasNewData: extracted.hasNewData || extracted.objection_detected || extracted.wants_appointment || false
                 };
                 
+                if (Object.keys(result.appointment).length > 0) {
+                    result.hasNewData = true;
+                }
+                
                 return result;
                 
             } catch (parseError) {
@@ -364,6 +726,8 @@ class MessageHandler {
                     objection_type: null,
                     objection_detected: false,
                     free_consultation_response: null,
+                    wants_appointment: false,
+                    appointment: {},
                     hasNewData: false
                 };
             }
@@ -377,11 +741,33 @@ class MessageHandler {
                 objection_type: null,
                 objection_detected: false,
                 free_consultation_response: null,
+                wants_appointment: false,
+                appointment: {},
                 hasNewData: false
             };
         }
     }
 
+    pickAppointmentData(appointment) {
+        if (!appointment || typeof appointment !== 'object') {
+            return {};
+        }
+
+        // Mapear los campos extraídos a los del modelo de cita, descartando nulos
+        const fields = {
+            sede: appointment.sede,
+            fecha: appointment.date,
+            turno: appointment.turn,
+            hora: appointment.time,
+            nombre_paciente: appointment.full_name,
+            dni: appointment.dni
+        };
+
+        return Object.fromEntries(
+            Object.entries(fields).filter(([, value]) => value && value !== 'null')
+        );
+    }
+
     updateConversationState(userId, extractedData) {
         const updateData = {};
         
@@ -403,11 +789,218 @@ class MessageHandler {
             updateData.has_shown_resistance = true;
         }
         
+        // Pasar a SCHEDULING si el usuario quiere agendar o ya está agendando
+        const currentState = this.conversationState.getCurrentState(userId);
+        const appointmentData = extractedData.appointment || {};
+        let nextState = CONVERSATION_STATES.COLLECTING_INFO;
+        
+        if (extractedData.wants_appointment ||
+            Object.keys(appointmentData).length > 0 ||
+            currentState.state === CONVERSATION_STATES.SCHEDULING) {
+            nextState = CONVERSATION_STATES.SCHEDULING;
+            updateData.pendingAppointment = {
+                ...(currentState.data.pendingAppointment || {}),
+                ...appointmentData
+            };
+        }
+        
         if (Object.keys(updateData).length > 0) {
-            this.conversationState.updateState(userId, CONVERSATION_STATES.COLLECTING_INFO, updateData);
+            this.conversationState.updateState(userId, nextState, updateData);
         }
     }
 
+    async updatePipelineStage(message, userId, extractedData) {
+        try {
+            const telefono = message.from.replace('@c.us', '');
+            const currentState = this.conversationState.getCurrentState(userId);
+            const personalInfo = this.conversationState.getPersonalInfo(userId);
+
+            // Se toma la etapa más avanzada que corresponda; el servicio ignora retrocesos
+            let stage = null;
+            if (personalInfo.name && personalInfo.location) stage = 'qualified';
+            if (personalInfo.symptoms.length > 0) stage = 'screened';
+            if (currentState.state === CONVERSATION_STATES.SCHEDULING) stage = 'offered';
+
+            if (extractedData.objection_detected && !extractedData.wants_appointment) {
+                await this.leadPipelineService.advance(telefono, 'lost', {
+                    trigger: 'extraction',
+                    reason: `Objeción: ${extractedData.objection_type || 'sin tipo'}`
+                });
+            } else if (stage) {
+                await this.leadPipelineService.advance(telefono, stage, { trigger: 'extraction' });
+            }
+        } catch (error) {
+            logger.error('Error updating pipeline stage:', error);
+        }
+    }
+
+    async handleScheduling(userId) {
+        const currentState = this.conversationState.getCurrentState(userId);
+        if (currentState.state !== CONVERSATION_STATES.SCHEDULING) {
+            return '';
+        }
+
+        const pending = currentState.data.pendingAppointment || {};
+
+        // Validar el horario apenas tengamos sede, fecha y turno u hora
+        if (pending.sede && pending.fecha && (pending.turno || pending.hora)) {
+            const validation = this.appointmentService.validateSlot(pending);
+            let reason = validation.valid ? null : validation.reason;
+
+            if (validation.valid) {
+                const availability = await this.appointmentService.getAvailability(validation.sede, validation.fecha);
+                if (!availability.turns[validation.turno].available) {
+                    reason = availability.turns[validation.turno].reason;
+                }
+            }
+
+            if (reason) {
+                this.conversationState.updateState(userId, CONVERSATION_STATES.SCHEDULING, {
+                    pendingAppointment: { ...pending, fecha: null, turno: null, hora: null }
+                });
+                return `[HORARIO NO DISPONIBLE: ${reason} Pide otra fecha o turno. NO confirmes la cita]\n`;
+            }
+        }
+
+        const requiredFields = {
+            sede: 'sede',
+            fecha: 'fecha',
+            turno: 'turno',
+            nombre_paciente: 'nombre completo',
+            dni: 'DNI o carnet de extranjería'
+        };
+        const missing = Object.entries(requiredFields)
+            .filter(([field]) => !pending[field] && !(field === 'turno' && pending.hora))
+            .map(([, label]) => label);
+
+        if (missing.length > 0) {
+            return `[AGENDANDO CITA - Datos pendientes: ${missing.join(', ')}. NO confirmes la cita todavía]\n`;
+        }
+
+        const details = Object.entries(pending)
+            .filter(([, value]) => value)
+            .map(([field, value]) => `${field}: ${value}`)
+            .join(', ');
+        return `[AGENDANDO CITA - Datos completos (${details}). Registra la cita con book_appointment y confirma solo si tiene éxito]\n`;
+    }
+
+    async bookAppointment(message, userId, data) {
+        const result = await this.appointmentService.bookAppointment({
+            ...data,
+            telefono: message.from.replace('@c.us', '')
+        });
+
+        if (!result.success) {
+            return { success: false, reason: result.reason };
+        }
+
+        const description = this.appointmentService.describeAppointment(result.appointment);
+        this.conversationState.updateState(userId, CONVERSATION_STATES.FINISHED, {
+            pendingAppointment: null,
+            lastAppointment: {
+                id: result.appointment.id,
+                date: result.appointment.fecha,
+                description
+            }
+        });
+
+        this.conversationState.addInteraction(userId, 'Cita registrada', description);
+
+        try {
+            await this.leadPipelineService.advance(result.appointment.telefono, 'scheduled', {
+                trigger: 'booking',
+                reason: description
+            });
+        } catch (error) {
+            logger.error('Error updating pipeline stage after booking:', error);
+        }
+
+        return { success: true, cita: description };
+    }
+
+    async requestHuman(message, userId, reason) {
+        const currentState = this.conversationState.getCurrentState(userId);
+        this.conversationState.updateState(userId, currentState.state, {
+            humanRequested: {
+                reason,
+                requestedAt: new Date()
+            }
+        });
+        this.conversationState.addInteraction(userId, 'Derivado a gestor', reason);
+
+        // Fuera de horario la derivación queda en cola hasta la próxima apertura
+        const status = this.businessHoursService.getStatus();
+        const queuedUntil = status.open ? null : status.nextOpening;
+
+        // Pausar el bot: los próximos mensajes del paciente van al panel de gestores
+        const lead = await this.handoffService.startHandoff(message.from.replace('@c.us', ''), {
+            reason,
+            requestedBy: 'bot',
+            queuedUntil
+        });
+        if (!lead) {
+            return { success: false, reason: 'No se encontró el registro del paciente.' };
+        }
+
+        if (queuedUntil) {
+            const opening = this.businessHoursService.formatOpening(queuedUntil);
+            return {
+                success: true,
+                mensaje: `La clínica está cerrada. Un gestor continuará la conversación ${opening}; avísale al paciente.`
+            };
+        }
+        return { success: true, mensaje: 'Un gestor continuará la conversación con el paciente.' };
+    }
+
+    async handleConsentKeywords(message) {
+        const telefono = message.from.replace('@c.us', '');
+
+        try {
+            if (this.consentService.isOptOutMessage(message.body)) {
+                await this.consentService.optOut(telefono, { source: 'keyword', motivo: message.body.slice(0, 255) });
+                await this.followUpService.stopSequences(telefono, 'opt_out');
+                await this.messageHistoryService.recordInbound(message);
+                this.conversationState.addInteraction(message.from, 'Baja de mensajes', message.body);
+                return 'Entendido 🙏. No te enviaremos más mensajes. Si en algún momento deseas volver a recibirlos, escribe ALTA.';
+            }
+
+            if (this.consentService.isOptInMessage(message.body) && await this.consentService.isOptedOut(telefono)) {
+                await this.consentService.optIn(telefono, { source: 'keyword' });
+                await this.messageHistoryService.recordInbound(message);
+                return '¡Listo! 😊 Volverás a recibir nuestros mensajes. ¿En qué puedo ayudarte?';
+            }
+        } catch (error) {
+            logger.error('Error handling consent keywords:', error);
+        }
+
+        return null;
+    }
+
+    async forwardToAgents(message) {
+        let record = null;
+        try {
+            record = await this.messageHistoryService.recordInbound(message);
+
+            // Guardar la multimedia para que el gestor pueda verla
+            if (message.hasMedia) {
+                const media = await message.downloadMedia();
+                if (media && media.data) {
+                    const upload = await cloudinaryService.uploadBuffer(Buffer.from(media.data, 'base64'), {
+                        folder: 'whatsapp-handoff'
+                    });
+                    await this.messageHistoryService.attachMedia(record, { mediaUrl: upload.url });
+                }
+            }
+        } catch (error) {
+            logger.error('Error storing message for agents:', error);
+        }
+
+        if (record) {
+            this.handoffService.notifyInboundMessage(record);
+        }
+        logger.info(`Bot paused for ${message.from}, message forwarded to agents`);
+    }
+
     shouldProcessLead(extractedData, userId) {
         // Procesar lead si:
         // 1. Tenemos síntomas O ubicación
@@ -422,14 +1015,13 @@ class MessageHandler {
         await this.ensureInitialized();
 
         try {
-            const contact = await message.getContact();
             const leadData = {
                 telefono: message.from.replace('@c.us', ''),
-                nombre: extractedData.name || contact.pushname || contact.name || 'No proporcionado',
+                nombre: extractedData.name || message.contactName || 'No proporcionado',
                 ubicacion: extractedData.location || 'No proporcionada',
                 sintomas: Array.isArray(extractedData.symptoms) ? extractedData.symptoms.join(', ') : (extractedData.symptoms || ''),
                 origen: 'WhatsApp',
-                id_campana: message._data?.ad_id || 'N/A'
+                id_campana: message.adId || 'N/A'
             };
 
             await this.leadTrackingService.createOrUpdateLead(leadData);
@@ -446,38 +1038,36 @@ class MessageHandler {
         await this.ensureInitialized();
 
         try {
-            const contact = await message.getContact();
             const objectionData = {
                 phone: message.from.replace('@c.us', ''),
-                name: extractedData.name || contact.pushname || contact.name || 'No proporcionado',
                 objection_type: extractedData.objection_type,
                 originalMessage: message.body || ''
             };
 
-            await this.leadTrackingService.trackObjection(objectionData);
+            this.conversationState.addInteraction(message.from, 'Objeción', objectionData.objection_type);
+            const objection = await this.leadTrackingService.trackObjection(objectionData);
             logger.info('Objection tracked successfully:', objectionData);
             
-            return true;
+            return objection;
         } catch (error) {
             logger.error('Error tracking objection:', error);
-            return false;
+            return null;
         }
     }
 
-    async trackFreeConsultation(message, extractedData) {
+    async trackFreeConsultation(message, extractedData, objection = null, offer = null) {
         await this.ensureInitialized();
 
         try {
-            const contact = await message.getContact();
             const freeConsultationData = {
                 phone: message.from.replace('@c.us', ''),
-                name: extractedData.name || contact.pushname || contact.name || 'No proporcionado',
                 reason: extractedData.objection_type,
-                response: extractedData.free_consultation_response || null
+                offer,
+                objectionId: objection ? objection.id : null
             };
 
             await this.leadTrackingService.trackFreeConsultation(freeConsultationData);
-            logger.info('Free consultation tracked successfully:', freeConsultationData);
+            logger.info('Free consultation tracked successfully:', freeConsultationData.phone);
             
             return true;
         } catch (error) {
@@ -486,10 +1076,27 @@ class MessageHandler {
         }
     }
 
+    async resolveFreeConsultation(message, extractedData) {
+        try {
+            const phone = message.from.replace('@c.us', '');
+            const offer = await this.leadTrackingService.resolveFreeConsultation(
+                phone,
+                extractedData.free_consultation_response
+            );
+
+            if (offer) {
+                this.conversationState.addInteraction(message.from, 'Consulta gratuita', offer.respuesta);
+            }
+            return offer;
+        } catch (error) {
+            logger.error('Error resolving free consultation:', error);
+            return null;
+        }
+    }
+
     async handleCommand(message, command) {
         const chatId = message.from;
-        const contact = await message.getContact();
-        const contactName = contact.name || contact.pushname || chatId;
+        const contactName = message.contactName || chatId;
 
         logger.info(`Processing command from ${contactName}: ${command}`);
 
@@ -497,7 +1104,7 @@ class MessageHandler {
         switch (command.toLowerCase()) {
             case '/help':
             case '/ayuda':
-                    await this.client.sendMessage(chatId, 
+                    await this.transport.sendMessage(chatId, 
                     "🤖 *Bot de WhatsApp con GPT-4*\n\n" +
                     "Comandos disponibles:\n" +
                     "• /help - Mostrar esta ayuda\n" +
@@ -509,11 +1116,11 @@ class MessageHandler {
                 break;
 
             case '/ping':
-                    await this.client.sendMessage(chatId, "🏓 Pong! El bot está funcionando correctamente.");
+                    await this.transport.sendMessage(chatId, "🏓 Pong! El bot está funcionando correctamente.");
                 break;
 
             case '/info':
-                    await this.client.sendMessage(chatId,
+                    await this.transport.sendMessage(chatId,
                     "ℹ️ *Información del Bot*\n\n" +
                     "• Bot de WhatsApp integrado con GPT-4\n" +
                     "• Powered by whatsapp-web.js\n" +
@@ -524,18 +1131,18 @@ class MessageHandler {
 
                 case '/reset':
                     this.conversationState.resetState(message.from);
-                    await this.client.sendMessage(chatId, "🔄 Conversación reiniciada. ¡Hola de nuevo!");
+                    await this.transport.sendMessage(chatId, "🔄 Conversación reiniciada. ¡Hola de nuevo!");
                     break;
 
             default:
-                    await this.client.sendMessage(chatId, 
+                    await this.transport.sendMessage(chatId, 
                     "❓ Comando no reconocido. Usa /help para ver los comandos disponibles."
                 );
                 break;
         }
         } catch (error) {
             logger.error('Error handling command:', error);
-            await this.client.sendMessage(chatId, 
+            await this.transport.sendMessage(chatId, 
                 "❌ Error procesando el comando. Por favor, intenta nuevamente."
             );
         }
@@ -578,7 +1185,7 @@ class MessageHandler {
 - desactivar: Desactiva el bot
 - activar: Activa el bot`;
         
-        await this.client.sendMessage(message.from, response);
+        await this.transport.sendMessage(message.from, response);
     }
 
     async handleBotToggle(message) {
@@ -589,7 +1196,7 @@ class MessageHandler {
             ? '✅ Bot activado correctamente'
             : '❌ Bot desactivado correctamente';
         
-        await this.client.sendMessage(message.from, response);
+        await this.transport.sendMessage(message.from, response);
     }
 
     async handleNormalMessage(message) {
@@ -0,0 +1,227 @@
+const { Appointment, AppointmentReminder, Lead } = require('../../infrastructure/database/models');
+const { getDefaultTenant } = require('../../infrastructure/config/tenantContext');
+const { logger } = require('../../utils/logger');
+const { normalizeText } = require('../../utils/textUtils');
+const { getDateString, zonedDateTimeToDate, addDaysToDateString } = require('../../utils/dateUtils');
+const { ACTIVE_APPOINTMENT_STATES } = require('./AppointmentService');
+const { Op } = require('sequelize');
+
+// Respuestas del paciente a un recordatorio (texto ya normalizado, sin tildes). Deben ser
+// todo el mensaje: "no puedo ir a las 9, ¿puedo llegar a las 10?" no cancela la cita
+const CANCEL_PATTERN = /^(no (podre|puedo|voy a poder|asistire|ire|voy a ir)( (ir|asistir))?|cancel(o|ar|a)|no (me )?sera posible( (ir|asistir))?)$/;
+const CONFIRM_PATTERN = /^(confirm(o|ado|ada|amos)( (mi )?asistencia)?|si (asistire|ire|voy)|ahi estare|alli estare)$/;
+
+// Saludos y cortesías que acompañan la respuesta sin cambiar su sentido
+const COURTESY_WORDS = new Set([
+    'hola', 'buenas', 'buenos', 'dias', 'tardes', 'noches', 'gracias', 'muchas', 'ok',
+    'disculpe', 'disculpa', 'perdon', 'lo', 'siento', 'lamentablemente', 'por', 'favor',
+    'doctor', 'doctora', 'a', 'la', 'mi', 'cita'
+]);
+
+class AppointmentReminderService {
+    // getReplyService(nombre) devuelve el WhatsAppService del número por el que escribió el
+    // paciente (el principal si ya no está conectado)
+    constructor(whatsappService = null, tenant = getDefaultTenant(), getReplyService = null) {
+        this.whatsappService = whatsappService;
+        this.getReplyService = getReplyService;
+        this.tenantId = tenant.id;
+        this.clinic = tenant.clinic;
+    }
+
+    // El recordatorio sale por el número por el que escribió el paciente
+    getSender(lead) {
+        if (!lead || !lead.whatsapp_session || !this.getReplyService) {
+            return this.whatsappService;
+        }
+        return this.getReplyService(lead.whatsapp_session);
+    }
+
+    getSendTime(appointment, reminder) {
+        return zonedDateTimeToDate(addDaysToDateString(appointment.fecha, -reminder.daysBefore), reminder.time, this.clinic.timezone);
+    }
+
+    buildReminderMessage(appointment, reminder) {
+        const sede = this.clinic.sedes[appointment.sede];
+        const turno = this.clinic.turns[appointment.turno];
+        const service = this.clinic.services[appointment.servicio];
+        const [year, month, day] = appointment.fecha.split('-');
+        const when = reminder.daysBefore === 0 ? 'hoy' : reminder.daysBefore === 1 ? 'mañana' : `el ${day}/${month}/${year}`;
+        const hour = appointment.hora || `${turno.start} - ${turno.end}`;
+
+        let text = `Hola ${appointment.nombre_paciente} 😊, te recordamos tu cita de ${service ? service.name.toLowerCase() : 'atención'} ` +
+            `${when} (${day}/${month}/${year}), turno ${turno.label.toLowerCase()} (${hour}).\n\n` +
+            `📍 Sede ${sede.name}: ${sede.address}\n` +
+            `🗺️ ${sede.mapUrl}`;
+
+        if (service && service.preparation && service.preparation.length > 0) {
+            text += `\n\nRecomendaciones:\n${service.preparation.map(item => `- ${item}`).join('\n')}`;
+        }
+
+        text += '\n\nPor favor responde *CONFIRMO* para confirmar tu asistencia o *NO PODRÉ* si necesitas cancelar.';
+        return text;
+    }
+
+    // Citas activas con algún recordatorio cuya hora de envío ya llegó y que aún no se procesó
+    async getDueReminders(now = new Date()) {
+        const today = getDateString(now, this.clinic.timezone);
+        const maxDaysBefore = Math.max(...this.clinic.reminders.map(reminder => reminder.daysBefore));
+
+        const appointments = await Appointment.findAll({
+            where: {
+                tenant_id: this.tenantId,
+                estado: { [Op.in]: ACTIVE_APPOINTMENT_STATES },
+                fecha: { [Op.between]: [today, addDaysToDateString(today, maxDaysBefore)] }
+            },
+            include: [{
+                model: AppointmentReminder,
+                as: 'reminders',
+                attributes: ['tipo'],
+                required: false
+            }, {
+                model: Lead,
+                as: 'lead',
+                attributes: ['whatsapp_session'],
+                required: false
+            }]
+        });
+
+        const due = [];
+        for (const appointment of appointments) {
+            const processed = new Set(appointment.reminders.map(reminder => reminder.tipo));
+            const turnStart = zonedDateTimeToDate(appointment.fecha, appointment.hora || this.clinic.turns[appointment.turno].start, this.clinic.timezone);
+
+            for (const reminder of this.clinic.reminders) {
+                const sendAt = this.getSendTime(appointment, reminder);
+                if (!processed.has(reminder.type) && sendAt <= now && now < turnStart) {
+                    due.push({ appointment, reminder, sendAt });
+                }
+            }
+        }
+
+        return due;
+    }
+
+    async sendDueReminders(now = new Date()) {
+        try {
+            if (!this.whatsappService) {
+                throw new Error('WhatsApp service is required to send reminders');
+            }
+
+            const due = await this.getDueReminders(now);
+            let sent = 0;
+
+            for (const { appointment, reminder, sendAt } of due) {
+                const record = {
+                    appointment_id: appointment.id,
+                    tipo: reminder.type,
+                    telefono: appointment.telefono,
+                    programado_para: sendAt
+                };
+
+                // Si la cita se agendó después de la hora de envío, el recordatorio sobra
+                if (new Date(appointment.createdAt) > sendAt) {
+                    await AppointmentReminder.create({ ...record, estado: 'omitido' });
+                    continue;
+                }
+
+                try {
+                    await this.getSender(appointment.lead).sendMessage(
+                        `${appointment.telefono}@c.us`,
+                        this.buildReminderMessage(appointment, reminder)
+                    );
+                    await AppointmentReminder.create({ ...record, estado: 'enviado', enviado_at: new Date() });
+                    sent++;
+                } catch (error) {
+                    if (error.code === 'OPTED_OUT') {
+                        await AppointmentReminder.create({ ...record, estado: 'omitido', error: 'opt_out' });
+                        continue;
+                    }
+                    logger.error(`Error sending ${reminder.type} reminder for appointment ${appointment.id}:`, error);
+                    await AppointmentReminder.create({ ...record, estado: 'fallido', error: error.message.slice(0, 255) });
+                }
+            }
+
+            if (sent > 0) {
+                logger.info(`${sent} appointment reminders sent`);
+            }
+            return sent;
+        } catch (error) {
+            logger.error('Error sending appointment reminders:', error);
+            throw error;
+        }
+    }
+
+    // Solo respuestas cortas que son la palabra clave (más cortesías); preguntas y mensajes
+    // con más contenido siguen al modelo
+    parseReply(text) {
+        const value = normalizeText(text);
+        if (value.includes('?')) {
+            return null;
+        }
+
+        const words = value
+            .replace(/[^a-z0-9ñ\s]/g, ' ')
+            .split(/\s+/)
+            .filter(word => word && !COURTESY_WORDS.has(word));
+        const reply = words.join(' ');
+        if (CANCEL_PATTERN.test(reply)) return 'cancel';
+        if (CONFIRM_PATTERN.test(reply)) return 'confirm';
+        return null;
+    }
+
+    // Si el paciente responde a un recordatorio, actualiza la cita y devuelve la respuesta
+    // para el paciente; null si el mensaje no es una respuesta a un recordatorio
+    async handleReply(telefono, text) {
+        try {
+            const action = this.parseReply(text);
+            if (!action) {
+                return null;
+            }
+
+            const appointment = await Appointment.findOne({
+                where: {
+                    tenant_id: this.tenantId,
+                    telefono,
+                    estado: { [Op.in]: ACTIVE_APPOINTMENT_STATES },
+                    fecha: { [Op.gte]: getDateString(new Date(), this.clinic.timezone) }
+                },
+                include: [{
+                    model: AppointmentReminder,
+                    as: 'reminders',
+                    where: { estado: 'enviado' },
+                    attributes: ['id'],
+                    required: true
+                }],
+                order: [['fecha', 'ASC']]
+            });
+            if (!appointment) {
+                return null;
+            }
+
+            const sede = this.clinic.sedes[appointment.sede];
+            if (action === 'confirm' && appointment.confirmacion_paciente_at) {
+                // Ya confirmó; el mensaje sigue la conversación normal
+                return null;
+            }
+
+            if (action === 'cancel') {
+                await appointment.update({ estado: 'cancelada' });
+                logger.info(`Appointment ${appointment.id} cancelled by patient ${telefono}`);
+                return 'Entendido, hemos cancelado tu cita 🙏. Si deseas reprogramarla para otra fecha, con gusto te ayudo.';
+            }
+
+            await appointment.update({ estado: 'confirmada', confirmacion_paciente_at: new Date() });
+            logger.info(`Appointment ${appointment.id} confirmed by patient ${telefono}`);
+            // La sede pudo eliminarse desde /api/clinic después de agendar
+            if (!sede) {
+                return '¡Gracias por confirmar! 😊 Te esperamos.';
+            }
+            return `¡Gracias por confirmar! 😊 Te esperamos en nuestra sede ${sede.name}: ${sede.address}.`;
+        } catch (error) {
+            logger.error('Error handling reminder reply:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = AppointmentReminderService;
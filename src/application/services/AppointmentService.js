@@ -0,0 +1,349 @@
+const { Appointment, Lead, sequelize } = require('../../infrastructure/database/models');
+const { getDefaultTenant } = require('../../infrastructure/config/tenantContext');
+const { logger } = require('../../utils/logger');
+const { getDateString, getTimeString } = require('../../utils/dateUtils');
+const { normalizeText } = require('../../utils/textUtils');
+const { joinNames, describeWorkingDays } = require('../../utils/clinicUtils');
+const BusinessHoursService = require('./BusinessHoursService');
+const { Op, Transaction } = require('sequelize');
+
+// Estados que ocupan un cupo en el turno
+const ACTIVE_APPOINTMENT_STATES = ['pendiente', 'confirmada'];
+const APPOINTMENT_STATES = [...ACTIVE_APPOINTMENT_STATES, 'cancelada', 'asistio', 'no_asistio'];
+
+// Intentos de una reserva cuando la base aborta una de dos transacciones sobre el mismo turno:
+// interbloqueo o espera agotada en MySQL, conflicto de serialización o interbloqueo en Postgres
+const BOOKING_ATTEMPTS = 3;
+const LOCK_CONFLICT_CODES = ['ER_LOCK_DEADLOCK', 'ER_LOCK_WAIT_TIMEOUT', '40001', '40P01'];
+const isLockConflict = (error) => LOCK_CONFLICT_CODES.includes(error.parent?.code);
+
+class AppointmentService {
+    constructor(tenant = getDefaultTenant()) {
+        this.tenantId = tenant.id;
+        this.clinic = tenant.clinic;
+        this.businessHours = new BusinessHoursService(tenant);
+    }
+
+    normalizeSede(sede) {
+        if (!sede) return null;
+
+        const value = normalizeText(sede);
+
+        if (this.clinic.sedes[value]) return value;
+
+        for (const [key, info] of Object.entries(this.clinic.sedes)) {
+            const names = [normalizeText(info.name), ...(info.aliases || [])];
+            if (names.some(name => value.includes(name))) {
+                return key;
+            }
+        }
+
+        return null;
+    }
+
+    normalizeTurno(turno) {
+        if (!turno) return null;
+
+        const value = normalizeText(turno);
+
+        // "mañana", "en la tarde", "turno tarde"...
+        for (const [key, info] of Object.entries(this.clinic.turns)) {
+            const label = normalizeText(info.label);
+            if (value === key || value.includes(label) || value.startsWith(label.slice(0, 3))) {
+                return key;
+            }
+        }
+
+        return null;
+    }
+
+    getTurnoForHora(hora) {
+        for (const [turno, range] of Object.entries(this.clinic.turns)) {
+            if (hora >= range.start && hora < range.end) {
+                return turno;
+            }
+        }
+        return null;
+    }
+
+    describeSedes() {
+        return joinNames(Object.values(this.clinic.sedes).map(sede => sede.name));
+    }
+
+    describeServices() {
+        return joinNames(Object.values(this.clinic.services).map(service => service.name));
+    }
+
+    describeTurns() {
+        return joinNames(Object.values(this.clinic.turns).map(turn =>
+            `${turn.label.toLowerCase()} (${turn.start} - ${turn.end})`
+        ));
+    }
+
+    // Valida sede, servicio (si se indica), día hábil (feriados y excepciones de la sede), turno y que no sea pasado.
+    // La capacidad se verifica aparte, dentro de la transacción de reserva.
+    validateSlot({ sede, fecha, turno, hora, servicio }) {
+        const sedeKey = this.normalizeSede(sede);
+        if (!sedeKey) {
+            return { valid: false, reason: `Solo tenemos disponibilidad en las sedes ${this.describeSedes()}.` };
+        }
+
+        // El servicio lo elige el modelo: debe ser uno de los de la clínica
+        if (servicio !== undefined && !this.clinic.services[servicio]) {
+            return { valid: false, reason: `Solo agendamos los servicios ${this.describeServices()}.` };
+        }
+
+        if (!fecha || !/^\d{4}-\d{2}-\d{2}$/.test(fecha) || isNaN(new Date(`${fecha}T12:00:00Z`).getTime())) {
+            return { valid: false, reason: 'La fecha indicada no es válida.' };
+        }
+
+        const sedeName = this.clinic.sedes[sedeKey].name;
+        const day = this.businessHours.checkDay(fecha, sedeKey);
+        if (day.reason === 'dia_no_laborable') {
+            return { valid: false, reason: `Solo atendemos de ${describeWorkingDays(this.clinic.workingDays)}.` };
+        }
+        if (day.reason === 'feriado') {
+            return { valid: false, reason: `Ese día es feriado (${day.holiday}) y no atendemos.` };
+        }
+        if (day.reason === 'sede_cerrada') {
+            const detail = day.exception && day.exception.reason ? ` (${day.exception.reason})` : '';
+            return { valid: false, reason: `La sede ${sedeName} no atiende ese día${detail}.` };
+        }
+
+        let turnoKey = this.normalizeTurno(turno);
+        if (hora) {
+            const turnoForHora = this.getTurnoForHora(hora);
+            if (!turnoForHora || (turnoKey && turnoKey !== turnoForHora)) {
+                return {
+                    valid: false,
+                    reason: `Solo tenemos disponibilidad en los turnos ${this.describeTurns()}.`
+                };
+            }
+            turnoKey = turnoForHora;
+        }
+
+        if (!turnoKey) {
+            return {
+                valid: false,
+                reason: `Solo tenemos disponibilidad en los turnos ${this.describeTurns()}.`
+            };
+        }
+
+        if (!day.turns.includes(turnoKey)) {
+            const turns = joinNames(day.turns.map(key => this.clinic.turns[key].label.toLowerCase()));
+            return { valid: false, reason: `Ese día la sede ${sedeName} solo atiende en el turno ${turns}.` };
+        }
+
+        const today = getDateString(new Date(), this.clinic.timezone);
+        if (fecha < today) {
+            return { valid: false, reason: 'No es posible agendar citas en fechas pasadas.' };
+        }
+
+        if (fecha === today) {
+            const now = getTimeString(new Date(), this.clinic.timezone);
+            if (now >= this.clinic.turns[turnoKey].end || (hora && hora <= now)) {
+                return { valid: false, reason: 'Ese horario de hoy ya pasó.' };
+            }
+        }
+
+        return { valid: true, sede: sedeKey, fecha, turno: turnoKey, hora: hora || null };
+    }
+
+    async countActive(sede, fecha, turno, transaction = null) {
+        return Appointment.count({
+            where: {
+                tenant_id: this.tenantId,
+                sede,
+                fecha,
+                turno,
+                estado: { [Op.in]: ACTIVE_APPOINTMENT_STATES }
+            },
+            transaction
+        });
+    }
+
+    async getAvailability(sede, fecha) {
+        try {
+            const sedeKey = this.normalizeSede(sede);
+            if (!sedeKey) {
+                return { available: false, reason: 'Sede no válida', turns: {} };
+            }
+
+            const turns = {};
+            for (const turno of Object.keys(this.clinic.turns)) {
+                const validation = this.validateSlot({ sede: sedeKey, fecha, turno });
+                if (!validation.valid) {
+                    turns[turno] = { available: false, remaining: 0, reason: validation.reason };
+                    continue;
+                }
+
+                const booked = await this.countActive(sedeKey, fecha, turno);
+                const remaining = Math.max(this.clinic.sedes[sedeKey].capacityPerTurn - booked, 0);
+                turns[turno] = {
+                    available: remaining > 0,
+                    remaining,
+                    reason: remaining > 0 ? null : 'Turno sin cupos disponibles.'
+                };
+            }
+
+            return {
+                sede: sedeKey,
+                fecha,
+                available: Object.values(turns).some(turn => turn.available),
+                turns
+            };
+        } catch (error) {
+            logger.error('Error getting availability:', error);
+            throw error;
+        }
+    }
+
+    async bookAppointment(data) {
+        const { telefono, nombre_paciente, dni, servicio = 'chequeo_prostatico' } = data;
+
+        if (!nombre_paciente || !dni) {
+            return { success: false, reason: 'Faltan el nombre completo o el DNI del paciente.' };
+        }
+
+        const validation = this.validateSlot({ ...data, servicio });
+        if (!validation.valid) {
+            return { success: false, reason: validation.reason };
+        }
+
+        try {
+            const lead = await Lead.findOne({ where: { tenant_id: this.tenantId, telefono } });
+            if (!lead) {
+                return { success: false, reason: 'No se encontró el registro del paciente.' };
+            }
+
+            const { sede, fecha, turno, hora } = validation;
+            let reservation = null;
+
+            for (let attempt = 1; !reservation; attempt++) {
+                try {
+                    reservation = await sequelize.transaction(
+                        { isolationLevel: Transaction.ISOLATION_LEVELS.SERIALIZABLE },
+                        transaction => this.reserveSlot(lead, { ...data, sede, fecha, turno, hora, servicio }, transaction)
+                    );
+                } catch (error) {
+                    if (!isLockConflict(error) || attempt >= BOOKING_ATTEMPTS) {
+                        throw error;
+                    }
+                    logger.warn(`Booking conflict on ${sede} ${fecha} (${turno}), retrying (${attempt}/${BOOKING_ATTEMPTS})`);
+                }
+            }
+
+            if (reservation.existing) {
+                return {
+                    success: false,
+                    reason: `El paciente ya tiene una cita ese día: ${this.describeAppointment(reservation.existing)}.`,
+                    appointment: reservation.existing
+                };
+            }
+            if (!reservation.appointment) {
+                return { success: false, reason: 'Ese turno ya no tiene cupos disponibles.' };
+            }
+
+            const { appointment } = reservation;
+            logger.info(`Appointment ${appointment.id} booked for ${telefono} on ${fecha} (${turno}) at ${sede}`);
+            return { success: true, appointment };
+        } catch (error) {
+            logger.error('Error booking appointment:', error);
+            throw error;
+        }
+    }
+
+    // Dentro de una transacción SERIALIZABLE: el conteo del turno bloquea sus filas, así que
+    // dos reservas simultáneas no superan capacityPerTurn (una se aborta y se reintenta)
+    async reserveSlot(lead, data, transaction) {
+        const { telefono, nombre_paciente, dni, servicio, sede, fecha, turno, hora } = data;
+
+        // Bloquea al paciente: sus reservas simultáneas se atienden de una en una
+        await Lead.findOne({ where: { id: lead.id }, transaction, lock: transaction.LOCK.UPDATE });
+
+        // Una cita activa por paciente y día, aunque sea en otra sede o turno
+        const existing = await Appointment.findOne({
+            where: {
+                tenant_id: this.tenantId,
+                fecha,
+                estado: { [Op.in]: ACTIVE_APPOINTMENT_STATES },
+                [Op.or]: [{ lead_id: lead.id }, { telefono }]
+            },
+            transaction
+        });
+        if (existing) {
+            return { existing };
+        }
+
+        const booked = await this.countActive(sede, fecha, turno, transaction);
+        if (booked >= this.clinic.sedes[sede].capacityPerTurn) {
+            return { appointment: null };
+        }
+
+        const appointment = await Appointment.create({
+            tenant_id: this.tenantId,
+            lead_id: lead.id,
+            sede,
+            servicio,
+            fecha,
+            turno,
+            hora,
+            nombre_paciente,
+            dni,
+            telefono,
+            estado: 'confirmada'
+        }, { transaction });
+        return { appointment };
+    }
+
+    async getAppointments({ fecha, sede, estado } = {}) {
+        try {
+            const where = { tenant_id: this.tenantId };
+            if (fecha) where.fecha = fecha;
+            if (sede) where.sede = this.normalizeSede(sede) || sede;
+            if (estado) where.estado = estado;
+
+            return await Appointment.findAll({
+                where,
+                order: [['fecha', 'ASC'], ['turno', 'ASC'], ['hora', 'ASC']]
+            });
+        } catch (error) {
+            logger.error('Error getting appointments:', error);
+            throw error;
+        }
+    }
+
+    async updateStatus(id, estado) {
+        try {
+            if (!APPOINTMENT_STATES.includes(estado)) {
+                throw new Error(`Invalid appointment state: ${estado}`);
+            }
+
+            const appointment = await Appointment.findOne({ where: { id, tenant_id: this.tenantId } });
+            if (!appointment) {
+                return null;
+            }
+
+            await appointment.update({ estado });
+            logger.info(`Appointment ${id} marked as ${estado}`);
+            return appointment;
+        } catch (error) {
+            logger.error('Error updating appointment status:', error);
+            throw error;
+        }
+    }
+
+    describeAppointment(appointment) {
+        const sede = this.clinic.sedes[appointment.sede];
+        const turno = this.clinic.turns[appointment.turno];
+        const [year, month, day] = appointment.fecha.split('-');
+
+        return `${day}/${month}/${year} - turno ${turno.label.toLowerCase()}` +
+            `${appointment.hora ? ` (${appointment.hora})` : ` (${turno.start} - ${turno.end})`}` +
+            ` - sede ${sede.name}`;
+    }
+}
+
+module.exports = AppointmentService;
+module.exports.APPOINTMENT_STATES = APPOINTMENT_STATES;
+module.exports.ACTIVE_APPOINTMENT_STATES = ACTIVE_APPOINTMENT_STATES;
@@ -0,0 +1,243 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const jwt = require('jsonwebtoken');
+const { User, Tenant } = require('../../infrastructure/database/models');
+const { logger } = require('../../utils/logger');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ROLES = ['admin', 'agent', 'viewer'];
+
+// Permisos por rol; '*' concede todos
+const ROLE_PERMISSIONS = {
+    admin: ['*'],
+    agent: [
+        'stats:read',
+        'leads:read',
+        'appointments:read',
+        'appointments:write',
+        'documents:read',
+        'handoffs:read',
+        'handoffs:write',
+        'leads:write',
+        'inbox:read',
+        'inbox:reply',
+        'messages:send',
+        'broadcasts:read',
+        'clinic:read'
+    ],
+    viewer: [
+        'stats:read',
+        'leads:read',
+        'appointments:read',
+        'documents:read',
+        'handoffs:read',
+        'inbox:read',
+        'clinic:read'
+    ]
+};
+
+class AuthService {
+    constructor() {
+        if (!process.env.JWT_SECRET) {
+            throw new Error('JWT_SECRET is required');
+        }
+
+        this.jwtSecret = process.env.JWT_SECRET;
+        this.tokenExpiresIn = process.env.JWT_EXPIRES_IN || '12h';
+    }
+
+    async hashPassword(password) {
+        const salt = crypto.randomBytes(16).toString('hex');
+        const hash = await scrypt(password, salt, 64);
+        return `${salt}:${hash.toString('hex')}`;
+    }
+
+    async verifyPassword(password, passwordHash) {
+        const [salt, storedHash] = passwordHash.split(':');
+        if (!salt || !storedHash) {
+            return false;
+        }
+
+        const hash = await scrypt(password, salt, 64);
+        const stored = Buffer.from(storedHash, 'hex');
+        return stored.length === hash.length && crypto.timingSafeEqual(stored, hash);
+    }
+
+    hasPermission(role, permission) {
+        const permissions = ROLE_PERMISSIONS[role] || [];
+        return permissions.includes('*') || permissions.includes(permission);
+    }
+
+    serializeUser(user) {
+        return {
+            id: user.id,
+            email: user.email,
+            nombre: user.nombre,
+            role: user.role,
+            tenant_id: user.tenant_id,
+            is_active: user.is_active
+        };
+    }
+
+    // tenant_id null deja al usuario sin clínica fija (acceso a todas si es admin)
+    async validateTenantId(tenantId) {
+        if (tenantId === null) {
+            return;
+        }
+        if (!Number.isInteger(tenantId) || !(await Tenant.findByPk(tenantId))) {
+            throw new Error(`Invalid tenant_id: ${tenantId}`);
+        }
+    }
+
+    async createUser({ email, nombre, password, role = 'agent', tenant_id = null }) {
+        try {
+            if (!email || !nombre || !password) {
+                throw new Error('email, nombre and password are required');
+            }
+            if (!ROLES.includes(role)) {
+                throw new Error(`Invalid role: ${role}`);
+            }
+            if (password.length < 8) {
+                throw new Error('Password must be at least 8 characters');
+            }
+            await this.validateTenantId(tenant_id);
+
+            const user = await User.create({
+                email: email.toLowerCase().trim(),
+                nombre,
+                password_hash: await this.hashPassword(password),
+                role,
+                tenant_id
+            });
+
+            logger.info(`User created: ${user.email} (${role})`);
+            return this.serializeUser(user);
+        } catch (error) {
+            logger.error('Error creating user:', error);
+            throw error;
+        }
+    }
+
+    // tenantId limita la edición a los usuarios de esa clínica
+    async updateUser(id, { nombre, password, role, is_active, tenant_id }, { tenantId } = {}) {
+        try {
+            const user = await User.findOne({ where: tenantId ? { id, tenant_id: tenantId } : { id } });
+            if (!user) {
+                return null;
+            }
+            if (role !== undefined && !ROLES.includes(role)) {
+                throw new Error(`Invalid role: ${role}`);
+            }
+            if (tenant_id !== undefined) {
+                await this.validateTenantId(tenant_id);
+            }
+
+            const changes = {};
+            if (nombre !== undefined) changes.nombre = nombre;
+            if (role !== undefined) changes.role = role;
+            if (is_active !== undefined) changes.is_active = Boolean(is_active);
+            if (tenant_id !== undefined) changes.tenant_id = tenant_id;
+            if (password !== undefined) {
+                if (password.length < 8) {
+                    throw new Error('Password must be at least 8 characters');
+                }
+                changes.password_hash = await this.hashPassword(password);
+            }
+
+            await user.update(changes);
+            logger.info(`User ${user.email} updated`);
+            return this.serializeUser(user);
+        } catch (error) {
+            logger.error('Error updating user:', error);
+            throw error;
+        }
+    }
+
+    // tenantId limita la lista a los usuarios de esa clínica
+    async listUsers({ tenantId } = {}) {
+        try {
+            const where = tenantId ? { tenant_id: tenantId } : {};
+            const users = await User.findAll({ where, order: [['id', 'ASC']] });
+            return users.map(user => this.serializeUser(user));
+        } catch (error) {
+            logger.error('Error listing users:', error);
+            throw error;
+        }
+    }
+
+    async authenticate(email, password) {
+        try {
+            if (!email || !password) {
+                return null;
+            }
+
+            const user = await User.scope('withPassword').findOne({
+                where: { email: email.toLowerCase().trim() }
+            });
+            if (!user || !user.is_active || !(await this.verifyPassword(password, user.password_hash))) {
+                logger.warn(`Failed login attempt for ${email}`);
+                return null;
+            }
+
+            await user.update({ last_login_at: new Date() });
+
+            const token = jwt.sign(
+                { sub: user.id, role: user.role },
+                this.jwtSecret,
+                { expiresIn: this.tokenExpiresIn }
+            );
+
+            return { token, user: this.serializeUser(user) };
+        } catch (error) {
+            logger.error('Error authenticating user:', error);
+            throw error;
+        }
+    }
+
+    // Devuelve el usuario del token o null si es inválido, expiró o el usuario fue desactivado
+    async verifyToken(token) {
+        try {
+            const payload = jwt.verify(token, this.jwtSecret);
+            const user = await User.findByPk(payload.sub);
+            if (!user || !user.is_active) {
+                return null;
+            }
+            return this.serializeUser(user);
+        } catch (error) {
+            if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+                return null;
+            }
+            logger.error('Error verifying token:', error);
+            throw error;
+        }
+    }
+
+    // Crea el primer administrador desde ADMIN_EMAIL / ADMIN_PASSWORD si no hay usuarios
+    async ensureAdminUser() {
+        try {
+            const count = await User.count();
+            if (count > 0) {
+                return;
+            }
+
+            if (!process.env.ADMIN_EMAIL || !process.env.ADMIN_PASSWORD) {
+                logger.warn('No users found. Set ADMIN_EMAIL and ADMIN_PASSWORD to create the first admin');
+                return;
+            }
+
+            await this.createUser({
+                email: process.env.ADMIN_EMAIL,
+                nombre: 'Administrador',
+                password: process.env.ADMIN_PASSWORD,
+                role: 'admin'
+            });
+        } catch (error) {
+            logger.error('Error creating admin user:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = AuthService;
+module.exports.ROLES = ROLES;
@@ -0,0 +1,420 @@
+const {
+    sequelize,
+    Lead,
+    CampaignLeadDetail,
+    Appointment,
+    Broadcast,
+    BroadcastRecipient,
+    WhatsAppSession
+} = require('../../infrastructure/database/models');
+const { getLikeOperator } = require('../../infrastructure/database/queryUtils');
+const socketNotifier = require('../../infrastructure/realtime/socketNotifier');
+const { getDefaultTenant } = require('../../infrastructure/config/tenantContext');
+const { logger } = require('../../utils/logger');
+const { getStartOfDateString, getEndOfDateString } = require('../../utils/dateUtils');
+const { fillLeadTemplate } = require('../../utils/textUtils');
+const { Op, fn, col } = require('sequelize');
+
+class BroadcastStateError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'BroadcastStateError';
+        this.code = 'INVALID_BROADCAST_STATE';
+    }
+}
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class BroadcastService {
+    // getSessionService(nombre) devuelve el WhatsAppService de otra sesión en ejecución de la
+    // clínica, para campañas que salen por un número distinto al principal
+    constructor(whatsappService = null, tenant = getDefaultTenant(), getSessionService = null) {
+        this.whatsappService = whatsappService;
+        this.getSessionService = getSessionService;
+        this.tenantId = tenant.id;
+        this.clinic = tenant.clinic;
+        this.maxPerMinute = parseInt(process.env.BROADCAST_MAX_PER_MINUTE || '10', 10);
+        this.jitterMs = parseInt(process.env.BROADCAST_JITTER_MS || '5000', 10);
+        // Campañas con un ciclo de envío corriendo en este proceso
+        this.running = new Set();
+    }
+
+    // Filtros del segmento: ubicacion, tipo_lead, etapa, origen, id_campana,
+    // desde/hasta (fecha de registro), con_sintomas y sin_cita
+    buildSegmentQuery(filters = {}) {
+        const { desde, hasta, tipo_lead, etapa, origen, ubicacion, id_campana, con_sintomas, sin_cita } = filters;
+        const like = getLikeOperator();
+        const isTrue = (value) => value === true || value === 'true';
+        const conditions = [{ tenant_id: this.tenantId }];
+
+        if (desde || hasta) {
+            const range = {};
+            if (desde) range[Op.gte] = getStartOfDateString(desde, this.clinic.timezone);
+            if (hasta) range[Op.lte] = getEndOfDateString(hasta, this.clinic.timezone);
+            conditions.push({ createdAt: range });
+        }
+        if (tipo_lead) conditions.push({ tipo_lead });
+        if (etapa) conditions.push({ etapa });
+        if (origen) conditions.push({ origen: { [like]: origen } });
+        if (ubicacion) conditions.push({ ubicacion: { [like]: `%${ubicacion}%` } });
+        if (isTrue(con_sintomas)) {
+            conditions.push({ sintomas: { [Op.and]: [{ [Op.ne]: null }, { [Op.ne]: '' }] } });
+        }
+
+        const include = [];
+        if (id_campana) {
+            include.push({
+                model: CampaignLeadDetail,
+                as: 'campaignDetails',
+                required: true,
+                attributes: [],
+                where: { id_campana }
+            });
+        }
+        // Nunca agendaron: sin ninguna cita registrada, en cualquier estado
+        if (isTrue(sin_cita)) {
+            include.push({ model: Appointment, as: 'appointments', required: false, attributes: [] });
+            conditions.push({ '$appointments.id$': null });
+        }
+
+        return { where: { [Op.and]: conditions }, include };
+    }
+
+    findBroadcast(id) {
+        return Broadcast.findOne({ where: { id, tenant_id: this.tenantId } });
+    }
+
+    async findSegment(filters = {}) {
+        try {
+            const { where, include } = this.buildSegmentQuery(filters);
+            return await Lead.findAll({
+                where,
+                include,
+                attributes: ['id', 'telefono', 'nombre'],
+                order: [['id', 'ASC']]
+            });
+        } catch (error) {
+            logger.error('Error finding broadcast segment:', error);
+            throw error;
+        }
+    }
+
+    async previewSegment(filters = {}) {
+        const leads = await this.findSegment(filters);
+        return {
+            total: leads.length,
+            muestra: leads.slice(0, 10)
+        };
+    }
+
+    async createBroadcast({ nombre, plantilla, filtros = {}, porMinuto, whatsappSession = null, createdBy = null }) {
+        try {
+            if (!nombre || !plantilla) {
+                throw new Error('nombre and plantilla are required');
+            }
+
+            const perMinute = parseInt(porMinuto, 10) || this.maxPerMinute;
+            if (perMinute < 1 || perMinute > this.maxPerMinute) {
+                throw new Error(`por_minuto must be between 1 and ${this.maxPerMinute}`);
+            }
+            if (whatsappSession && !(await WhatsAppSession.count({ where: { tenant_id: this.tenantId, nombre: whatsappSession } }))) {
+                throw new Error('Unknown WhatsApp session');
+            }
+
+            const leads = await this.findSegment(filtros);
+            if (leads.length === 0) {
+                throw new Error('The segment has no leads');
+            }
+
+            const broadcast = await sequelize.transaction(async (transaction) => {
+                const created = await Broadcast.create({
+                    tenant_id: this.tenantId,
+                    nombre,
+                    plantilla,
+                    filtros,
+                    por_minuto: perMinute,
+                    whatsapp_session: whatsappSession,
+                    total: leads.length,
+                    created_by: createdBy
+                }, { transaction });
+
+                await BroadcastRecipient.bulkCreate(leads.map(lead => ({
+                    broadcast_id: created.id,
+                    lead_id: lead.id,
+                    telefono: lead.telefono
+                })), { transaction });
+
+                return created;
+            });
+
+            logger.info(`Broadcast ${broadcast.id} created with ${leads.length} recipients`);
+            return broadcast;
+        } catch (error) {
+            logger.error('Error creating broadcast:', error);
+            throw error;
+        }
+    }
+
+    async start(id) {
+        try {
+            const broadcast = await this.findBroadcast(id);
+            if (!broadcast) {
+                return null;
+            }
+            if (!['pendiente', 'pausada'].includes(broadcast.estado)) {
+                throw new BroadcastStateError(`Broadcast cannot be started from state ${broadcast.estado}`);
+            }
+
+            await broadcast.update({
+                estado: 'en_curso',
+                started_at: broadcast.started_at || new Date()
+            });
+            this.notifyProgress(broadcast);
+            this.run(broadcast.id);
+
+            return broadcast;
+        } catch (error) {
+            logger.error('Error starting broadcast:', error);
+            throw error;
+        }
+    }
+
+    // El ciclo de envío termina antes del siguiente mensaje
+    async pause(id) {
+        try {
+            const broadcast = await this.findBroadcast(id);
+            if (!broadcast) {
+                return null;
+            }
+            if (broadcast.estado !== 'en_curso') {
+                throw new BroadcastStateError(`Broadcast cannot be paused from state ${broadcast.estado}`);
+            }
+
+            await broadcast.update({ estado: 'pausada' });
+            this.notifyProgress(broadcast);
+            return broadcast;
+        } catch (error) {
+            logger.error('Error pausing broadcast:', error);
+            throw error;
+        }
+    }
+
+    async cancel(id) {
+        try {
+            const broadcast = await this.findBroadcast(id);
+            if (!broadcast) {
+                return null;
+            }
+            if (['cancelada', 'completada'].includes(broadcast.estado)) {
+                throw new BroadcastStateError(`Broadcast is already ${broadcast.estado}`);
+            }
+
+            const [skipped] = await BroadcastRecipient.update(
+                { estado: 'omitido', error: 'cancelada' },
+                { where: { broadcast_id: id, estado: 'pendiente' } }
+            );
+
+            await broadcast.update({ estado: 'cancelada', finished_at: new Date() });
+            await this.refreshCounters(broadcast);
+
+            logger.info(`Broadcast ${id} cancelled, ${skipped} recipients skipped`);
+            this.notifyProgress(broadcast);
+            return broadcast;
+        } catch (error) {
+            logger.error('Error cancelling broadcast:', error);
+            throw error;
+        }
+    }
+
+    // Los contadores se recalculan desde los destinatarios para que un envío en
+    // curso al cancelar no quede contado dos veces
+    async refreshCounters(broadcast) {
+        const rows = await BroadcastRecipient.findAll({
+            attributes: ['estado', [fn('COUNT', col('id')), 'total']],
+            where: { broadcast_id: broadcast.id },
+            group: ['estado'],
+            raw: true
+        });
+        const counts = Object.fromEntries(rows.map(row => [row.estado, parseInt(row.total, 10)]));
+
+        return broadcast.update({
+            enviados: counts.enviado || 0,
+            fallidos: counts.fallido || 0,
+            omitidos: counts.omitido || 0
+        });
+    }
+
+    // Espera entre mensajes: el ritmo por minuto de la campaña, nunca menos que
+    // RATE_LIMIT_DELAY, más un margen aleatorio para no enviar a intervalos fijos
+    getDelay(broadcast) {
+        const minDelay = this.whatsappService ? this.whatsappService.RATE_LIMIT_DELAY : 0;
+        const baseDelay = Math.max(Math.ceil(60000 / broadcast.por_minuto), minDelay);
+        return baseDelay + Math.floor(Math.random() * this.jitterMs);
+    }
+
+    // Servicio por el que sale la campaña: su sesión (si está en ejecución) o el número de la clínica
+    getSender(broadcast) {
+        if (!broadcast.whatsapp_session) {
+            return this.whatsappService;
+        }
+        return this.getSessionService ? this.getSessionService(broadcast.whatsapp_session) : null;
+    }
+
+    async sendToRecipient(broadcast, recipient, sender) {
+        const lead = await Lead.findByPk(recipient.lead_id, { attributes: ['id', 'telefono', 'nombre'] });
+        const mensaje = fillLeadTemplate(broadcast.plantilla, lead || {});
+
+        try {
+            await sender.sendMessage(`${recipient.telefono}@c.us`, mensaje);
+            await recipient.update({ estado: 'enviado', mensaje, error: null, enviado_at: new Date() });
+        } catch (error) {
+            if (error.code === 'OPTED_OUT') {
+                await recipient.update({ estado: 'omitido', error: 'opt_out' });
+                return;
+            }
+
+            logger.error(`Error sending broadcast ${broadcast.id} to ${recipient.telefono}:`, error);
+            await recipient.update({ estado: 'fallido', mensaje, error: error.message.slice(0, 255) });
+        }
+    }
+
+    // Envía uno a uno los destinatarios pendientes mientras la campaña siga en curso
+    async run(id) {
+        if (this.running.has(id)) {
+            return;
+        }
+        this.running.add(id);
+
+        try {
+            while (true) {
+                const broadcast = await this.findBroadcast(id);
+                if (!broadcast || broadcast.estado !== 'en_curso') {
+                    break;
+                }
+                // Sin conexión se deja en curso; resumeRunning lo retoma al reconectar
+                const sender = this.getSender(broadcast);
+                if (!sender || !sender.isReady) {
+                    logger.warn(`Broadcast ${id} waiting for WhatsApp connection`);
+                    break;
+                }
+
+                const recipient = await BroadcastRecipient.findOne({
+                    where: { broadcast_id: id, estado: 'pendiente' },
+                    order: [['id', 'ASC']]
+                });
+                if (!recipient) {
+                    await broadcast.update({ estado: 'completada', finished_at: new Date() });
+                    logger.info(`Broadcast ${id} completed`);
+                    this.notifyProgress(broadcast);
+                    break;
+                }
+
+                await this.sendToRecipient(broadcast, recipient, sender);
+                this.notifyProgress(await this.refreshCounters(await broadcast.reload()));
+
+                await wait(this.getDelay(broadcast));
+            }
+        } catch (error) {
+            logger.error(`Error running broadcast ${id}:`, error);
+        } finally {
+            this.running.delete(id);
+        }
+    }
+
+    // Retoma las campañas en curso que no tienen ciclo activo (reinicio o reconexión)
+    async resumeRunning() {
+        try {
+            const broadcasts = await Broadcast.findAll({
+                where: { tenant_id: this.tenantId, estado: 'en_curso' },
+                attributes: ['id']
+            });
+
+            for (const broadcast of broadcasts) {
+                if (!this.running.has(broadcast.id)) {
+                    logger.info(`Resuming broadcast ${broadcast.id}`);
+                    this.run(broadcast.id);
+                }
+            }
+        } catch (error) {
+            logger.error('Error resuming broadcasts:', error);
+            throw error;
+        }
+    }
+
+    serializeBroadcast(broadcast) {
+        const processed = broadcast.enviados + broadcast.fallidos + broadcast.omitidos;
+        return {
+            id: broadcast.id,
+            nombre: broadcast.nombre,
+            plantilla: broadcast.plantilla,
+            filtros: broadcast.filtros,
+            estado: broadcast.estado,
+            por_minuto: broadcast.por_minuto,
+            whatsapp_session: broadcast.whatsapp_session,
+            total: broadcast.total,
+            enviados: broadcast.enviados,
+            fallidos: broadcast.fallidos,
+            omitidos: broadcast.omitidos,
+            pendientes: broadcast.total - processed,
+            progreso: broadcast.total > 0 ? Math.round((processed / broadcast.total) * 100) : 0,
+            created_by: broadcast.created_by,
+            started_at: broadcast.started_at,
+            finished_at: broadcast.finished_at,
+            createdAt: broadcast.createdAt
+        };
+    }
+
+    notifyProgress(broadcast) {
+        socketNotifier.emitToTenant(this.tenantId, 'broadcast-progress', this.serializeBroadcast(broadcast));
+    }
+
+    async getBroadcast(id) {
+        try {
+            const broadcast = await this.findBroadcast(id);
+            return broadcast ? this.serializeBroadcast(broadcast) : null;
+        } catch (error) {
+            logger.error('Error getting broadcast:', error);
+            throw error;
+        }
+    }
+
+    async listBroadcasts({ estado } = {}) {
+        try {
+            const where = { tenant_id: this.tenantId };
+            if (estado) where.estado = estado;
+
+            const broadcasts = await Broadcast.findAll({
+                where,
+                order: [['id', 'DESC']],
+                limit: 100
+            });
+            return broadcasts.map(broadcast => this.serializeBroadcast(broadcast));
+        } catch (error) {
+            logger.error('Error listing broadcasts:', error);
+            throw error;
+        }
+    }
+
+    async getRecipients(id, { estado } = {}) {
+        try {
+            if (!(await this.findBroadcast(id))) {
+                return null;
+            }
+
+            const where = { broadcast_id: id };
+            if (estado) where.estado = estado;
+
+            return await BroadcastRecipient.findAll({
+                where,
+                include: [{ model: Lead, as: 'lead', attributes: ['nombre', 'ubicacion'] }],
+                order: [['id', 'ASC']]
+            });
+        } catch (error) {
+            logger.error('Error getting broadcast recipients:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = BroadcastService;
+module.exports.BroadcastStateError = BroadcastStateError;
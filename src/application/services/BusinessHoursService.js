@@ -0,0 +1,190 @@
+const { getDefaultTenant } = require('../../infrastructure/config/tenantContext');
+const {
+    getDateString,
+    getTimeString,
+    zonedDateTimeToDate,
+    addDaysToDateString,
+    getWeekdayOfDateString
+} = require('../../utils/dateUtils');
+const { joinNames, DAY_NAMES } = require('../../utils/clinicUtils');
+
+// Días hacia adelante en que se busca la próxima apertura
+const MAX_LOOKAHEAD_DAYS = 60;
+
+class BusinessHoursService {
+    constructor(tenant = getDefaultTenant()) {
+        this.clinic = tenant.clinic;
+    }
+
+    // Domingo de Pascua (algoritmo de Meeus/Jones/Butcher), en formato YYYY-MM-DD
+    getEasterSunday(year) {
+        const a = year % 19;
+        const b = Math.floor(year / 100);
+        const c = year % 100;
+        const d = Math.floor(b / 4);
+        const e = b % 4;
+        const f = Math.floor((b + 8) / 25);
+        const g = Math.floor((b - f + 1) / 3);
+        const h = (19 * a + b - d - g + 15) % 30;
+        const i = Math.floor(c / 4);
+        const k = c % 4;
+        const l = (32 + 2 * e + 2 * i - h - k) % 7;
+        const m = Math.floor((a + 11 * h + 22 * l) / 451);
+        const month = Math.floor((h + l - 7 * m + 114) / 31);
+        const day = ((h + l - 7 * m + 114) % 31) + 1;
+
+        return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    }
+
+    getHolidays(year) {
+        const { fixed = [], easter = [], extra = [] } = this.clinic.holidays || {};
+        const easterSunday = this.getEasterSunday(year);
+
+        const holidays = [
+            ...fixed.map(holiday => ({ date: `${year}-${holiday.date}`, name: holiday.name })),
+            ...easter.map(holiday => ({ date: addDaysToDateString(easterSunday, holiday.offset), name: holiday.name })),
+            ...extra.filter(holiday => holiday.date.startsWith(`${year}-`))
+        ];
+
+        return holidays.sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    getHoliday(fecha) {
+        const holiday = this.getHolidays(parseInt(fecha.slice(0, 4), 10)).find(item => item.date === fecha);
+        return holiday ? holiday.name : null;
+    }
+
+    getSedeException(sedeKey, fecha) {
+        const sede = this.clinic.sedes[sedeKey];
+        return (sede && sede.exceptions || []).find(exception => exception.date === fecha) || null;
+    }
+
+    // Turnos en que se atiende ese día en la sede (o en alguna sede si no se indica)
+    // y, si no se atiende, el motivo: dia_no_laborable, feriado o sede_cerrada
+    checkDay(fecha, sedeKey = null) {
+        if (!this.clinic.workingDays.includes(getWeekdayOfDateString(fecha))) {
+            return { open: false, turns: [], reason: 'dia_no_laborable' };
+        }
+
+        const holiday = this.getHoliday(fecha);
+        if (holiday) {
+            return { open: false, turns: [], reason: 'feriado', holiday };
+        }
+
+        const allTurns = Object.keys(this.clinic.turns);
+        const openTurns = new Set();
+        let exception = null;
+
+        for (const key of sedeKey ? [sedeKey] : Object.keys(this.clinic.sedes)) {
+            const sedeException = this.getSedeException(key, fecha);
+            exception = exception || sedeException;
+            if (sedeException && sedeException.closed) {
+                continue;
+            }
+            (sedeException && sedeException.turns ? sedeException.turns : allTurns)
+                .forEach(turn => openTurns.add(turn));
+        }
+
+        const turns = allTurns.filter(turn => openTurns.has(turn));
+        if (turns.length === 0) {
+            return { open: false, turns: [], reason: 'sede_cerrada', exception };
+        }
+        return { open: true, turns, exception };
+    }
+
+    isClinicDay(fecha) {
+        return this.checkDay(fecha).open;
+    }
+
+    // Primer instante desde date en que hay atención (date mismo si ya está abierto)
+    getNextOpening(date = new Date(), sedeKey = null) {
+        const today = getDateString(date, this.clinic.timezone);
+        const time = getTimeString(date, this.clinic.timezone);
+
+        for (let i = 0; i < MAX_LOOKAHEAD_DAYS; i++) {
+            const fecha = addDaysToDateString(today, i);
+            const day = this.checkDay(fecha, sedeKey);
+
+            for (const key of day.turns) {
+                const turn = this.clinic.turns[key];
+                if (i > 0 || time < turn.start) {
+                    return zonedDateTimeToDate(fecha, turn.start, this.clinic.timezone);
+                }
+                if (time < turn.end) {
+                    return date;
+                }
+            }
+        }
+
+        return null;
+    }
+
+    getStatus(date = new Date()) {
+        const fecha = getDateString(date, this.clinic.timezone);
+        const time = getTimeString(date, this.clinic.timezone);
+        const day = this.checkDay(fecha);
+
+        const turno = day.turns.find(key => time >= this.clinic.turns[key].start && time < this.clinic.turns[key].end);
+        if (turno) {
+            return { open: true, fecha, turno, closesAt: this.clinic.turns[turno].end };
+        }
+
+        return {
+            open: false,
+            fecha,
+            reason: day.open ? 'fuera_de_horario' : day.reason,
+            holiday: day.holiday || null,
+            nextOpening: this.getNextOpening(date)
+        };
+    }
+
+    // "hoy a las 15:00", "mañana a las 09:00" o "el lunes 03/11 a las 09:00"
+    formatOpening(opening, from = new Date()) {
+        const fecha = getDateString(opening, this.clinic.timezone);
+        const time = getTimeString(opening, this.clinic.timezone);
+        const today = getDateString(from, this.clinic.timezone);
+
+        if (fecha === today) return `hoy a las ${time}`;
+        if (fecha === addDaysToDateString(today, 1)) return `mañana a las ${time}`;
+
+        const [, month, day] = fecha.split('-');
+        return `el ${DAY_NAMES[getWeekdayOfDateString(fecha)]} ${day}/${month} a las ${time}`;
+    }
+
+    // Estado de la clínica en una línea, para el prompt del modelo
+    describeStatus(date = new Date()) {
+        const status = this.getStatus(date);
+        const fecha = status.fecha;
+
+        let text;
+        if (status.open) {
+            text = `ABIERTA ahora (turno ${this.clinic.turns[status.turno].label.toLowerCase()} hasta las ${status.closesAt})`;
+        } else {
+            const reasons = {
+                feriado: `feriado: ${status.holiday}`,
+                dia_no_laborable: 'hoy no es día de atención',
+                sede_cerrada: 'las sedes no atienden hoy',
+                fuera_de_horario: 'fuera del horario de atención'
+            };
+            text = `CERRADA ahora (${reasons[status.reason]})`;
+            if (status.nextOpening) {
+                text += `. Próxima atención: ${this.formatOpening(status.nextOpening, date)}`;
+            }
+        }
+
+        // Sedes con horario especial hoy
+        const notes = Object.entries(this.clinic.sedes)
+            .map(([key, sede]) => ({ sede, exception: this.getSedeException(key, fecha) }))
+            .filter(({ exception }) => exception)
+            .map(({ sede, exception }) => {
+                const detail = exception.closed
+                    ? 'no atiende'
+                    : `solo atiende en el turno ${joinNames(exception.turns.map(turn => this.clinic.turns[turn].label.toLowerCase()))}`;
+                return `Hoy la sede ${sede.name} ${detail}${exception.reason ? ` (${exception.reason})` : ''}`;
+            });
+
+        return [text, ...notes].join('. ');
+    }
+}
+
+module.exports = BusinessHoursService;
@@ -0,0 +1,263 @@
+const { ClinicSetting } = require('../../infrastructure/database/models');
+const { getDefaultTenant, getBaseClinicConfig } = require('../../infrastructure/config/tenantContext');
+const { logger } = require('../../utils/logger');
+const { isValidTimeZone } = require('../../utils/dateUtils');
+
+const SETTINGS_KEY = 'clinic';
+
+// Secciones de la configuración de la clínica que se pueden editar desde la API
+const EDITABLE_SECTIONS = ['name', 'timezone', 'country', 'region', 'currency', 'sedes', 'services', 'turns', 'workingDays', 'holidays', 'payment', 'phones'];
+
+// Secciones con un objeto por clave (sede, servicio, turno, teléfono): los cambios se combinan por clave
+const KEYED_SECTIONS = ['sedes', 'services', 'turns', 'phones'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+const MONTH_DAY_PATTERN = /^(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+const CURRENCY_CODE_PATTERN = /^[A-Z]{3}$/;
+
+class ClinicConfigError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ClinicConfigError';
+        this.code = 'INVALID_CLINIC_CONFIG';
+    }
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+const isStringList = (value) => Array.isArray(value) && value.every(isNonEmptyString);
+
+// Las clínicas guardadas antes de que estos datos fueran propios de cada una se crearon
+// con los de la principal: se completan con ellos para que sigan funcionando igual
+function withInheritedSections(valor) {
+    const base = getBaseClinicConfig();
+    const filled = { ...valor };
+    for (const section of ['country', 'region', 'currency']) {
+        if (!(section in filled)) {
+            filled[section] = base[section];
+        }
+    }
+    if (isPlainObject(filled.holidays) && !('easter' in filled.holidays)) {
+        filled.holidays = { ...filled.holidays, easter: base.holidays.easter };
+    }
+    return filled;
+}
+
+class ClinicConfigService {
+    // tenant.clinic es el mismo objeto que leen los demás servicios de la clínica:
+    // los cambios se aplican sobre él para que todos vean los datos nuevos sin reiniciar
+    constructor(tenant = getDefaultTenant()) {
+        this.tenant = tenant;
+        this.tenantId = tenant.id;
+        this.clinic = tenant.clinic;
+    }
+
+    getEditableConfig() {
+        return Object.fromEntries(EDITABLE_SECTIONS.map(section => [section, this.clinic[section]]));
+    }
+
+    // Combina los cambios con los datos actuales; las secciones por clave conservan
+    // los campos que no se enviaron y no permiten eliminar claves existentes
+    mergeChanges(current, changes) {
+        const merged = { ...current };
+
+        for (const [section, value] of Object.entries(changes)) {
+            if (!EDITABLE_SECTIONS.includes(section)) {
+                throw new ClinicConfigError(`Unknown clinic section: ${section}`);
+            }
+
+            if (KEYED_SECTIONS.includes(section)) {
+                if (!isPlainObject(value)) {
+                    throw new ClinicConfigError(`${section} must be an object`);
+                }
+                merged[section] = { ...current[section] };
+                for (const [key, item] of Object.entries(value)) {
+                    if (!isPlainObject(item)) {
+                        throw new ClinicConfigError(`${section}.${key} must be an object`);
+                    }
+                    merged[section][key] = { ...(current[section][key] || {}), ...item };
+                }
+            } else if (['payment', 'holidays', 'currency'].includes(section)) {
+                if (!isPlainObject(value)) {
+                    throw new ClinicConfigError(`${section} must be an object`);
+                }
+                merged[section] = { ...current[section], ...value };
+            } else {
+                merged[section] = value;
+            }
+        }
+
+        return merged;
+    }
+
+    validate(clinic) {
+        if (!isNonEmptyString(clinic.name)) {
+            throw new ClinicConfigError('name is required');
+        }
+        if (!isValidTimeZone(clinic.timezone)) {
+            throw new ClinicConfigError('timezone must be a valid IANA time zone (e.g. America/Lima)');
+        }
+        if (!isNonEmptyString(clinic.country)) {
+            throw new ClinicConfigError('country is required');
+        }
+        if (clinic.region !== null && clinic.region !== undefined && !isNonEmptyString(clinic.region)) {
+            throw new ClinicConfigError('region must be a non-empty string or null');
+        }
+        if (!isPlainObject(clinic.currency) || !CURRENCY_CODE_PATTERN.test(clinic.currency.code) ||
+            !isNonEmptyString(clinic.currency.symbol)) {
+            throw new ClinicConfigError('currency requires code (ISO 4217, e.g. PEN) and symbol');
+        }
+
+        if (Object.keys(clinic.sedes).length === 0) {
+            throw new ClinicConfigError('At least one sede is required');
+        }
+        for (const [key, sede] of Object.entries(clinic.sedes)) {
+            if (!isNonEmptyString(sede.name) || !isNonEmptyString(sede.address)) {
+                throw new ClinicConfigError(`sedes.${key} requires name and address`);
+            }
+            if (!Number.isInteger(sede.capacityPerTurn) || sede.capacityPerTurn < 0) {
+                throw new ClinicConfigError(`sedes.${key}.capacityPerTurn must be a non-negative integer`);
+            }
+            if (sede.aliases !== undefined && !isStringList(sede.aliases)) {
+                throw new ClinicConfigError(`sedes.${key}.aliases must be a list of strings`);
+            }
+            if (sede.exceptions !== undefined) {
+                if (!Array.isArray(sede.exceptions)) {
+                    throw new ClinicConfigError(`sedes.${key}.exceptions must be a list`);
+                }
+                for (const exception of sede.exceptions) {
+                    if (!isPlainObject(exception) || !DATE_PATTERN.test(exception.date)) {
+                        throw new ClinicConfigError(`sedes.${key}.exceptions require date (YYYY-MM-DD)`);
+                    }
+                    const validTurns = Array.isArray(exception.turns) &&
+                        exception.turns.every(turn => clinic.turns[turn]);
+                    if (exception.closed !== true && !validTurns) {
+                        throw new ClinicConfigError(`sedes.${key}.exceptions require closed: true or a list of existing turns`);
+                    }
+                }
+            }
+        }
+
+        if (Object.keys(clinic.services).length === 0) {
+            throw new ClinicConfigError('At least one service is required');
+        }
+        for (const [key, service] of Object.entries(clinic.services)) {
+            if (!isNonEmptyString(service.name)) {
+                throw new ClinicConfigError(`services.${key} requires name`);
+            }
+            if (typeof service.price !== 'number' || service.price < 0) {
+                throw new ClinicConfigError(`services.${key}.price must be a non-negative number`);
+            }
+            for (const list of ['includes', 'preparation']) {
+                if (service[list] !== undefined && !isStringList(service[list])) {
+                    throw new ClinicConfigError(`services.${key}.${list} must be a list of strings`);
+                }
+            }
+        }
+
+        if (Object.keys(clinic.turns).length === 0) {
+            throw new ClinicConfigError('At least one turn is required');
+        }
+        for (const [key, turn] of Object.entries(clinic.turns)) {
+            if (!isNonEmptyString(turn.label) || !TIME_PATTERN.test(turn.start) || !TIME_PATTERN.test(turn.end)) {
+                throw new ClinicConfigError(`turns.${key} requires label, start and end (HH:MM)`);
+            }
+            if (turn.start >= turn.end) {
+                throw new ClinicConfigError(`turns.${key}.start must be before end`);
+            }
+        }
+
+        const days = clinic.workingDays;
+        if (!Array.isArray(days) || days.length === 0 ||
+            !days.every(day => Number.isInteger(day) && day >= 0 && day <= 6) ||
+            new Set(days).size !== days.length) {
+            throw new ClinicConfigError('workingDays must be a list of distinct days between 0 and 6');
+        }
+
+        const { fixed, easter, extra } = clinic.holidays;
+        if (!Array.isArray(fixed) || !fixed.every(holiday => isPlainObject(holiday) &&
+            MONTH_DAY_PATTERN.test(holiday.date) && isNonEmptyString(holiday.name))) {
+            throw new ClinicConfigError('holidays.fixed must be a list of { date: MM-DD, name }');
+        }
+        if (!Array.isArray(easter) || !easter.every(holiday => isPlainObject(holiday) &&
+            Number.isInteger(holiday.offset) && isNonEmptyString(holiday.name))) {
+            throw new ClinicConfigError('holidays.easter must be a list of { offset: days from Easter Sunday, name }');
+        }
+        if (!Array.isArray(extra) || !extra.every(holiday => isPlainObject(holiday) &&
+            DATE_PATTERN.test(holiday.date) && isNonEmptyString(holiday.name))) {
+            throw new ClinicConfigError('holidays.extra must be a list of { date: YYYY-MM-DD, name }');
+        }
+
+        if (!isStringList(clinic.payment.methods)) {
+            throw new ClinicConfigError('payment.methods must be a list of strings');
+        }
+        for (const [key, phone] of Object.entries(clinic.phones)) {
+            if (!isNonEmptyString(phone.label) || !isNonEmptyString(phone.number)) {
+                throw new ClinicConfigError(`phones.${key} requires label and number`);
+            }
+        }
+    }
+
+    apply(clinic) {
+        for (const section of EDITABLE_SECTIONS) {
+            this.clinic[section] = clinic[section];
+        }
+    }
+
+    // Configuración que resultaría de aplicar los cambios, ya validada
+    preview(changes) {
+        if (!isPlainObject(changes) || Object.keys(changes).length === 0) {
+            throw new ClinicConfigError('No changes provided');
+        }
+
+        const clinic = this.mergeChanges(this.getEditableConfig(), changes);
+        this.validate(clinic);
+        return clinic;
+    }
+
+    // Aplica los cambios guardados sobre los valores de config.js
+    async load() {
+        try {
+            const setting = await ClinicSetting.findOne({ where: { tenant_id: this.tenantId, clave: SETTINGS_KEY } });
+            if (!setting) {
+                logger.info(`Using default clinic configuration for tenant ${this.tenant.slug}`);
+                return this.getEditableConfig();
+            }
+
+            const clinic = this.mergeChanges(this.getEditableConfig(), withInheritedSections(setting.valor));
+            this.validate(clinic);
+            this.apply(clinic);
+
+            logger.info(`Clinic configuration loaded from database for tenant ${this.tenant.slug}`);
+            return this.getEditableConfig();
+        } catch (error) {
+            logger.error('Error loading clinic configuration:', error);
+            throw error;
+        }
+    }
+
+    async update(changes, updatedBy = null) {
+        try {
+            const clinic = this.preview(changes);
+
+            const [setting, created] = await ClinicSetting.findOrCreate({
+                where: { tenant_id: this.tenantId, clave: SETTINGS_KEY },
+                defaults: { valor: clinic, updated_by: updatedBy }
+            });
+            if (!created) {
+                await setting.update({ valor: clinic, updated_by: updatedBy });
+            }
+
+            this.apply(clinic);
+            logger.info(`Clinic configuration of tenant ${this.tenant.slug} updated by ${updatedBy || 'system'}: ${Object.keys(changes).join(', ')}`);
+            return this.getEditableConfig();
+        } catch (error) {
+            logger.error('Error updating clinic configuration:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = ClinicConfigService;
+module.exports.ClinicConfigError = ClinicConfigError;
@@ -0,0 +1,138 @@
+const { ContactConsent } = require('../../infrastructure/database/models');
+const { getDefaultTenant } = require('../../infrastructure/config/tenantContext');
+const { logger } = require('../../utils/logger');
+const { normalizeText } = require('../../utils/textUtils');
+
+// Mensajes que por sí solos piden la baja, y frases que la piden dentro de un texto más largo
+const OPT_OUT_KEYWORDS = ['baja', 'stop', 'detener', 'cancelar suscripcion'];
+const OPT_OUT_PHRASES = [
+    'no me escriban',
+    'no me escribas',
+    'no me vuelvan a escribir',
+    'dejen de escribirme',
+    'deja de escribirme',
+    'no quiero recibir mas mensajes',
+    'no me envien mas mensajes',
+    'darme de baja',
+    'dame de baja',
+    'denme de baja'
+];
+const OPT_IN_KEYWORDS = ['alta', 'start'];
+
+const cleanMessage = (text) => normalizeText(text).replace(/[^a-z0-9ñ ]/g, ' ').replace(/\s+/g, ' ').trim();
+
+class OptOutError extends Error {
+    constructor(telefono) {
+        super(`Recipient ${telefono} has opted out of messages`);
+        this.name = 'OptOutError';
+        this.code = 'OPTED_OUT';
+        this.telefono = telefono;
+    }
+}
+
+class ConsentService {
+    constructor(tenant = getDefaultTenant()) {
+        this.tenantId = tenant.id;
+    }
+
+    isOptOutMessage(text) {
+        if (!text) return false;
+        const value = cleanMessage(text);
+        return OPT_OUT_KEYWORDS.includes(value) || OPT_OUT_PHRASES.some(phrase => value.includes(phrase));
+    }
+
+    isOptInMessage(text) {
+        if (!text) return false;
+        return OPT_IN_KEYWORDS.includes(cleanMessage(text));
+    }
+
+    async isOptedOut(telefono) {
+        try {
+            const consent = await ContactConsent.findOne({ where: { tenant_id: this.tenantId, telefono, opted_out: true }, attributes: ['id'] });
+            return Boolean(consent);
+        } catch (error) {
+            logger.error('Error checking opt-out:', error);
+            throw error;
+        }
+    }
+
+    async optOut(telefono, { source = 'keyword', motivo = null, agentId = null } = {}) {
+        try {
+            const [consent] = await ContactConsent.findOrCreate({
+                where: { tenant_id: this.tenantId, telefono },
+                defaults: { tenant_id: this.tenantId, telefono }
+            });
+
+            await consent.update({
+                opted_out: true,
+                source,
+                motivo,
+                agent_id: agentId,
+                opted_out_at: new Date()
+            });
+
+            logger.info(`${telefono} opted out (${source})`);
+            return consent;
+        } catch (error) {
+            logger.error('Error registering opt-out:', error);
+            throw error;
+        }
+    }
+
+    async optIn(telefono, { source = 'keyword', agentId = null } = {}) {
+        try {
+            const consent = await ContactConsent.findOne({ where: { tenant_id: this.tenantId, telefono } });
+            if (!consent || !consent.opted_out) {
+                return consent;
+            }
+
+            await consent.update({
+                opted_out: false,
+                source,
+                agent_id: agentId,
+                opted_in_at: new Date()
+            });
+
+            logger.info(`${telefono} opted back in (${source})`);
+            return consent;
+        } catch (error) {
+            logger.error('Error registering opt-in:', error);
+            throw error;
+        }
+    }
+
+    // Punto único de control para los envíos: las respuestas a un mensaje del
+    // paciente siempre salen; el resto se bloquea si el número pidió la baja
+    async assertCanSend(telefono, { isReply = false } = {}) {
+        if (isReply) {
+            return;
+        }
+
+        const consent = await ContactConsent.findOne({ where: { tenant_id: this.tenantId, telefono, opted_out: true } });
+        if (!consent) {
+            return;
+        }
+
+        await consent.update({
+            blocked_count: consent.blocked_count + 1,
+            last_blocked_at: new Date()
+        });
+        logger.warn(`Outbound message to ${telefono} blocked: recipient opted out`);
+        throw new OptOutError(telefono);
+    }
+
+    async listOptOuts() {
+        try {
+            return await ContactConsent.findAll({
+                where: { tenant_id: this.tenantId, opted_out: true },
+                order: [['opted_out_at', 'DESC']]
+            });
+        } catch (error) {
+            logger.error('Error listing opt-outs:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = ConsentService;
+module.exports.OptOutError = OptOutError;
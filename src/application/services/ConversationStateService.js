@@ -1,4 +1,6 @@
 const { logger } = require('../../utils/logger');
+const { getDefaultTenant, DEFAULT_TENANT_ID } = require('../../infrastructure/config/tenantContext');
+const { getDateString } = require('../../utils/dateUtils');
 const path = require('path');
 const fs = require('fs');
 
@@ -13,22 +15,52 @@ const CONVERSATION_STATES = {
     FINISHED: 'FINISHED'
 };
 
+// Un almacén por clínica (ver forTenant): todos sus números escriben el mismo archivo
+const stores = new Map();
+
 class ConversationStateService {
-    constructor() {
+    constructor(tenant = getDefaultTenant()) {
+        this.clinic = tenant.clinic;
         this.conversations = new Map();
         this.lastInteraction = new Map();
         this.maxConcurrentConversations = 100; // Límite de conversaciones simultáneas
         this.conversationTimeout = 30 * 60 * 1000; // 30 minutos
-        this.persistencePath = path.join(process.cwd(), 'data', 'conversations.json');
+        // La clínica principal conserva el archivo de antes de tener varias clínicas
+        const fileName = tenant.id === DEFAULT_TENANT_ID ? 'conversations.json' : `conversations-${tenant.slug}.json`;
+        this.persistencePath = path.join(process.cwd(), 'data', fileName);
         
         // Cargar estados persistentes
         this.loadPersistedStates();
         
         // Limpiar conversaciones inactivas cada hora
-        setInterval(() => this.cleanupInactiveConversations(), 3600000);
+        this.cleanupTimer = setInterval(() => this.cleanupInactiveConversations(), 3600000);
         
         // Guardar estados cada 5 minutos
-        setInterval(() => this.persistStates(), 300000);
+        this.persistTimer = setInterval(() => this.persistStates(), 300000);
+    }
+
+    // Almacén compartido de la clínica; se crea la primera vez que se pide
+    static forTenant(tenant = getDefaultTenant()) {
+        if (!stores.has(tenant.id)) {
+            stores.set(tenant.id, new ConversationStateService(tenant));
+        }
+        return stores.get(tenant.id);
+    }
+
+    // Al detener la clínica: guarda los estados y detiene los timers de su almacén
+    static async disposeTenant(tenantId) {
+        const store = stores.get(tenantId);
+        if (!store) {
+            return;
+        }
+        stores.delete(tenantId);
+        await store.dispose();
+    }
+
+    async dispose() {
+        clearInterval(this.cleanupTimer);
+        clearInterval(this.persistTimer);
+        await this.persistStates();
     }
 
     async loadPersistedStates() {
@@ -131,21 +163,18 @@ class ConversationStateService {
         this.lastInteraction.set(userId, new Date());
     }
 
+    // Mismo día calendario en la zona horaria de la clínica
+    isSameLocalDay(a, b) {
+        return getDateString(a, this.clinic.timezone) === getDateString(b, this.clinic.timezone);
+    }
+
     hasBeenGreetedToday(userId) {
         const state = this.getCurrentState(userId);
         if (!state.data.hasBeenGreeted) {
             return false;
         }
 
-        const lastUpdate = new Date(state.data.lastUpdate);
-        const now = new Date();
-        
-        // Convertir a UTC-5 (Perú)
-        const peruTime = new Date(now.getTime() - (5 * 60 * 60 * 1000));
-        const lastUpdatePeru = new Date(lastUpdate.getTime() - (5 * 60 * 60 * 1000));
-
-        // Verificar si es el mismo día en UTC-5
-        return peruTime.toDateString() === lastUpdatePeru.toDateString();
+        return this.isSameLocalDay(new Date(state.data.lastUpdate), new Date());
     }
 
     isFirstTimeUser(userId) {
@@ -171,15 +200,7 @@ class ConversationStateService {
             return false;
         }
 
-        const lastUpdate = new Date(state.data.lastUpdate);
-        const now = new Date();
-        
-        // Convertir a UTC-5 (Perú)
-        const peruTime = new Date(now.getTime() - (5 * 60 * 60 * 1000));
-        const lastUpdatePeru = new Date(lastUpdate.getTime() - (5 * 60 * 60 * 1000));
-
-        // Verificar si es el mismo día en UTC-5
-        return peruTime.toDateString() === lastUpdatePeru.toDateString();
+        return this.isSameLocalDay(new Date(state.data.lastUpdate), new Date());
     }
 
     markLeadAsProcessed(userId) {
@@ -206,7 +227,7 @@ class ConversationStateService {
         }
 
         if (state.data.lastAppointment) {
-            summary += `[ÚLTIMA CITA: ${state.data.lastAppointment}]\n`;
+            summary += `[ÚLTIMA CITA: ${state.data.lastAppointment.description}]\n`;
         }
 
         return summary;
@@ -229,7 +250,17 @@ class ConversationStateService {
 
     getRecentInteractions(userId, limit = 3) {
         const state = this.getCurrentState(userId);
-        return state.data.recentInteractions || [];
+        return (state.data.recentInteractions || []).slice(-limit);
+    }
+
+    addInteraction(userId, type, details) {
+        const currentState = this.getCurrentState(userId);
+        const recentInteractions = [
+            ...(currentState.data.recentInteractions || []),
+            { type, details, timestamp: new Date() }
+        ].slice(-10);
+
+        this.updateState(userId, currentState.state, { recentInteractions });
     }
 
     cleanupInactiveConversations() {
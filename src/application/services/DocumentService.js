@@ -0,0 +1,87 @@
+const { LeadDocument, Lead } = require('../../infrastructure/database/models');
+const { getLikeOperator } = require('../../infrastructure/database/queryUtils');
+const { getDefaultTenant } = require('../../infrastructure/config/tenantContext');
+const { logger } = require('../../utils/logger');
+const { Op } = require('sequelize');
+
+class DocumentService {
+    constructor(tenant = getDefaultTenant()) {
+        this.tenantId = tenant.id;
+    }
+
+    async saveDocument(data) {
+        try {
+            const {
+                telefono,
+                messageId = null,
+                fileName = null,
+                mimetype,
+                size,
+                url,
+                publicId = null,
+                extractedText = null,
+                summary = null
+            } = data;
+
+            const lead = await Lead.findOne({ where: { tenant_id: this.tenantId, telefono }, attributes: ['id'] });
+
+            const document = await LeadDocument.create({
+                tenant_id: this.tenantId,
+                lead_id: lead ? lead.id : null,
+                message_id: messageId,
+                telefono,
+                file_name: fileName,
+                mimetype,
+                size,
+                url,
+                public_id: publicId,
+                extracted_text: extractedText,
+                summary
+            });
+
+            logger.info(`Document ${document.id} saved for ${telefono}`);
+            return document;
+        } catch (error) {
+            logger.error('Error saving document:', error);
+            throw error;
+        }
+    }
+
+    async findDocuments({ telefono, q, limit = 50 } = {}) {
+        try {
+            const where = { tenant_id: this.tenantId };
+            if (telefono) {
+                where.telefono = telefono;
+            }
+            if (q) {
+                const like = getLikeOperator();
+                where[Op.or] = [
+                    { file_name: { [like]: `%${q}%` } },
+                    { summary: { [like]: `%${q}%` } },
+                    { extracted_text: { [like]: `%${q}%` } }
+                ];
+            }
+
+            return await LeadDocument.findAll({
+                where,
+                attributes: { exclude: ['extracted_text'] },
+                order: [['created_at', 'DESC']],
+                limit: Math.min(parseInt(limit, 10) || 50, 200)
+            });
+        } catch (error) {
+            logger.error('Error finding documents:', error);
+            throw error;
+        }
+    }
+
+    async getDocument(id) {
+        try {
+            return await LeadDocument.findOne({ where: { id, tenant_id: this.tenantId } });
+        } catch (error) {
+            logger.error('Error getting document:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = DocumentService;
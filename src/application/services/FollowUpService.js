@@ -0,0 +1,307 @@
+const { Lead, Appointment, FollowUp, FollowUpAttempt } = require('../../infrastructure/database/models');
+const { getDefaultTenant } = require('../../infrastructure/config/tenantContext');
+const { logger } = require('../../utils/logger');
+const {
+    getDateString,
+    getTimeString,
+    zonedDateTimeToDate,
+    addDaysToDateString
+} = require('../../utils/dateUtils');
+const { fillLeadTemplate } = require('../../utils/textUtils');
+const { joinNames } = require('../../utils/clinicUtils');
+const { ACTIVE_APPOINTMENT_STATES } = require('./AppointmentService');
+const MessageHistoryService = require('./MessageHistoryService');
+const ConsentService = require('./ConsentService');
+const BusinessHoursService = require('./BusinessHoursService');
+const { Op } = require('sequelize');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+class FollowUpService {
+    // getReplyService(nombre): servicio del número de la clínica guardado en el lead
+    constructor(whatsappService = null, openaiService = null, tenant = getDefaultTenant(), getReplyService = null) {
+        this.whatsappService = whatsappService;
+        this.getReplyService = getReplyService;
+        this.openaiService = openaiService;
+        this.tenantId = tenant.id;
+        this.clinic = tenant.clinic;
+        this.businessHours = new BusinessHoursService(tenant);
+        this.messageHistoryService = new MessageHistoryService(tenant);
+        this.consentService = new ConsentService(tenant);
+    }
+
+    // Los seguimientos solo salen en días de atención (no feriados), entre el inicio del
+    // primer turno y el fin del último (se calcula en cada uso: los turnos se editan por la API)
+    getSendWindow() {
+        const turns = Object.values(this.clinic.turns);
+        return {
+            start: turns.map(turn => turn.start).sort()[0],
+            end: turns.map(turn => turn.end).sort().reverse()[0]
+        };
+    }
+
+    // El seguimiento sale por el número por el que escribió el paciente
+    getSender(lead) {
+        if (!lead || !lead.whatsapp_session || !this.getReplyService) {
+            return this.whatsappService;
+        }
+        return this.getReplyService(lead.whatsapp_session);
+    }
+
+    getSequence(name) {
+        return this.clinic.followUps[name] || null;
+    }
+
+    // Primer instante dentro del horario de atención a partir de date
+    getNextSendTime(date) {
+        let day = getDateString(date, this.clinic.timezone);
+        const time = getTimeString(date, this.clinic.timezone);
+        const sendWindow = this.getSendWindow();
+
+        // Dos semanas alcanzan aunque se junten feriados con el fin de semana
+        for (let i = 0; i < 15; i++) {
+            if (this.businessHours.isClinicDay(day)) {
+                if (i > 0 || time < sendWindow.start) {
+                    return zonedDateTimeToDate(day, sendWindow.start, this.clinic.timezone);
+                }
+                if (time < sendWindow.end) {
+                    return date;
+                }
+            }
+            day = addDaysToDateString(day, 1);
+        }
+
+        return date;
+    }
+
+    async startSequence(telefono, sequenceName) {
+        try {
+            const sequence = this.getSequence(sequenceName);
+            if (!sequence || sequence.steps.length === 0) {
+                throw new Error(`Unknown follow-up sequence: ${sequenceName}`);
+            }
+
+            const lead = await Lead.findOne({ where: { tenant_id: this.tenantId, telefono }, attributes: ['id'] });
+            if (!lead) {
+                return null;
+            }
+
+            // Una sola secuencia activa por lead; la primera que se disparó tiene prioridad
+            const active = await FollowUp.findOne({ where: { tenant_id: this.tenantId, telefono, estado: 'activa' } });
+            if (active) {
+                return active;
+            }
+
+            const followUp = await FollowUp.create({
+                tenant_id: this.tenantId,
+                lead_id: lead.id,
+                telefono,
+                secuencia: sequenceName,
+                paso: 0,
+                estado: 'activa',
+                proximo_envio_at: new Date(Date.now() + sequence.steps[0].delayHours * HOUR_MS)
+            });
+
+            logger.info(`Follow-up sequence ${sequenceName} started for ${telefono}`);
+            return followUp;
+        } catch (error) {
+            logger.error('Error starting follow-up sequence:', error);
+            throw error;
+        }
+    }
+
+    async stopSequences(telefono, reason) {
+        try {
+            const [stopped] = await FollowUp.update(
+                { estado: 'detenida', motivo_detencion: reason, proximo_envio_at: null },
+                { where: { tenant_id: this.tenantId, telefono, estado: 'activa' } }
+            );
+
+            if (stopped > 0) {
+                logger.info(`Follow-up sequences stopped for ${telefono}: ${reason}`);
+            }
+            return stopped;
+        } catch (error) {
+            logger.error('Error stopping follow-up sequences:', error);
+            throw error;
+        }
+    }
+
+    async stopSequence(id, reason) {
+        try {
+            const followUp = await FollowUp.findOne({ where: { id, tenant_id: this.tenantId } });
+            if (!followUp) {
+                return null;
+            }
+
+            if (followUp.estado === 'activa') {
+                await followUp.update({ estado: 'detenida', motivo_detencion: reason, proximo_envio_at: null });
+            }
+            return followUp;
+        } catch (error) {
+            logger.error('Error stopping follow-up sequence:', error);
+            throw error;
+        }
+    }
+
+    // Motivo para no seguir escribiendo al paciente, o null si se puede continuar
+    async getStopReason(followUp) {
+        const lead = await Lead.findByPk(followUp.lead_id, { attributes: ['id', 'is_bot_active'] });
+        if (!lead) {
+            return 'lead_eliminado';
+        }
+        if (!lead.is_bot_active) {
+            return 'atendido_por_gestor';
+        }
+        if (await this.consentService.isOptedOut(followUp.telefono)) {
+            return 'opt_out';
+        }
+
+        const appointment = await Appointment.findOne({
+            where: {
+                tenant_id: this.tenantId,
+                telefono: followUp.telefono,
+                estado: { [Op.in]: ACTIVE_APPOINTMENT_STATES },
+                fecha: { [Op.gte]: getDateString(new Date(), this.clinic.timezone) }
+            },
+            attributes: ['id']
+        });
+        if (appointment) {
+            return 'agendo';
+        }
+
+        return null;
+    }
+
+    // Además de {nombre}, las plantillas usan el nombre y las sedes de la clínica
+    fillTemplate(template, lead) {
+        const sedes = joinNames(Object.values(this.clinic.sedes).map(sede => sede.name));
+        return fillLeadTemplate(template.replace(/\{clinica\}/g, this.clinic.name).replace(/\{sedes\}/g, sedes), lead);
+    }
+
+    async buildMessage(step, lead) {
+        if (step.mode !== 'llm' || !this.openaiService) {
+            return { modo: 'template', mensaje: this.fillTemplate(step.template, lead) };
+        }
+
+        try {
+            const history = await this.messageHistoryService.getChatTurns(lead.telefono, 10);
+            const prompt = `[SEGUIMIENTO AUTOMÁTICO - El paciente no ha respondido. ${step.instructions} ` +
+                'Escribe un solo mensaje breve, sin el mensaje inicial obligatorio y sin repetir textualmente mensajes anteriores.]';
+            const mensaje = await this.openaiService.generateResponse(prompt, null, { history });
+            return { modo: 'llm', mensaje };
+        } catch (error) {
+            if (!step.template) {
+                throw error;
+            }
+            logger.error('Error generating follow-up message, using template:', error);
+            return { modo: 'template', mensaje: this.fillTemplate(step.template, lead) };
+        }
+    }
+
+    async sendStep(followUp, now) {
+        const sequence = this.getSequence(followUp.secuencia);
+        const step = sequence && sequence.steps[followUp.paso];
+        if (!step) {
+            await followUp.update({ estado: 'completada', proximo_envio_at: null });
+            return false;
+        }
+
+        const stopReason = await this.getStopReason(followUp);
+        if (stopReason) {
+            await followUp.update({ estado: 'detenida', motivo_detencion: stopReason, proximo_envio_at: null });
+            return false;
+        }
+
+        const lead = await Lead.findByPk(followUp.lead_id);
+        const attempt = {
+            follow_up_id: followUp.id,
+            lead_id: followUp.lead_id,
+            telefono: followUp.telefono,
+            paso: followUp.paso
+        };
+
+        try {
+            const { modo, mensaje } = await this.buildMessage(step, lead);
+            await this.getSender(lead).sendMessage(`${followUp.telefono}@c.us`, mensaje);
+            await FollowUpAttempt.create({ ...attempt, modo, mensaje, estado: 'enviado' });
+        } catch (error) {
+            logger.error(`Error sending follow-up ${followUp.id} step ${followUp.paso}:`, error);
+            await FollowUpAttempt.create({
+                ...attempt,
+                modo: step.mode,
+                estado: 'fallido',
+                error: error.message.slice(0, 255)
+            });
+        }
+
+        // Un intento fallido no se repite: se pasa al siguiente paso
+        const nextStep = sequence.steps[followUp.paso + 1];
+        await followUp.update({
+            paso: followUp.paso + 1,
+            estado: nextStep ? 'activa' : 'completada',
+            proximo_envio_at: nextStep ? new Date(now.getTime() + nextStep.delayHours * HOUR_MS) : null
+        });
+
+        return true;
+    }
+
+    async processDueFollowUps(now = new Date()) {
+        try {
+            if (!this.whatsappService) {
+                throw new Error('WhatsApp service is required to send follow-ups');
+            }
+
+            const due = await FollowUp.findAll({
+                where: {
+                    tenant_id: this.tenantId,
+                    estado: 'activa',
+                    proximo_envio_at: { [Op.lte]: now }
+                },
+                order: [['proximo_envio_at', 'ASC']]
+            });
+
+            let sent = 0;
+            for (const followUp of due) {
+                // Fuera del horario de atención se posterga a la próxima apertura
+                const sendAt = this.getNextSendTime(now);
+                if (sendAt > now) {
+                    await followUp.update({ proximo_envio_at: sendAt });
+                    continue;
+                }
+
+                if (await this.sendStep(followUp, now)) {
+                    sent++;
+                }
+            }
+
+            if (sent > 0) {
+                logger.info(`${sent} follow-up messages sent`);
+            }
+            return sent;
+        } catch (error) {
+            logger.error('Error processing follow-ups:', error);
+            throw error;
+        }
+    }
+
+    async getFollowUps({ telefono, estado } = {}) {
+        try {
+            const where = { tenant_id: this.tenantId };
+            if (telefono) where.telefono = telefono;
+            if (estado) where.estado = estado;
+
+            return await FollowUp.findAll({
+                where,
+                include: [{ model: FollowUpAttempt, as: 'attempts', required: false }],
+                order: [['id', 'DESC']],
+                limit: 200
+            });
+        } catch (error) {
+            logger.error('Error getting follow-ups:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = FollowUpService;
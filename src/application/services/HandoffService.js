@@ -0,0 +1,193 @@
+const { Lead } = require('../../infrastructure/database/models');
+const socketNotifier = require('../../infrastructure/realtime/socketNotifier');
+const { getDefaultTenant } = require('../../infrastructure/config/tenantContext');
+const { logger } = require('../../utils/logger');
+const { Op } = require('sequelize');
+
+class HandoffService {
+    constructor(tenant = getDefaultTenant()) {
+        this.tenantId = tenant.id;
+        // Sin actividad del gestor durante este tiempo, el bot retoma la conversación
+        this.autoResumeMs = parseInt(process.env.HANDOFF_AUTO_RESUME_HOURS || '12', 10) * 60 * 60 * 1000;
+    }
+
+    async isBotActive(telefono) {
+        try {
+            const lead = await Lead.findOne({ where: { tenant_id: this.tenantId, telefono } });
+            if (!lead || lead.is_bot_active) {
+                return true;
+            }
+
+            if (lead.handoff_expires_at && new Date(lead.handoff_expires_at) <= new Date()) {
+                await this.endHandoff(telefono, { endedBy: 'timeout' });
+                return true;
+            }
+
+            return false;
+        } catch (error) {
+            logger.error('Error checking bot status:', error);
+            // Ante la duda, no dejar al paciente sin respuesta
+            return true;
+        }
+    }
+
+    // queuedUntil: si la clínica está cerrada, la conversación espera en cola a los
+    // gestores hasta esa hora y el plazo de reactivación del bot corre desde ahí
+    async startHandoff(telefono, { reason = null, requestedBy = 'agent', agentId = null, queuedUntil = null } = {}) {
+        try {
+            const lead = await Lead.findOne({ where: { tenant_id: this.tenantId, telefono } });
+            if (!lead) {
+                return null;
+            }
+
+            const now = new Date();
+            await lead.update({
+                is_bot_active: false,
+                handoff_reason: reason,
+                handoff_started_at: now,
+                handoff_expires_at: new Date((queuedUntil || now).getTime() + this.autoResumeMs),
+                handoff_queued_until: queuedUntil
+            });
+
+            logger.info(`Handoff started for ${telefono} by ${requestedBy}: ${reason || 'sin motivo'}` +
+                (queuedUntil ? ` (queued until ${queuedUntil.toISOString()})` : ''));
+            socketNotifier.emitToTenant(this.tenantId, 'handoff-started', {
+                telefono,
+                nombre: lead.nombre,
+                reason,
+                requestedBy,
+                agentId,
+                startedAt: now,
+                afterHours: Boolean(queuedUntil),
+                queuedUntil
+            });
+
+            return lead;
+        } catch (error) {
+            logger.error('Error starting handoff:', error);
+            throw error;
+        }
+    }
+
+    async endHandoff(telefono, { endedBy = 'agent', agentId = null } = {}) {
+        try {
+            const lead = await Lead.findOne({ where: { tenant_id: this.tenantId, telefono } });
+            if (!lead) {
+                return null;
+            }
+
+            await lead.update({
+                is_bot_active: true,
+                handoff_reason: null,
+                handoff_started_at: null,
+                handoff_expires_at: null,
+                handoff_queued_until: null
+            });
+
+            logger.info(`Handoff ended for ${telefono} by ${endedBy}`);
+            socketNotifier.emitToTenant(this.tenantId, 'handoff-ended', {
+                telefono,
+                endedBy,
+                agentId,
+                endedAt: new Date()
+            });
+
+            return lead;
+        } catch (error) {
+            logger.error('Error ending handoff:', error);
+            throw error;
+        }
+    }
+
+    // Cada intervención del gestor posterga la reactivación automática del bot
+    async extendHandoff(telefono) {
+        try {
+            await Lead.update(
+                { handoff_expires_at: new Date(Date.now() + this.autoResumeMs) },
+                { where: { tenant_id: this.tenantId, telefono, is_bot_active: false } }
+            );
+        } catch (error) {
+            logger.error('Error extending handoff:', error);
+            throw error;
+        }
+    }
+
+    async getActiveHandoffs() {
+        try {
+            return await Lead.findAll({
+                where: { tenant_id: this.tenantId, is_bot_active: false },
+                order: [['handoff_started_at', 'ASC']]
+            });
+        } catch (error) {
+            logger.error('Error getting active handoffs:', error);
+            throw error;
+        }
+    }
+
+    async resumeExpiredHandoffs() {
+        try {
+            const expired = await Lead.findAll({
+                where: {
+                    tenant_id: this.tenantId,
+                    is_bot_active: false,
+                    handoff_expires_at: { [Op.lte]: new Date() }
+                }
+            });
+
+            for (const lead of expired) {
+                await this.endHandoff(lead.telefono, { endedBy: 'timeout' });
+            }
+
+            return expired.length;
+        } catch (error) {
+            logger.error('Error resuming expired handoffs:', error);
+            throw error;
+        }
+    }
+
+    // Avisa a los gestores de las derivaciones en cola cuando llega la hora de apertura
+    async releaseQueuedHandoffs() {
+        try {
+            const ready = await Lead.findAll({
+                where: {
+                    tenant_id: this.tenantId,
+                    is_bot_active: false,
+                    handoff_queued_until: { [Op.lte]: new Date() }
+                },
+                order: [['handoff_started_at', 'ASC']]
+            });
+
+            for (const lead of ready) {
+                await lead.update({ handoff_queued_until: null });
+                socketNotifier.emitToTenant(this.tenantId, 'handoff-queue-ready', {
+                    telefono: lead.telefono,
+                    nombre: lead.nombre,
+                    reason: lead.handoff_reason,
+                    startedAt: lead.handoff_started_at
+                });
+            }
+
+            if (ready.length > 0) {
+                logger.info(`Released ${ready.length} queued handoffs`);
+            }
+            return ready.length;
+        } catch (error) {
+            logger.error('Error releasing queued handoffs:', error);
+            throw error;
+        }
+    }
+
+    notifyInboundMessage(record) {
+        socketNotifier.emitToTenant(this.tenantId, 'handoff-message', {
+            id: record.id,
+            chatId: record.chat_id,
+            telefono: record.telefono,
+            type: record.type,
+            body: record.body,
+            mediaUrl: record.media_url,
+            createdAt: record.createdAt
+        });
+    }
+}
+
+module.exports = HandoffService;
@@ -0,0 +1,203 @@
+const { Lead, LeadStageTransition, sequelize } = require('../../infrastructure/database/models');
+const socketNotifier = require('../../infrastructure/realtime/socketNotifier');
+const { getDefaultTenant } = require('../../infrastructure/config/tenantContext');
+const { logger } = require('../../utils/logger');
+const { getStartOfDateString, getEndOfDateString, getDateString } = require('../../utils/dateUtils');
+const { Op } = require('sequelize');
+
+// Etapas del embudo en orden; 'lost' queda fuera del orden y se puede salir de ella
+const STAGES = ['new', 'qualified', 'screened', 'offered', 'scheduled', 'attended'];
+const LOST_STAGE = 'lost';
+const ALL_STAGES = [...STAGES, LOST_STAGE];
+
+const stageIndex = (stage) => STAGES.indexOf(stage);
+
+class LeadPipelineService {
+    constructor(tenant = getDefaultTenant()) {
+        this.tenantId = tenant.id;
+        this.clinic = tenant.clinic;
+    }
+
+    isValidStage(stage) {
+        return ALL_STAGES.includes(stage);
+    }
+
+    // Cambios automáticos: solo avanzan en el embudo (o rescatan un lead perdido).
+    // Una objeción solo marca como perdido a quien aún no agendó.
+    canAutoMove(fromStage, toStage) {
+        if (fromStage === toStage) return false;
+        if (toStage === LOST_STAGE) return stageIndex(fromStage) < stageIndex('scheduled');
+        if (fromStage === LOST_STAGE) return true;
+        return stageIndex(toStage) > stageIndex(fromStage);
+    }
+
+    async recordTransition(lead, toStage, { trigger, agentId = null, reason = null }) {
+        const fromStage = lead.etapa;
+        const now = new Date();
+
+        const transition = await sequelize.transaction(async (transaction) => {
+            await lead.update({ etapa: toStage, etapa_updated_at: now }, { transaction });
+            return LeadStageTransition.create({
+                lead_id: lead.id,
+                from_stage: fromStage,
+                to_stage: toStage,
+                trigger,
+                agent_id: agentId,
+                motivo: reason
+            }, { transaction });
+        });
+
+        logger.info(`Lead ${lead.telefono} moved from ${fromStage} to ${toStage} (${trigger})`);
+        socketNotifier.emitToTenant(this.tenantId, 'lead-stage-changed', {
+            telefono: lead.telefono,
+            from: fromStage,
+            to: toStage,
+            trigger,
+            agentId,
+            changedAt: now
+        });
+
+        return transition;
+    }
+
+    // Cambio disparado por el bot (extracción de datos, reserva, asistencia)
+    async advance(telefono, toStage, { trigger, reason = null } = {}) {
+        try {
+            if (!this.isValidStage(toStage)) {
+                throw new Error(`Invalid stage: ${toStage}`);
+            }
+
+            const lead = await Lead.findOne({ where: { tenant_id: this.tenantId, telefono } });
+            if (!lead || !this.canAutoMove(lead.etapa, toStage)) {
+                return null;
+            }
+
+            return await this.recordTransition(lead, toStage, { trigger, reason });
+        } catch (error) {
+            logger.error('Error advancing lead stage:', error);
+            throw error;
+        }
+    }
+
+    // Un gestor puede mover el lead a cualquier etapa
+    async moveToStage(telefono, toStage, { agentId = null, reason = null } = {}) {
+        try {
+            if (!this.isValidStage(toStage)) {
+                throw new Error(`Invalid stage: ${toStage}`);
+            }
+
+            const lead = await Lead.findOne({ where: { tenant_id: this.tenantId, telefono } });
+            if (!lead) {
+                return null;
+            }
+            if (lead.etapa !== toStage) {
+                await this.recordTransition(lead, toStage, { trigger: 'agent', agentId, reason });
+            }
+
+            return lead;
+        } catch (error) {
+            logger.error('Error moving lead stage:', error);
+            throw error;
+        }
+    }
+
+    async getHistory(telefono) {
+        try {
+            const lead = await Lead.findOne({ where: { tenant_id: this.tenantId, telefono }, attributes: ['id'] });
+            if (!lead) {
+                return null;
+            }
+
+            return await LeadStageTransition.findAll({
+                where: { lead_id: lead.id },
+                order: [['id', 'ASC']]
+            });
+        } catch (error) {
+            logger.error('Error getting stage history:', error);
+            throw error;
+        }
+    }
+
+    // Para los leads creados en el rango: cuántos llegaron a cada etapa, cuántos se
+    // quedaron en ella y el tiempo desde el primer contacto hasta agendar
+    async getMetrics({ desde, hasta } = {}) {
+        try {
+            const to = hasta || getDateString(new Date(), this.clinic.timezone);
+            const from = desde || getDateString(new Date(Date.now() - 30 * 24 * 60 * 60 * 1000), this.clinic.timezone);
+
+            const leads = await Lead.findAll({
+                attributes: ['id', 'etapa', 'createdAt'],
+                where: {
+                    tenant_id: this.tenantId,
+                    createdAt: {
+                        [Op.between]: [
+                            getStartOfDateString(from, this.clinic.timezone),
+                            getEndOfDateString(to, this.clinic.timezone)
+                        ]
+                    }
+                },
+                include: [{
+                    model: LeadStageTransition,
+                    as: 'stageTransitions',
+                    attributes: ['to_stage', 'createdAt'],
+                    required: false
+                }]
+            });
+
+            const reached = Object.fromEntries(STAGES.map(stage => [stage, 0]));
+            const stoppedAt = Object.fromEntries(STAGES.map(stage => [stage, 0]));
+            const current = Object.fromEntries(ALL_STAGES.map(stage => [stage, 0]));
+            const hoursToBook = [];
+
+            for (const lead of leads) {
+                current[lead.etapa] = (current[lead.etapa] || 0) + 1;
+
+                let furthest = 0;
+                let bookedAt = null;
+                for (const transition of lead.stageTransitions) {
+                    furthest = Math.max(furthest, stageIndex(transition.to_stage));
+                    if (transition.to_stage === 'scheduled' &&
+                        (!bookedAt || transition.createdAt < bookedAt)) {
+                        bookedAt = transition.createdAt;
+                    }
+                }
+
+                STAGES.slice(0, furthest + 1).forEach(stage => reached[stage]++);
+                stoppedAt[STAGES[furthest]]++;
+                if (bookedAt) {
+                    hoursToBook.push((new Date(bookedAt) - new Date(lead.createdAt)) / (60 * 60 * 1000));
+                }
+            }
+
+            hoursToBook.sort((a, b) => a - b);
+
+            return {
+                desde: from,
+                hasta: to,
+                total_leads: leads.length,
+                current,
+                stages: STAGES.map((stage, index) => ({
+                    stage,
+                    reached: reached[stage],
+                    stopped: stage === 'attended' ? 0 : stoppedAt[stage],
+                    conversion_to_next: index < STAGES.length - 1 && reached[stage]
+                        ? reached[STAGES[index + 1]] / reached[stage]
+                        : null
+                })),
+                time_to_book_hours: {
+                    count: hoursToBook.length,
+                    average: hoursToBook.length
+                        ? hoursToBook.reduce((sum, hours) => sum + hours, 0) / hoursToBook.length
+                        : null,
+                    median: hoursToBook.length ? hoursToBook[Math.floor(hoursToBook.length / 2)] : null
+                }
+            };
+        } catch (error) {
+            logger.error('Error getting pipeline metrics:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = LeadPipelineService;
+module.exports.STAGES = ALL_STAGES;
@@ -1,19 +1,56 @@
-const { Lead, CampaignLeadDetail } = require('../../infrastructure/database/models');
+const {
+    Lead,
+    CampaignLeadDetail,
+    Appointment,
+    LeadDocument,
+    Objection,
+    FreeConsultationOffer,
+    LeadVisit
+} = require('../../infrastructure/database/models');
+const { getLikeOperator, encodeCursor, decodeCursor } = require('../../infrastructure/database/queryUtils');
+const { getDefaultTenant } = require('../../infrastructure/config/tenantContext');
 const { logger } = require('../../utils/logger');
-const { getCurrentPeruDate, getPeruStartOfDay, getPeruEndOfDay } = require('../../utils/dateUtils');
-const { Op } = require('sequelize');
+const {
+    getStartOfDay,
+    getEndOfDay,
+    getStartOfDateString,
+    getEndOfDateString,
+    getDateString,
+    getTimeString,
+    getWeekStart
+} = require('../../utils/dateUtils');
+const { Op, fn, col, where } = require('sequelize');
+
+// Campos por los que se puede ordenar el listado de leads
+const LEAD_SORT_FIELDS = {
+    created_at: 'createdAt',
+    primera_interaccion: 'primera_interaccion',
+    ultima_interaccion: 'ultima_interaccion',
+    nombre: 'nombre'
+};
+const LEAD_DATE_SORT_FIELDS = ['createdAt', 'primera_interaccion', 'ultima_interaccion'];
+
+const OBJECTION_TYPES = ['precio', 'desinteres', 'comparacion'];
+
+// Respuesta extraída del mensaje del paciente -> estado de la oferta
+const OFFER_RESPONSES = {
+    acepta: 'aceptada',
+    rechaza: 'rechazada'
+};
 
 class LeadTrackingService {
-    constructor(metaRepository, whatsappBusinessRepository) {
+    constructor(metaRepository, whatsappBusinessRepository, tenant = getDefaultTenant()) {
         this.metaRepository = metaRepository;
         this.whatsappBusinessRepository = whatsappBusinessRepository;
+        this.tenantId = tenant.id;
+        this.clinic = tenant.clinic;
     }
 
-    async trackLeadsForDay(adId, date = getCurrentPeruDate()) {
+    async trackLeadsForDay(adId, date = new Date()) {
         try {
-            // Configurar el rango de fechas para el día especificado en Perú
-            const startDate = getPeruStartOfDay(date);
-            const endDate = getPeruEndOfDay(date);
+            // Configurar el rango de fechas para el día especificado en la zona horaria de la clínica
+            const startDate = getStartOfDay(date, this.clinic.timezone);
+            const endDate = getEndOfDay(date, this.clinic.timezone);
 
             // 1. Verificar autenticación con WhatsApp Business
             const isAuthenticated = await this.whatsappBusinessRepository.verifyAuthentication();
@@ -45,95 +82,169 @@ class LeadTrackingService {
                         end: endDate.toISOString()
                     }
                 },
-                timestamp: getCurrentPeruDate().toISOString()
+                timestamp: new Date().toISOString()
             };
         } catch (error) {
             throw new Error(`Error tracking leads: ${error.message}`);
         }
     }
 
-    async createOrUpdateLead(data) {
+    // Un solo lead por teléfono en cada clínica; si dos mensajes lo crean a la vez, se reutiliza el existente
+    async findOrCreateLead(data, currentDate) {
+        const {
+            telefono,
+            nombre,
+            ubicacion,
+            sintomas = '',
+            origen = 'whatsapp',
+            tipo_lead = 'organic',
+            whatsapp_session = null
+        } = data;
+
+        const existing = await Lead.findOne({ where: { tenant_id: this.tenantId, telefono } });
+        if (existing) {
+            return { lead: existing, created: false };
+        }
+
         try {
-            const {
+            const lead = await Lead.create({
+                tenant_id: this.tenantId,
                 telefono,
                 nombre,
                 ubicacion,
                 sintomas,
-                origen = 'whatsapp',
-                tipo_lead = 'organic',
-                id_campana,
-                id_anuncio
-            } = data;
-
-            const currentDate = getCurrentPeruDate();
-            const startOfDay = getPeruStartOfDay(currentDate);
-            const endOfDay = getPeruEndOfDay(currentDate);
-
-            // Convertir sintomas a string si es un array
-            const sintomasStr = Array.isArray(sintomas) ? sintomas.join(', ') : sintomas || '';
-
-            // Buscar lead existente para hoy
-            let lead = await Lead.findOne({
-                where: {
-                    telefono,
-                    createdAt: {
-                        [Op.between]: [startOfDay, endOfDay]
-                    }
-                }
+                origen,
+                tipo_lead,
+                whatsapp_session,
+                primera_interaccion: currentDate,
+                ultima_interaccion: currentDate,
+                // Fecha y hora locales de la clínica: las columnas DATEONLY/TIME no guardan zona
+                fecha: getDateString(currentDate, this.clinic.timezone),
+                hora: getTimeString(currentDate, this.clinic.timezone)
             });
+            return { lead, created: true };
+        } catch (error) {
+            if (error.name !== 'SequelizeUniqueConstraintError') {
+                throw error;
+            }
+            return { lead: await Lead.findOne({ where: { tenant_id: this.tenantId, telefono } }), created: false };
+        }
+    }
 
-            if (!lead) {
-                // Si no existe un lead para hoy, crear uno nuevo
-                lead = await Lead.create({
-                    telefono,
-                    nombre,
-                    ubicacion,
-                    sintomas: sintomasStr,
+    // Registro del día para el lead: origen, campaña y datos extraídos en esa visita
+    async upsertVisit(lead, data, { countInteraction = false } = {}) {
+        const { nombre, ubicacion, sintomas, origen = 'whatsapp', tipo_lead = 'organic', id_campana, id_anuncio } = data;
+        const now = new Date();
+        const fecha = getDateString(now, this.clinic.timezone);
+
+        let visit = await LeadVisit.findOne({ where: { lead_id: lead.id, fecha } });
+        if (!visit) {
+            try {
+                visit = await LeadVisit.create({
+                    tenant_id: this.tenantId,
+                    lead_id: lead.id,
+                    telefono: lead.telefono,
+                    fecha,
                     origen,
                     tipo_lead,
-                    primera_interaccion: currentDate,
-                    ultima_interaccion: currentDate,
-                    fecha: currentDate,
-                    hora: currentDate
+                    id_campana: id_campana || null,
+                    id_anuncio: id_anuncio || null,
+                    primera_interaccion: now,
+                    ultima_interaccion: now
                 });
-
-                // Si es un lead de campaña, crear los detalles
-                if (tipo_lead === 'campaign' && (id_campana || id_anuncio)) {
-                    await CampaignLeadDetail.create({
-                        lead_id: lead.id,
-                        id_campana,
-                        id_anuncio,
-                        // Obtener información adicional de Meta si está disponible
-                        ...(await this.getMetaCampaignDetails(id_campana, id_anuncio))
-                    });
+            } catch (error) {
+                if (error.name !== 'SequelizeUniqueConstraintError') {
+                    throw error;
                 }
+                visit = await LeadVisit.findOne({ where: { lead_id: lead.id, fecha } });
+            }
+        }
+
+        await visit.update({
+            nombre: nombre || visit.nombre,
+            ubicacion: ubicacion || visit.ubicacion,
+            sintomas: sintomas || visit.sintomas,
+            interacciones: visit.interacciones + (countInteraction ? 1 : 0),
+            ultima_interaccion: now
+        });
+
+        return visit;
+    }
+
+    async ensureCampaignDetails(lead, { tipo_lead, id_campana, id_anuncio }) {
+        if (tipo_lead !== 'campaign' || !(id_campana || id_anuncio)) {
+            return;
+        }
+
+        await CampaignLeadDetail.findOrCreate({
+            where: { lead_id: lead.id },
+            defaults: {
+                lead_id: lead.id,
+                id_campana,
+                id_anuncio,
+                // Obtener información adicional de Meta si está disponible
+                ...(await this.getMetaCampaignDetails(id_campana, id_anuncio))
+            }
+        });
+    }
+
+    // Se llama con cada mensaje entrante: crea el lead la primera vez que el paciente
+    // escribe y suma la interacción a la visita del día, sin pisar los datos ya extraídos
+    async registerVisit(data) {
+        try {
+            const currentDate = new Date();
+            const { lead, created } = await this.findOrCreateLead(data, currentDate);
+
+            if (!created) {
+                await lead.update({ ultima_interaccion: currentDate });
+            }
+
+            await this.ensureCampaignDetails(lead, data);
+            // Solo el origen: los datos del paciente los completa createOrUpdateLead al extraerlos
+            const { origen, tipo_lead, id_campana, id_anuncio } = data;
+            const visit = await this.upsertVisit(
+                lead,
+                { origen, tipo_lead, id_campana, id_anuncio },
+                { countInteraction: true }
+            );
+
+            if (created) {
+                logger.info(`Nuevo lead creado para ${lead.telefono}`);
+            } else if (visit.interacciones === 1) {
+                logger.info(`Lead ${lead.telefono} volvió a escribir el ${visit.fecha}`);
+            }
 
-                logger.info(`Nuevo lead creado para el día ${currentDate.toISOString()}`);
-            } else {
-                // Actualizar lead existente
+            return { lead, visit, created };
+        } catch (error) {
+            logger.error('Error registering lead visit:', error);
+            throw error;
+        }
+    }
+
+    async createOrUpdateLead(data) {
+        try {
+            const { nombre, ubicacion, sintomas } = data;
+            const currentDate = new Date();
+
+            // Convertir sintomas a string si es un array
+            const sintomasStr = Array.isArray(sintomas) ? sintomas.join(', ') : sintomas || '';
+            const leadData = { ...data, sintomas: sintomasStr };
+
+            const { lead, created } = await this.findOrCreateLead(leadData, currentDate);
+
+            if (!created) {
                 await lead.update({
                     nombre: nombre || lead.nombre,
                     ubicacion: ubicacion || lead.ubicacion,
                     sintomas: sintomasStr || lead.sintomas,
                     ultima_interaccion: currentDate
                 });
-
-                // Actualizar detalles de campaña si es necesario
-                if (tipo_lead === 'campaign' && (id_campana || id_anuncio)) {
-                    await CampaignLeadDetail.findOrCreate({
-                        where: { lead_id: lead.id },
-                        defaults: {
-                            lead_id: lead.id,
-                            id_campana,
-                            id_anuncio,
-                            ...(await this.getMetaCampaignDetails(id_campana, id_anuncio))
-                        }
-                    });
-                }
-
-                logger.info(`Lead actualizado para el día ${currentDate.toISOString()}`);
             }
 
+            await this.ensureCampaignDetails(lead, leadData);
+            await this.upsertVisit(lead, leadData);
+
+            logger.info(`Lead ${created ? 'creado' : 'actualizado'} para ${lead.telefono}`);
             return lead;
         } catch (error) {
             logger.error('Error in createOrUpdateLead:', error);
@@ -176,10 +287,10 @@ class LeadTrackingService {
 
     async updateLastConsulta(telefono) {
         try {
-            const lead = await Lead.findOne({ where: { telefono } });
+            const lead = await Lead.findOne({ where: { tenant_id: this.tenantId, telefono } });
             if (lead) {
                 await lead.update({
-                    ultima_consulta: getCurrentPeruDate()
+                    ultima_consulta: new Date()
                 });
                 logger.info('Last consulta updated successfully');
             }
@@ -191,13 +302,14 @@ class LeadTrackingService {
 
     async toggleBotStatus(telefono) {
         try {
-            const lead = await Lead.findOne({ where: { telefono } });
+            const lead = await Lead.findOne({ where: { tenant_id: this.tenantId, telefono } });
             if (lead) {
+                const newStatus = !lead.is_bot_active;
                 await lead.update({
-                    is_bot_active: !lead.is_bot_active
+                    is_bot_active: newStatus
                 });
-                logger.info(`Bot status toggled to ${!lead.is_bot_active} for ${telefono}`);
-                return !lead.is_bot_active;
+                logger.info(`Bot status toggled to ${newStatus} for ${telefono}`);
+                return newStatus;
             }
             return null;
         } catch (error) {
@@ -208,14 +320,16 @@ class LeadTrackingService {
 
     async getStats() {
         try {
-            const currentDate = getCurrentPeruDate();
-            const startOfDay = getPeruStartOfDay(currentDate);
-            const endOfDay = getPeruEndOfDay(currentDate);
+            const currentDate = new Date();
+            const today = getDateString(currentDate, this.clinic.timezone);
+            const startOfDay = getStartOfDateString(today, this.clinic.timezone);
+            const endOfDay = getEndOfDateString(today, this.clinic.timezone);
             
             const stats = {
-                total_leads: await Lead.count(),
+                total_leads: await Lead.count({ where: { tenant_id: this.tenantId } }),
                 leads_today: await Lead.count({
                     where: {
+                        tenant_id: this.tenantId,
                         createdAt: {
                             [Op.between]: [startOfDay, endOfDay]
                         }
@@ -223,6 +337,7 @@ class LeadTrackingService {
                 }),
                 organic_leads: await Lead.count({ 
                     where: { 
+                        tenant_id: this.tenantId,
                         tipo_lead: 'organic',
                         createdAt: {
                             [Op.between]: [startOfDay, endOfDay]
@@ -231,6 +346,7 @@ class LeadTrackingService {
                 }),
                 campaign_leads: await Lead.count({ 
                     where: { 
+                        tenant_id: this.tenantId,
                         tipo_lead: 'campaign',
                         createdAt: {
                             [Op.between]: [startOfDay, endOfDay]
@@ -239,12 +355,34 @@ class LeadTrackingService {
                 }),
                 active_bots: await Lead.count({ 
                     where: { 
+                        tenant_id: this.tenantId,
                         is_bot_active: true,
                         ultima_interaccion: {
                             [Op.between]: [startOfDay, endOfDay]
                         }
                     } 
-                })
+                }),
+                visits_today: await LeadVisit.count({
+                    where: { tenant_id: this.tenantId, fecha: today }
+                }),
+                // Pacientes que ya existían y volvieron a escribir hoy
+                returning_leads_today: await LeadVisit.count({
+                    where: { tenant_id: this.tenantId, fecha: today },
+                    include: [{
+                        model: Lead,
+                        as: 'lead',
+                        attributes: [],
+                        where: { createdAt: { [Op.lt]: startOfDay } }
+                    }]
+                }),
+                // Pacientes que escribieron en más de un día
+                repeat_leads: (await LeadVisit.findAll({
+                    attributes: ['lead_id'],
+                    where: { tenant_id: this.tenantId },
+                    group: ['lead_id'],
+                    having: where(fn('COUNT', col('id')), { [Op.gt]: 1 }),
+                    raw: true
+                })).length
             };
 
             logger.info('Stats retrieved successfully');
@@ -255,15 +393,310 @@ class LeadTrackingService {
         }
     }
 
+    async listLeads(filters = {}) {
+        try {
+            const {
+                desde,
+                hasta,
+                tipo_lead,
+                etapa,
+                origen,
+                ubicacion,
+                bot_active,
+                id_campana,
+                q,
+                sort = 'created_at',
+                order = 'desc',
+                cursor,
+                limit = 25
+            } = filters;
+
+            const like = getLikeOperator();
+            const sortField = LEAD_SORT_FIELDS[sort] || LEAD_SORT_FIELDS.created_at;
+            const direction = order.toLowerCase() === 'asc' ? 'ASC' : 'DESC';
+            const pageSize = Math.min(Math.max(parseInt(limit, 10) || 25, 1), 100);
+            const conditions = [{ tenant_id: this.tenantId }];
+
+            if (desde || hasta) {
+                const range = {};
+                if (desde) range[Op.gte] = getStartOfDateString(desde, this.clinic.timezone);
+                if (hasta) range[Op.lte] = getEndOfDateString(hasta, this.clinic.timezone);
+                conditions.push({ createdAt: range });
+            }
+            if (tipo_lead) conditions.push({ tipo_lead });
+            if (etapa) conditions.push({ etapa });
+            if (origen) conditions.push({ origen: { [like]: origen } });
+            if (ubicacion) conditions.push({ ubicacion: { [like]: `%${ubicacion}%` } });
+            if (bot_active !== undefined && bot_active !== '') {
+                conditions.push({ is_bot_active: bot_active === true || bot_active === 'true' });
+            }
+            if (q) {
+                conditions.push({
+                    [Op.or]: [
+                        { nombre: { [like]: `%${q}%` } },
+                        { telefono: { [like]: `%${q}%` } },
+                        { sintomas: { [like]: `%${q}%` } }
+                    ]
+                });
+            }
+
+            // Continuar después del último registro de la página anterior
+            if (cursor) {
+                const decoded = decodeCursor(cursor);
+                if (!decoded) {
+                    throw new Error('Invalid cursor');
+                }
+
+                const value = LEAD_DATE_SORT_FIELDS.includes(sortField) && decoded.v ? new Date(decoded.v) : decoded.v;
+                const comparison = direction === 'ASC' ? Op.gt : Op.lt;
+                conditions.push({
+                    [Op.or]: [
+                        { [sortField]: { [comparison]: value } },
+                        { [sortField]: value, id: { [comparison]: decoded.id } }
+                    ]
+                });
+            }
+
+            const leads = await Lead.findAll({
+                where: { [Op.and]: conditions },
+                include: [
+                    {
+                        model: CampaignLeadDetail,
+                        as: 'campaignDetails',
+                        required: Boolean(id_campana),
+                        ...(id_campana ? { where: { id_campana } } : {})
+                    }
+                ],
+                order: [[sortField, direction], ['id', direction]],
+                limit: pageSize + 1
+            });
+
+            const hasMore = leads.length > pageSize;
+            const data = hasMore ? leads.slice(0, pageSize) : leads;
+            const last = data[data.length - 1];
+
+            return {
+                data,
+                hasMore,
+                nextCursor: hasMore && last ? encodeCursor(last.get(sortField), last.id) : null
+            };
+        } catch (error) {
+            logger.error('Error listing leads:', error);
+            throw error;
+        }
+    }
+
+    async trackObjection({ phone, objection_type, originalMessage = '' }) {
+        try {
+            if (!OBJECTION_TYPES.includes(objection_type)) {
+                logger.warn(`Unknown objection type for ${phone}: ${objection_type}`);
+                return null;
+            }
+
+            const lead = await Lead.findOne({ where: { tenant_id: this.tenantId, telefono: phone }, attributes: ['id'] });
+            const objection = await Objection.create({
+                lead_id: lead ? lead.id : null,
+                telefono: phone,
+                tipo: objection_type,
+                mensaje_original: originalMessage
+            });
+
+            logger.info(`Objection ${objection.id} (${objection_type}) recorded for ${phone}`);
+            return objection;
+        } catch (error) {
+            logger.error('Error tracking objection:', error);
+            throw error;
+        }
+    }
+
+    async trackFreeConsultation({ phone, reason = null, offer = null, response = null, objectionId = null }) {
+        try {
+            const lead = await Lead.findOne({ where: { tenant_id: this.tenantId, telefono: phone }, attributes: ['id'] });
+            const respuesta = OFFER_RESPONSES[response] || 'pendiente';
+
+            const record = await FreeConsultationOffer.create({
+                lead_id: lead ? lead.id : null,
+                objection_id: objectionId,
+                telefono: phone,
+                motivo: reason,
+                oferta: offer,
+                respuesta,
+                respondida_at: respuesta === 'pendiente' ? null : new Date()
+            });
+
+            logger.info(`Free consultation offer ${record.id} recorded for ${phone}`);
+            return record;
+        } catch (error) {
+            logger.error('Error tracking free consultation:', error);
+            throw error;
+        }
+    }
+
+    // Registra la respuesta del paciente en la última oferta pendiente
+    async resolveFreeConsultation(phone, response) {
+        try {
+            const respuesta = OFFER_RESPONSES[response];
+            if (!respuesta) {
+                return null;
+            }
+
+            const lead = await Lead.findOne({ where: { tenant_id: this.tenantId, telefono: phone }, attributes: ['id'] });
+            if (!lead) {
+                return null;
+            }
+
+            const offer = await FreeConsultationOffer.findOne({
+                where: { lead_id: lead.id, respuesta: 'pendiente' },
+                order: [['id', 'DESC']]
+            });
+            if (!offer) {
+                return null;
+            }
+
+            await offer.update({ respuesta, respondida_at: new Date() });
+            logger.info(`Free consultation offer ${offer.id} ${respuesta} by ${phone}`);
+            return offer;
+        } catch (error) {
+            logger.error('Error resolving free consultation:', error);
+            throw error;
+        }
+    }
+
+    // Tasa de objeciones y ofertas aceptadas de los leads creados en el rango,
+    // agrupadas por campaña (id_campana) o por semana (lunes de la semana en la clínica)
+    async getObjectionReport({ desde, hasta, group_by = 'week' } = {}) {
+        try {
+            const groupBy = group_by === 'campaign' ? 'campaign' : 'week';
+            const to = hasta || getDateString(new Date(), this.clinic.timezone);
+            const from = desde || getDateString(new Date(Date.now() - 8 * 7 * 24 * 60 * 60 * 1000), this.clinic.timezone);
+
+            const leads = await Lead.findAll({
+                attributes: ['id', 'createdAt'],
+                where: {
+                    tenant_id: this.tenantId,
+                    createdAt: {
+                        [Op.between]: [
+                            getStartOfDateString(from, this.clinic.timezone),
+                            getEndOfDateString(to, this.clinic.timezone)
+                        ]
+                    }
+                },
+                include: [
+                    {
+                        model: CampaignLeadDetail,
+                        as: 'campaignDetails',
+                        attributes: ['id_campana'],
+                        required: false
+                    },
+                    {
+                        model: Objection,
+                        as: 'objections',
+                        attributes: ['tipo'],
+                        required: false
+                    },
+                    {
+                        model: FreeConsultationOffer,
+                        as: 'freeConsultationOffers',
+                        attributes: ['respuesta'],
+                        required: false
+                    }
+                ]
+            });
+
+            const groups = new Map();
+            const emptyGroup = (key) => ({
+                key,
+                total_leads: 0,
+                leads_with_objection: 0,
+                objections: Object.fromEntries(OBJECTION_TYPES.map(type => [type, 0])),
+                offers: 0,
+                accepted: 0,
+                rejected: 0,
+                pending: 0
+            });
+            const totals = emptyGroup('total');
+
+            for (const lead of leads) {
+                const key = groupBy === 'campaign'
+                    ? (lead.campaignDetails ? lead.campaignDetails.id_campana : 'organic')
+                    : getWeekStart(lead.createdAt, this.clinic.timezone);
+                if (!groups.has(key)) {
+                    groups.set(key, emptyGroup(key));
+                }
+
+                for (const group of [groups.get(key), totals]) {
+                    group.total_leads++;
+                    if (lead.objections.length > 0) {
+                        group.leads_with_objection++;
+                    }
+                    for (const objection of lead.objections) {
+                        group.objections[objection.tipo] = (group.objections[objection.tipo] || 0) + 1;
+                    }
+                    for (const offer of lead.freeConsultationOffers) {
+                        group.offers++;
+                        if (offer.respuesta === 'aceptada') group.accepted++;
+                        else if (offer.respuesta === 'rechazada') group.rejected++;
+                        else group.pending++;
+                    }
+                }
+            }
+
+            const withRates = (group) => ({
+                ...group,
+                objection_rate: group.total_leads ? group.leads_with_objection / group.total_leads : 0,
+                acceptance_rate: group.offers ? group.accepted / group.offers : 0
+            });
+
+            return {
+                desde: from,
+                hasta: to,
+                group_by: groupBy,
+                rows: [...groups.values()]
+                    .sort((a, b) => a.key.localeCompare(b.key))
+                    .map(withRates),
+                totals: withRates(totals)
+            };
+        } catch (error) {
+            logger.error('Error getting objection report:', error);
+            throw error;
+        }
+    }
+
     async getLeadDetails(telefono) {
         try {
             const lead = await Lead.findOne({
-                where: { telefono },
+                where: { tenant_id: this.tenantId, telefono },
                 include: [
                     {
                         model: CampaignLeadDetail,
                         as: 'campaignDetails',
                         required: false
+                    },
+                    {
+                        model: Appointment,
+                        as: 'appointments',
+                        required: false
+                    },
+                    {
+                        model: LeadDocument,
+                        as: 'documents',
+                        required: false,
+                        attributes: { exclude: ['extracted_text'] }
+                    },
+                    {
+                        model: Objection,
+                        as: 'objections',
+                        required: false
+                    },
+                    {
+                        model: FreeConsultationOffer,
+                        as: 'freeConsultationOffers',
+                        required: false
+                    },
+                    {
+                        model: LeadVisit,
+                        as: 'visits',
+                        required: false
                     }
                 ]
             });
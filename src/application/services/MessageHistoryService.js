@@ -0,0 +1,242 @@
+const { Message, Lead } = require('../../infrastructure/database/models');
+const socketNotifier = require('../../infrastructure/realtime/socketNotifier');
+const { getDefaultTenant } = require('../../infrastructure/config/tenantContext');
+const { logger } = require('../../utils/logger');
+const { Op, fn, col } = require('sequelize');
+
+const toChatId = (chatId) => (chatId.includes('@') ? chatId : `${chatId}@c.us`);
+
+class MessageHistoryService {
+    constructor(tenant = getDefaultTenant()) {
+        this.tenantId = tenant.id;
+    }
+
+    async recordMessage(data) {
+        try {
+            const {
+                direction,
+                sender = direction === 'inbound' ? 'user' : 'bot',
+                agentId = null,
+                type = 'chat',
+                body = '',
+                mediaUrl = null,
+                waMessageId = null,
+                whatsappSession = null
+            } = data;
+
+            const chatId = toChatId(data.chatId);
+            const telefono = chatId.replace('@c.us', '');
+            const lead = await Lead.findOne({ where: { tenant_id: this.tenantId, telefono }, attributes: ['id', 'whatsapp_session'] });
+
+            // Se le responde por el último número por el que escribió
+            if (lead && direction === 'inbound' && whatsappSession && lead.whatsapp_session !== whatsappSession) {
+                await lead.update({ whatsapp_session: whatsappSession });
+            }
+
+            const record = await Message.create({
+                tenant_id: this.tenantId,
+                lead_id: lead ? lead.id : null,
+                chat_id: chatId,
+                telefono,
+                direction,
+                sender,
+                agent_id: agentId,
+                type,
+                body: body || '',
+                media_url: mediaUrl,
+                wa_message_id: waMessageId,
+                whatsapp_session: whatsappSession
+            });
+
+            this.notifyMessage('chat-message', record);
+            return record;
+        } catch (error) {
+            logger.error('Error recording message:', error);
+            throw error;
+        }
+    }
+
+    serializeMessage(record) {
+        return {
+            id: record.id,
+            chatId: record.chat_id,
+            telefono: record.telefono,
+            direction: record.direction,
+            sender: record.sender,
+            agentId: record.agent_id,
+            type: record.type,
+            body: record.body,
+            mediaUrl: record.media_url,
+            transcript: record.transcript,
+            readAt: record.read_at,
+            whatsappSession: record.whatsapp_session,
+            createdAt: record.createdAt
+        };
+    }
+
+    // Emite el mensaje a la sala del chat y al listado del inbox de la clínica
+    notifyMessage(event, record) {
+        const payload = this.serializeMessage(record);
+        socketNotifier.emitToRoom(socketNotifier.getChatRoom(this.tenantId, record.chat_id), event, payload);
+        socketNotifier.emitToTenant(this.tenantId, 'inbox-message', payload);
+    }
+
+    async recordInbound(message, extra = {}) {
+        return this.recordMessage({
+            chatId: message.from,
+            direction: 'inbound',
+            type: message.type || 'chat',
+            body: message.body,
+            waMessageId: message.id || null,
+            whatsappSession: message.whatsappSession || null,
+            ...extra
+        });
+    }
+
+    async recordOutbound(chatId, body, sender = 'bot', agentId = null, waMessageId = null, whatsappSession = null) {
+        return this.recordMessage({
+            chatId,
+            direction: 'outbound',
+            sender,
+            agentId,
+            body,
+            waMessageId,
+            whatsappSession
+        });
+    }
+
+    async attachMedia(record, { mediaUrl = null, transcript = null } = {}) {
+        try {
+            const changes = {};
+            if (mediaUrl) changes.media_url = mediaUrl;
+            if (transcript) changes.transcript = transcript;
+
+            if (Object.keys(changes).length > 0) {
+                await record.update(changes);
+                this.notifyMessage('chat-message-updated', record);
+            }
+            return record;
+        } catch (error) {
+            logger.error('Error attaching media to message:', error);
+            throw error;
+        }
+    }
+
+    async getRecentMessages(chatId, limit = 10, excludeId = null) {
+        try {
+            const where = { tenant_id: this.tenantId, chat_id: toChatId(chatId) };
+            if (excludeId) {
+                where.id = { [Op.ne]: excludeId };
+            }
+
+            const messages = await Message.findAll({
+                where,
+                order: [['id', 'DESC']],
+                limit
+            });
+
+            return messages.reverse();
+        } catch (error) {
+            logger.error('Error getting recent messages:', error);
+            throw error;
+        }
+    }
+
+    // Convierte el historial al formato de mensajes de chat de OpenAI
+    toChatTurns(messages) {
+        return messages
+            .map(message => ({
+                role: message.direction === 'inbound' ? 'user' : 'assistant',
+                content: [message.body, message.transcript].filter(Boolean).join('\n')
+            }))
+            .filter(turn => turn.content);
+    }
+
+    async markChatAsRead(chatId) {
+        try {
+            const [updated] = await Message.update(
+                { read_at: new Date() },
+                { where: { tenant_id: this.tenantId, chat_id: toChatId(chatId), direction: 'inbound', read_at: null } }
+            );
+
+            socketNotifier.emitToTenant(this.tenantId, 'inbox-read', { chatId: toChatId(chatId), unread: 0 });
+            return updated;
+        } catch (error) {
+            logger.error('Error marking chat as read:', error);
+            throw error;
+        }
+    }
+
+    // Último mensaje y cantidad de no leídos por chat, del más reciente al más antiguo
+    async getInbox(limit = 50) {
+        try {
+            const latest = await Message.findAll({
+                attributes: ['chat_id', [fn('MAX', col('id')), 'last_id']],
+                where: { tenant_id: this.tenantId },
+                group: ['chat_id'],
+                order: [[fn('MAX', col('id')), 'DESC']],
+                limit: Math.min(parseInt(limit, 10) || 50, 200),
+                raw: true
+            });
+            if (latest.length === 0) {
+                return [];
+            }
+
+            const chatIds = latest.map(row => row.chat_id);
+            const [lastMessages, unreadCounts, leads] = await Promise.all([
+                Message.findAll({ where: { id: latest.map(row => row.last_id) } }),
+                Message.findAll({
+                    attributes: ['chat_id', [fn('COUNT', col('id')), 'unread']],
+                    where: { tenant_id: this.tenantId, chat_id: chatIds, direction: 'inbound', read_at: null },
+                    group: ['chat_id'],
+                    raw: true
+                }),
+                Lead.findAll({
+                    where: { tenant_id: this.tenantId, telefono: chatIds.map(chatId => chatId.replace('@c.us', '')) },
+                    attributes: ['telefono', 'nombre', 'is_bot_active']
+                })
+            ]);
+
+            const lastByChat = new Map(lastMessages.map(message => [message.chat_id, message]));
+            const unreadByChat = new Map(unreadCounts.map(row => [row.chat_id, parseInt(row.unread, 10)]));
+            const leadByPhone = new Map(leads.map(lead => [lead.telefono, lead]));
+
+            return chatIds.map(chatId => {
+                const lead = leadByPhone.get(chatId.replace('@c.us', ''));
+                return {
+                    chatId,
+                    telefono: chatId.replace('@c.us', ''),
+                    nombre: lead ? lead.nombre : null,
+                    isBotActive: lead ? lead.is_bot_active : true,
+                    unread: unreadByChat.get(chatId) || 0,
+                    lastMessage: this.serializeMessage(lastByChat.get(chatId))
+                };
+            });
+        } catch (error) {
+            logger.error('Error getting inbox:', error);
+            throw error;
+        }
+    }
+
+    // Último mensaje del paciente: cuándo escribió y por qué número de la clínica
+    async getLastInbound(chatId) {
+        try {
+            return await Message.findOne({
+                where: { tenant_id: this.tenantId, chat_id: toChatId(chatId), direction: 'inbound' },
+                order: [['id', 'DESC']],
+                attributes: ['createdAt', 'whatsapp_session']
+            });
+        } catch (error) {
+            logger.error('Error getting last inbound message:', error);
+            throw error;
+        }
+    }
+
+    async getChatTurns(chatId, limit = 10, excludeId = null) {
+        const messages = await this.getRecentMessages(chatId, limit, excludeId);
+        return this.toChatTurns(messages);
+    }
+}
+
+module.exports = MessageHistoryService;
+module.exports.toChatId = toChatId;
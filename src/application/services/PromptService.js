@@ -0,0 +1,333 @@
+const fs = require('fs');
+const { sequelize, Lead, Appointment, PromptVersion } = require('../../infrastructure/database/models');
+const { getPromptRegistry, DEFAULT_VARIANT } = require('../../infrastructure/openai/promptRegistry');
+const { PROMPT_PATH, CLINIC_PLACEHOLDER } = require('../../infrastructure/openai/openaiService');
+const { getDefaultTenant, DEFAULT_TENANT_ID } = require('../../infrastructure/config/tenantContext');
+const { logger } = require('../../utils/logger');
+const { describeLocation, joinNames } = require('../../utils/clinicUtils');
+const { getDateString, getStartOfDateString, getEndOfDateString } = require('../../utils/dateUtils');
+const { Op, fn, col } = require('sequelize');
+
+const VARIANT_PATTERN = /^[a-z0-9_-]{1,50}$/;
+
+class PromptVersionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PromptVersionError';
+        this.code = 'INVALID_PROMPT_VERSION';
+    }
+}
+
+// prompt.txt es el guion de la clínica principal (su asistente, su especialidad y su ciudad);
+// las demás empiezan con este, que solo usa su nombre, sus sedes y sus datos
+function buildTenantPrompt(clinic) {
+    const sedes = joinNames(Object.values(clinic.sedes).map(sede => sede.name));
+
+    return `🎯 Rol principal
+Eres el asistente virtual de ${clinic.name}. Orientas a los pacientes sobre los servicios de la clínica y les ayudas a agendar citas en sus sedes de ${describeLocation(clinic)}: ${sedes}.
+Tu comunicación debe ser empática, cercana, respetuosa y precisa. Habla con claridad, evita tecnicismos y divide los mensajes largos en partes cortas.
+
+📅 Reglas sobre fechas
+Usa la fecha, la hora y la zona horaria de [INFORMACIÓN ACTUAL].
+Solo permite agendar citas para hoy o en fechas futuras.
+
+📍 Sedes y datos de la clínica
+Usa siempre estos datos para sedes, precios, recomendaciones, horarios, métodos de pago y teléfonos; no los inventes ni uses otros:
+
+${CLINIC_PLACEHOLDER}
+
+Confirma siempre los precios con get_price.
+
+📆 Agendamiento de citas
+Confirma la sede, el servicio, el día y el turno, y pide el nombre completo y el documento de identidad del paciente.
+Usa check_availability antes de ofrecer un turno y book_appointment para registrar la cita.
+Solo confirma la cita cuando book_appointment responda con éxito, usando exactamente esos datos; si falla, explica el motivo y ofrece otra fecha o turno.
+
+👥 Derivación a un gestor
+Si el paciente pide hablar con una persona o su consulta no se puede resolver con estos datos, usa request_human.
+`;
+}
+
+class PromptService {
+    constructor(tenant = getDefaultTenant()) {
+        this.tenant = tenant;
+        this.tenantId = tenant.id;
+        this.clinic = tenant.clinic;
+        this.prompts = getPromptRegistry(tenant.id);
+    }
+
+    isValidVariant(variante) {
+        return typeof variante === 'string' && VARIANT_PATTERN.test(variante);
+    }
+
+    // Carga en memoria las versiones publicadas de la clínica; se llama al publicar y periódicamente
+    async reload() {
+        try {
+            const published = await PromptVersion.findAll({ where: { tenant_id: this.tenantId, estado: 'publicada' } });
+            this.prompts.setPublished(published);
+            return this.prompts.list();
+        } catch (error) {
+            logger.error('Error reloading prompts:', error);
+            throw error;
+        }
+    }
+
+    // La primera vez guarda la versión 1 de la variante principal: prompt.txt en la clínica
+    // principal y un guion con los datos de la clínica en las demás
+    async ensureDefaultPrompt() {
+        try {
+            const count = await PromptVersion.count({ where: { tenant_id: this.tenantId } });
+            if (count === 0) {
+                const isDefaultTenant = this.tenantId === DEFAULT_TENANT_ID;
+                await PromptVersion.create({
+                    tenant_id: this.tenantId,
+                    variante: DEFAULT_VARIANT,
+                    version: 1,
+                    contenido: isDefaultTenant ? fs.readFileSync(PROMPT_PATH, 'utf8') : buildTenantPrompt(this.clinic),
+                    notas: isDefaultTenant ? 'Importado de prompt.txt' : 'Generado con los datos de la clínica',
+                    autor: 'system',
+                    estado: 'publicada',
+                    peso: 100,
+                    published_at: new Date(),
+                    published_by: 'system'
+                });
+                logger.info(`Prompt ${DEFAULT_VARIANT} v1 ${isDefaultTenant ? 'imported from prompt.txt' : 'generated from the clinic data'} for tenant ${this.tenant.slug}`);
+            }
+
+            return await this.reload();
+        } catch (error) {
+            logger.error('Error creating default prompt:', error);
+            throw error;
+        }
+    }
+
+    async createVersion({ variante, contenido, notas = null, autor = null }) {
+        try {
+            if (!this.isValidVariant(variante)) {
+                throw new PromptVersionError('variante must contain only lowercase letters, numbers, "-" or "_"');
+            }
+            if (typeof contenido !== 'string' || contenido.trim().length === 0) {
+                throw new PromptVersionError('contenido is required');
+            }
+
+            return await sequelize.transaction(async (transaction) => {
+                const last = await PromptVersion.max('version', { where: { tenant_id: this.tenantId, variante }, transaction });
+                return PromptVersion.create({
+                    tenant_id: this.tenantId,
+                    variante,
+                    version: (last || 0) + 1,
+                    contenido,
+                    notas,
+                    autor
+                }, { transaction });
+            });
+        } catch (error) {
+            logger.error('Error creating prompt version:', error);
+            throw error;
+        }
+    }
+
+    // Publica una versión (también sirve para volver a una anterior); la versión
+    // publicada de la misma variante se archiva y hereda su peso en el A/B
+    async publish(id, publishedBy = null) {
+        try {
+            const version = await sequelize.transaction(async (transaction) => {
+                const target = await PromptVersion.findOne({ where: { id, tenant_id: this.tenantId }, transaction });
+                if (!target) {
+                    return null;
+                }
+                if (target.estado === 'publicada') {
+                    return target;
+                }
+
+                const current = await PromptVersion.findOne({
+                    where: { tenant_id: this.tenantId, variante: target.variante, estado: 'publicada' },
+                    transaction
+                });
+                if (current) {
+                    await current.update({ estado: 'archivada' }, { transaction });
+                }
+
+                // Una variante nueva entra al A/B con peso 0 hasta que se le asigne uno;
+                // si aún no hay ninguna publicada, recibe todo el tráfico
+                let peso = current ? current.peso : 0;
+                if (!current) {
+                    const published = await PromptVersion.count({ where: { tenant_id: this.tenantId, estado: 'publicada' }, transaction });
+                    peso = published === 0 ? 100 : 0;
+                }
+
+                return target.update({
+                    estado: 'publicada',
+                    peso,
+                    published_at: new Date(),
+                    published_by: publishedBy
+                }, { transaction });
+            });
+
+            if (version) {
+                logger.info(`Prompt ${version.variante} v${version.version} published by ${publishedBy || 'system'}`);
+                await this.reload();
+            }
+            return version;
+        } catch (error) {
+            logger.error('Error publishing prompt version:', error);
+            throw error;
+        }
+    }
+
+    // Vuelve a publicar la versión que estaba publicada antes de la actual
+    async rollback(variante, publishedBy = null) {
+        try {
+            const [current, previous] = await PromptVersion.findAll({
+                where: { tenant_id: this.tenantId, variante, published_at: { [Op.ne]: null } },
+                order: [['published_at', 'DESC']],
+                limit: 2
+            });
+            if (!current || current.estado !== 'publicada') {
+                return null;
+            }
+            if (!previous) {
+                throw new PromptVersionError(`Variant ${variante} has no previous published version`);
+            }
+
+            return await this.publish(previous.id, publishedBy);
+        } catch (error) {
+            logger.error('Error rolling back prompt:', error);
+            throw error;
+        }
+    }
+
+    async setWeight(variante, peso) {
+        try {
+            const current = await PromptVersion.findOne({ where: { tenant_id: this.tenantId, variante, estado: 'publicada' } });
+            if (!current) {
+                return null;
+            }
+
+            await current.update({ peso });
+            await this.reload();
+            return current;
+        } catch (error) {
+            logger.error('Error updating prompt weight:', error);
+            throw error;
+        }
+    }
+
+    // Saca una variante del A/B; los chats que la tenían pasan a otra variante
+    async unpublish(variante) {
+        try {
+            const current = await PromptVersion.findOne({ where: { tenant_id: this.tenantId, variante, estado: 'publicada' } });
+            if (!current) {
+                return null;
+            }
+
+            const published = await PromptVersion.count({ where: { tenant_id: this.tenantId, estado: 'publicada' } });
+            if (published === 1) {
+                throw new PromptVersionError('At least one published variant is required');
+            }
+
+            await current.update({ estado: 'archivada' });
+            await this.reload();
+            return current;
+        } catch (error) {
+            logger.error('Error unpublishing prompt variant:', error);
+            throw error;
+        }
+    }
+
+    // Variante del chat: la asignada al lead si sigue publicada, o una nueva elegida por peso
+    async getVariantForLead(telefono) {
+        try {
+            const lead = await Lead.findOne({ where: { tenant_id: this.tenantId, telefono }, attributes: ['id', 'prompt_variante'] });
+            if (lead && lead.prompt_variante && this.prompts.has(lead.prompt_variante)) {
+                return lead.prompt_variante;
+            }
+
+            const variante = this.prompts.pickVariant();
+            if (lead && variante) {
+                await lead.update({ prompt_variante: variante });
+                logger.info(`Prompt variant ${variante} assigned to ${telefono}`);
+            }
+            return variante;
+        } catch (error) {
+            logger.error('Error getting prompt variant for lead:', error);
+            throw error;
+        }
+    }
+
+    async listVersions({ variante } = {}) {
+        try {
+            const where = { tenant_id: this.tenantId };
+            if (variante) where.variante = variante;
+
+            return await PromptVersion.findAll({
+                where,
+                attributes: { exclude: ['contenido'] },
+                order: [['variante', 'ASC'], ['version', 'DESC']]
+            });
+        } catch (error) {
+            logger.error('Error listing prompt versions:', error);
+            throw error;
+        }
+    }
+
+    async getVersion(id) {
+        try {
+            return await PromptVersion.findOne({ where: { id, tenant_id: this.tenantId } });
+        } catch (error) {
+            logger.error('Error getting prompt version:', error);
+            throw error;
+        }
+    }
+
+    // Leads y tasa de agendamiento por variante, para comparar los guiones
+    async getVariantReport({ desde, hasta } = {}) {
+        try {
+            const to = hasta || getDateString(new Date(), this.clinic.timezone);
+            const from = desde || getDateString(new Date(Date.now() - 30 * 24 * 60 * 60 * 1000), this.clinic.timezone);
+
+            const rows = await Lead.findAll({
+                attributes: [
+                    'prompt_variante',
+                    [fn('COUNT', fn('DISTINCT', col('Lead.id'))), 'leads'],
+                    [fn('COUNT', fn('DISTINCT', col('appointments.lead_id'))), 'agendaron']
+                ],
+                where: {
+                    tenant_id: this.tenantId,
+                    prompt_variante: { [Op.ne]: null },
+                    createdAt: {
+                        [Op.between]: [
+                            getStartOfDateString(from, this.clinic.timezone),
+                            getEndOfDateString(to, this.clinic.timezone)
+                        ]
+                    }
+                },
+                include: [{ model: Appointment, as: 'appointments', attributes: [], required: false }],
+                group: ['prompt_variante'],
+                raw: true
+            });
+
+            return {
+                desde: from,
+                hasta: to,
+                variants: rows.map(row => {
+                    const leads = parseInt(row.leads, 10);
+                    const booked = parseInt(row.agendaron, 10);
+                    return {
+                        variante: row.prompt_variante,
+                        leads,
+                        agendaron: booked,
+                        booking_rate: leads ? booked / leads : 0,
+                        publicada: this.prompts.has(row.prompt_variante)
+                    };
+                })
+            };
+        } catch (error) {
+            logger.error('Error getting prompt variant report:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = PromptService;
+module.exports.PromptVersionError = PromptVersionError;
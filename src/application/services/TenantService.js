@@ -0,0 +1,167 @@
+const { Op } = require('sequelize');
+const { Tenant, WhatsAppSession } = require('../../infrastructure/database/models');
+const ClinicConfigService = require('./ClinicConfigService');
+const {
+    DEFAULT_TENANT_ID,
+    DEFAULT_WHATSAPP_SESSION,
+    WEBHOOK_WHATSAPP_SESSIONS,
+    registerTenant,
+    unregisterTenant,
+    getDefaultTenant,
+    findTenantContext,
+    listTenantContexts,
+    createClinicConfig
+} = require('../../infrastructure/config/tenantContext');
+const { logger } = require('../../utils/logger');
+
+// También se usa como nombre de la sesión de WhatsApp (clientId de LocalAuth)
+const SLUG_PATTERN = /^[a-z0-9_-]{2,50}$/;
+
+class TenantError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TenantError';
+        this.code = 'INVALID_TENANT';
+    }
+}
+
+class TenantService {
+    // Crea la clínica principal, dueña de los datos anteriores a tener varias clínicas
+    async ensureDefaultTenant() {
+        try {
+            const defaults = getDefaultTenant();
+            const [tenant, created] = await Tenant.findOrCreate({
+                where: { id: DEFAULT_TENANT_ID },
+                defaults: { slug: defaults.slug, nombre: defaults.nombre }
+            });
+            if (created) {
+                logger.info(`Default tenant ${tenant.slug} created`);
+            }
+            return registerTenant(tenant);
+        } catch (error) {
+            logger.error('Error creating default tenant:', error);
+            throw error;
+        }
+    }
+
+    // Registra en memoria las clínicas activas y devuelve sus contextos
+    async load() {
+        try {
+            const tenants = await Tenant.findAll({ where: { activo: true }, order: [['id', 'ASC']] });
+            tenants.forEach(tenant => registerTenant(tenant));
+            return listTenantContexts();
+        } catch (error) {
+            logger.error('Error loading tenants:', error);
+            throw error;
+        }
+    }
+
+    resolve(value) {
+        return findTenantContext(value);
+    }
+
+    async listTenants() {
+        try {
+            return await Tenant.findAll({ order: [['id', 'ASC']] });
+        } catch (error) {
+            logger.error('Error listing tenants:', error);
+            throw error;
+        }
+    }
+
+    // La sesión puede ser una ya creada de la misma clínica, nunca la de otra
+    async validateSession(session, tenantId = null) {
+        if (session === null) {
+            return;
+        }
+        if (!(typeof session === 'string' && SLUG_PATTERN.test(session))) {
+            throw new TenantError('whatsapp_session must contain only lowercase letters, numbers, "-" or "_"');
+        }
+        if (session === DEFAULT_WHATSAPP_SESSION || WEBHOOK_WHATSAPP_SESSIONS.includes(session)) {
+            throw new TenantError(`whatsapp_session ${session} is reserved`);
+        }
+
+        const where = { nombre: session };
+        if (tenantId !== null) where.tenant_id = { [Op.ne]: tenantId };
+        if (await WhatsAppSession.count({ where })) {
+            throw new TenantError(`WhatsApp session ${session} belongs to another tenant`);
+        }
+    }
+
+    // clinic son los datos iniciales de la clínica (al menos zona horaria, país, moneda, sedes y
+    // servicios), con el mismo formato que PATCH /api/clinic; turnos, días y pagos parten de config.js
+    async createTenant({ slug, nombre, whatsapp_session, clinic }, createdBy = null) {
+        try {
+            if (typeof slug !== 'string' || !SLUG_PATTERN.test(slug)) {
+                throw new TenantError('slug must contain only lowercase letters, numbers, "-" or "_"');
+            }
+            if (typeof nombre !== 'string' || nombre.trim().length === 0) {
+                throw new TenantError('nombre is required');
+            }
+            const session = whatsapp_session === undefined ? slug : whatsapp_session;
+            await this.validateSession(session);
+
+            // Se valida antes de crear la clínica para no dejarla a medias
+            const preview = new ClinicConfigService({ id: null, slug, clinic: createClinicConfig() });
+            preview.preview({ name: nombre, ...(clinic || {}) });
+
+            const tenant = await Tenant.create({ slug, nombre: nombre.trim(), whatsapp_session: session });
+            const context = registerTenant(tenant);
+            await new ClinicConfigService(context).update({ name: nombre, ...(clinic || {}) }, createdBy);
+
+            logger.info(`Tenant ${slug} created by ${createdBy || 'system'}`);
+            return tenant;
+        } catch (error) {
+            if (error.name === 'SequelizeUniqueConstraintError') {
+                throw new TenantError('slug and whatsapp_session must be unique');
+            }
+            logger.error('Error creating tenant:', error);
+            throw error;
+        }
+    }
+
+    // El slug no cambia: identifica los archivos de la clínica
+    async updateTenant(id, { nombre, activo, whatsapp_session }) {
+        try {
+            const tenant = await Tenant.findByPk(id);
+            if (!tenant) {
+                return null;
+            }
+            if (activo === false && tenant.id === DEFAULT_TENANT_ID) {
+                throw new TenantError('The default tenant cannot be deactivated');
+            }
+
+            const changes = {};
+            if (nombre !== undefined) {
+                if (typeof nombre !== 'string' || nombre.trim().length === 0) {
+                    throw new TenantError('nombre is required');
+                }
+                changes.nombre = nombre.trim();
+            }
+            if (activo !== undefined) changes.activo = Boolean(activo);
+            if (whatsapp_session !== undefined) {
+                await this.validateSession(whatsapp_session, tenant.id);
+                changes.whatsapp_session = whatsapp_session;
+            }
+
+            await tenant.update(changes);
+            if (tenant.activo) {
+                registerTenant(tenant);
+            } else {
+                unregisterTenant(tenant.id);
+            }
+
+            logger.info(`Tenant ${tenant.slug} updated`);
+            return tenant;
+        } catch (error) {
+            if (error.name === 'SequelizeUniqueConstraintError') {
+                throw new TenantError('whatsapp_session must be unique');
+            }
+            logger.error('Error updating tenant:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = TenantService;
+module.exports.TenantError = TenantError;
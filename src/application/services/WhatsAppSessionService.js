@@ -0,0 +1,147 @@
+const { Op } = require('sequelize');
+const { WhatsAppSession, Tenant, Broadcast } = require('../../infrastructure/database/models');
+const { DEFAULT_WHATSAPP_SESSION, WEBHOOK_WHATSAPP_SESSIONS, getDefaultTenant } = require('../../infrastructure/config/tenantContext');
+const { logger } = require('../../utils/logger');
+
+// Es el clientId de LocalAuth: nombra la carpeta de autenticación
+const SESSION_PATTERN = /^[a-z0-9_-]{2,50}$/;
+
+class WhatsAppSessionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'WhatsAppSessionError';
+        this.code = 'INVALID_WHATSAPP_SESSION';
+    }
+}
+
+// Sesiones de WhatsApp guardadas de una clínica; los clientes en ejecución los lleva WhatsAppSessionManager
+class WhatsAppSessionService {
+    constructor(tenant = getDefaultTenant()) {
+        this.tenant = tenant;
+        this.tenantId = tenant.id;
+    }
+
+    isMainSession(nombre) {
+        return nombre === this.tenant.whatsappSession;
+    }
+
+    findSession(nombre) {
+        return WhatsAppSession.findOne({ where: { tenant_id: this.tenantId, nombre } });
+    }
+
+    // Registra la sesión del número de la clínica la primera vez que se inicia
+    async ensureMainSession() {
+        try {
+            const nombre = this.tenant.whatsappSession;
+            if (!nombre) {
+                return null;
+            }
+
+            const [session, created] = await WhatsAppSession.findOrCreate({
+                where: { nombre },
+                defaults: { tenant_id: this.tenantId, created_by: 'system' }
+            });
+            if (session.tenant_id !== this.tenantId) {
+                throw new WhatsAppSessionError(`WhatsApp session ${nombre} belongs to another tenant`);
+            }
+            if (created) {
+                logger.info(`WhatsApp session ${nombre} registered for tenant ${this.tenant.slug}`);
+            }
+            return session;
+        } catch (error) {
+            logger.error('Error registering main WhatsApp session:', error);
+            throw error;
+        }
+    }
+
+    async listSessions({ activo } = {}) {
+        try {
+            const where = { tenant_id: this.tenantId };
+            if (activo !== undefined) where.activo = activo;
+
+            return await WhatsAppSession.findAll({ where, order: [['id', 'ASC']] });
+        } catch (error) {
+            logger.error('Error listing WhatsApp sessions:', error);
+            throw error;
+        }
+    }
+
+    async createSession({ nombre }, createdBy = null) {
+        try {
+            if (typeof nombre !== 'string' || !SESSION_PATTERN.test(nombre)) {
+                throw new WhatsAppSessionError('nombre must contain only lowercase letters, numbers, "-" or "_"');
+            }
+            if (nombre === DEFAULT_WHATSAPP_SESSION || WEBHOOK_WHATSAPP_SESSIONS.includes(nombre)) {
+                throw new WhatsAppSessionError(`nombre ${nombre} is reserved`);
+            }
+
+            // El nombre puede estar reservado como número de otra clínica aunque aún no tenga fila
+            const owner = await Tenant.findOne({ where: { whatsapp_session: nombre, id: { [Op.ne]: this.tenantId } } });
+            if (owner) {
+                throw new WhatsAppSessionError(`WhatsApp session ${nombre} belongs to another tenant`);
+            }
+
+            const session = await WhatsAppSession.create({
+                tenant_id: this.tenantId,
+                nombre,
+                created_by: createdBy
+            });
+
+            logger.info(`WhatsApp session ${nombre} created by ${createdBy || 'system'}`);
+            return session;
+        } catch (error) {
+            if (error.name === 'SequelizeUniqueConstraintError') {
+                throw new WhatsAppSessionError('nombre must be unique');
+            }
+            logger.error('Error creating WhatsApp session:', error);
+            throw error;
+        }
+    }
+
+    async setActive(nombre, activo) {
+        try {
+            const session = await this.findSession(nombre);
+            if (!session) {
+                return null;
+            }
+            return await session.update({ activo });
+        } catch (error) {
+            logger.error('Error updating WhatsApp session:', error);
+            throw error;
+        }
+    }
+
+    // El número de la clínica y las sesiones con campañas sin terminar no se eliminan
+    async deleteSession(nombre) {
+        try {
+            const session = await this.findSession(nombre);
+            if (!session) {
+                return null;
+            }
+            if (this.isMainSession(nombre)) {
+                throw new WhatsAppSessionError(`WhatsApp session ${nombre} is the tenant's main number`);
+            }
+
+            const broadcasts = await Broadcast.count({
+                where: {
+                    tenant_id: this.tenantId,
+                    whatsapp_session: nombre,
+                    estado: { [Op.in]: ['pendiente', 'en_curso', 'pausada'] }
+                }
+            });
+            if (broadcasts > 0) {
+                throw new WhatsAppSessionError(`WhatsApp session ${nombre} has ${broadcasts} unfinished broadcasts`);
+            }
+
+            await session.destroy();
+            logger.info(`WhatsApp session ${nombre} deleted`);
+            return session;
+        } catch (error) {
+            logger.error('Error deleting WhatsApp session:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = WhatsAppSessionService;
+module.exports.WhatsAppSessionError = WhatsAppSessionError;
@@ -9,14 +9,161 @@ const config = {
     whatsapp: {
         apiUrl: process.env.WHATSAPP_API_URL || 'https://api.woztell.com',
         apiToken: process.env.WHATSAPP_API_TOKEN,
-        phoneNumber: process.env.WHATSAPP_PHONE_NUMBER // El número al que se enviarán los mensajes
+        phoneNumber: process.env.WHATSAPP_PHONE_NUMBER, // El número al que se enviarán los mensajes
+        // Secreto compartido con el que Woztell llama a POST /webhook/woztell
+        webhookSecret: process.env.WOZTELL_WEBHOOK_SECRET
     },
     whatsappBusiness: {
         apiVersion: 'v17.0',
         accessToken: process.env.WHATSAPP_BUSINESS_TOKEN,
         phoneNumberId: process.env.WHATSAPP_PHONE_NUMBER_ID,
         // Opcional: Configuración adicional para webhooks si los implementamos después
-        webhookVerifyToken: process.env.WHATSAPP_WEBHOOK_VERIFY_TOKEN
+        webhookVerifyToken: process.env.WHATSAPP_WEBHOOK_VERIFY_TOKEN,
+        // App Secret de la app de Meta: firma las notificaciones de POST /webhook
+        appSecret: process.env.WHATSAPP_APP_SECRET
+    },
+    // Datos de la clínica: se muestran al modelo en el prompt y los usa el agendamiento.
+    // Son los valores iniciales; los cambios hechos por la API (/api/clinic) se guardan
+    // en la base de datos y se aplican sobre este objeto al iniciar.
+    clinic: {
+        name: 'Centro Médico INSALUD',
+        // Zona horaria IANA de la clínica: define qué es "hoy", los turnos y los recordatorios
+        timezone: process.env.CLINIC_TIMEZONE || 'America/Lima',
+        // País y ciudad o región donde están las sedes; se indican al modelo para ubicar al paciente
+        country: 'Perú',
+        region: 'Lima',
+        // Moneda de los precios: código ISO 4217 y símbolo que ven los pacientes
+        currency: { code: 'PEN', symbol: 'S/.' },
+        // Días de atención (0 = domingo ... 6 = sábado)
+        workingDays: [1, 2, 3, 4, 5, 6],
+        turns: {
+            manana: { label: 'Mañana', start: '09:00', end: '12:00' },
+            tarde: { label: 'Tarde', start: '15:00', end: '18:00' }
+        },
+        // Feriados nacionales del Perú: no se atiende en ninguna sede.
+        // easter son los que dependen de la Pascua: días antes (negativo) o después del Domingo de Pascua.
+        holidays: {
+            fixed: [
+                { date: '01-01', name: 'Año Nuevo' },
+                { date: '05-01', name: 'Día del Trabajo' },
+                { date: '06-07', name: 'Batalla de Arica y Día de la Bandera' },
+                { date: '06-29', name: 'San Pedro y San Pablo' },
+                { date: '07-23', name: 'Día de la Fuerza Aérea del Perú' },
+                { date: '07-28', name: 'Fiestas Patrias' },
+                { date: '07-29', name: 'Fiestas Patrias' },
+                { date: '08-06', name: 'Batalla de Junín' },
+                { date: '08-30', name: 'Santa Rosa de Lima' },
+                { date: '10-08', name: 'Combate de Angamos' },
+                { date: '11-01', name: 'Día de Todos los Santos' },
+                { date: '12-08', name: 'Inmaculada Concepción' },
+                { date: '12-09', name: 'Batalla de Ayacucho' },
+                { date: '12-25', name: 'Navidad' }
+            ],
+            easter: [
+                { offset: -3, name: 'Jueves Santo' },
+                { offset: -2, name: 'Viernes Santo' }
+            ],
+            // Feriados o días no laborables decretados para una fecha puntual (YYYY-MM-DD)
+            extra: []
+        },
+        sedes: {
+            jesus_maria: {
+                name: 'Jesús María',
+                address: 'Av. Sánchez Carrión 615, oficina 1003 (Edificio OEFA)',
+                reference: 'Frente al Casino New York y al costado del Metro de Pershing',
+                mapUrl: 'https://maps.app.goo.gl/wcPEpzLSkLhJYMVVA',
+                // Otras formas en que los pacientes nombran la sede (sin tildes)
+                aliases: ['jesus', 'maria', 'pershing'],
+                // Días en que la sede no atiende o solo atiende algunos turnos:
+                // { date: 'YYYY-MM-DD', closed: true, reason } o { date, turns: ['manana'], reason }
+                exceptions: [],
+                capacityPerTurn: parseInt(process.env.APPOINTMENT_CAPACITY_JESUS_MARIA || '8', 10)
+            },
+            golf: {
+                name: 'Golf (Surco)',
+                address: 'Av. Circunvalación Golf Los Incas Nro 206, 208. Torre 3, Piso 2, oficina 202',
+                reference: null,
+                mapUrl: 'https://maps.app.goo.gl/wY9Mst1wqXEYwdPV8',
+                aliases: ['golf', 'surco'],
+                exceptions: [],
+                capacityPerTurn: parseInt(process.env.APPOINTMENT_CAPACITY_GOLF || '8', 10)
+            }
+        },
+        services: {
+            chequeo_prostatico: {
+                name: 'Chequeo prostático',
+                price: 200,
+                includes: [
+                    'Análisis de PSA total',
+                    'Ecografía vesicoprostática',
+                    'Consulta urológica',
+                    'Todo se realiza y entrega el mismo día'
+                ],
+                preparation: [
+                    'Tomar 1L de agua antes de llegar.',
+                    'No tener relaciones sexuales 24-48h antes.',
+                    'No ingerir alcohol 24-48h antes.',
+                    'No es necesario acudir en ayunas.'
+                ]
+            },
+            consulta_urologica: { name: 'Consulta urológica', price: 75 },
+            ecografia_doppler: { name: 'Ecografía Doppler testicular', price: 250 }
+        },
+        payment: {
+            methods: ['Efectivo', 'Transferencia', 'Yape', 'Plin', 'Visa', 'Mastercard', 'American Express', 'CMR'],
+            notes: 'Sin recargo adicional.'
+        },
+        phones: {
+            // Número que se da a los pacientes derivados a un gestor
+            atencion: { label: 'Atención al paciente', number: '957015737' }
+        },
+        // Recordatorios de cita: días antes de la cita y hora de envío (hora de Perú)
+        reminders: [
+            {
+                type: 'dia_anterior',
+                daysBefore: 1,
+                time: process.env.REMINDER_DAY_BEFORE_TIME || '18:00'
+            },
+            {
+                type: 'mismo_dia',
+                daysBefore: 0,
+                time: process.env.REMINDER_SAME_DAY_TIME || '07:30'
+            }
+        ],
+        // Secuencias de seguimiento: cada paso se envía delayHours después del anterior,
+        // con un texto fijo ({nombre}, {clinica} y {sedes} se reemplazan) o redactado por el modelo según instructions
+        followUps: {
+            desinteres: {
+                steps: [
+                    {
+                        delayHours: 24,
+                        mode: 'template',
+                        template: 'Hola {nombre} 😊, ¿pudiste pensarlo? Si tienes alguna duda sobre el chequeo prostático, con gusto te ayudo.'
+                    },
+                    {
+                        delayHours: 72,
+                        mode: 'llm',
+                        instructions: 'Retoma la conversación con calidez, recuerda la importancia de la prevención y ofrece la consulta urológica gratuita.',
+                        template: 'Hola {nombre}, te escribimos de {clinica} 😊. Recuerda que la prevención es clave; si deseas, podemos agendarte una consulta urológica gratuita.'
+                    }
+                ]
+            },
+            sin_respuesta: {
+                steps: [
+                    {
+                        delayHours: 4,
+                        mode: 'llm',
+                        instructions: 'El paciente dejó de responder después de conocer el precio. Pregunta amablemente si le quedó alguna duda y ofrece ayudarle a agendar.',
+                        template: 'Hola {nombre} 😊, ¿te quedó alguna duda sobre el precio o el chequeo? Con gusto te ayudo a agendar tu cita.'
+                    },
+                    {
+                        delayHours: 48,
+                        mode: 'template',
+                        template: 'Hola {nombre}, seguimos a tu disposición en {sedes}. ¿Te gustaría que te reserve un turno?'
+                    }
+                ]
+            }
+        }
     }
 };
 
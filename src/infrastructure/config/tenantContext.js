@@ -0,0 +1,110 @@
+const config = require('./config');
+
+// La clínica principal (id 1) es dueña de los datos previos a las clínicas
+const DEFAULT_TENANT_ID = 1;
+
+// Sesión de WhatsApp de la principal cuando no tiene whatsapp_session: la carpeta
+// de autenticación de siempre (whatsapp-auth/session), sin clientId
+const DEFAULT_WHATSAPP_SESSION = 'default';
+
+// Nombres con que se guardan los números atendidos por webhook (transportes cloud y woztell)
+// en messages.whatsapp_session y leads.whatsapp_session; no se pueden usar como sesiones
+const WEBHOOK_WHATSAPP_SESSIONS = ['cloud', 'woztell'];
+
+// Copia de config.clinic antes de aplicar cambios guardados: base de las clínicas nuevas
+const BASE_CLINIC = structuredClone(config.clinic);
+
+// Datos propios de cada local que una clínica nueva no hereda de la principal: quedan
+// vacíos y se envían al crearla (la validación exige sedes, servicios, zona horaria, país y moneda)
+const LOCAL_SECTIONS = {
+    timezone: null,
+    country: null,
+    region: null,
+    currency: null,
+    sedes: {},
+    services: {},
+    phones: {},
+    holidays: { fixed: [], easter: [], extra: [] }
+};
+
+/**
+ * Contexto en memoria de cada clínica activa, compartido por todos sus servicios:
+ * { id, slug, nombre, whatsappSession, clinic }. whatsappSession es la sesión que
+ * atiende el número de la clínica (null si aún no tiene). clinic es la configuración de
+ * la clínica (sedes, precios, zona horaria...); ClinicConfigService la modifica
+ * en el mismo objeto para que los cambios lleguen a todos sin reiniciar.
+ */
+const contexts = new Map();
+
+function createClinicConfig() {
+    const clinic = structuredClone(BASE_CLINIC);
+    for (const [section, value] of Object.entries(LOCAL_SECTIONS)) {
+        clinic[section] = structuredClone(value);
+    }
+    return clinic;
+}
+
+function getBaseClinicConfig() {
+    return structuredClone(BASE_CLINIC);
+}
+
+// Registra (o actualiza) el contexto de una fila de tenants
+function registerTenant(tenant) {
+    const context = contexts.get(tenant.id) || {
+        id: tenant.id,
+        clinic: tenant.id === DEFAULT_TENANT_ID ? config.clinic : createClinicConfig()
+    };
+
+    context.slug = tenant.slug;
+    context.nombre = tenant.nombre;
+    context.whatsappSession = tenant.whatsapp_session ||
+        (tenant.id === DEFAULT_TENANT_ID ? DEFAULT_WHATSAPP_SESSION : null);
+    contexts.set(tenant.id, context);
+    return context;
+}
+
+function unregisterTenant(id) {
+    contexts.delete(Number(id));
+}
+
+function getTenantContext(id) {
+    return contexts.get(Number(id)) || null;
+}
+
+// Busca por id o por slug
+function findTenantContext(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    return getTenantContext(value) ||
+        [...contexts.values()].find(context => context.slug === String(value).toLowerCase()) ||
+        null;
+}
+
+function listTenantContexts() {
+    return [...contexts.values()].sort((a, b) => a.id - b.id);
+}
+
+// Contexto de la clínica principal; existe aunque aún no se haya leído la tabla tenants
+function getDefaultTenant() {
+    return contexts.get(DEFAULT_TENANT_ID) || registerTenant({
+        id: DEFAULT_TENANT_ID,
+        slug: process.env.DEFAULT_TENANT_SLUG || 'principal',
+        nombre: config.clinic.name,
+        whatsapp_session: null
+    });
+}
+
+module.exports = {
+    DEFAULT_TENANT_ID,
+    DEFAULT_WHATSAPP_SESSION,
+    WEBHOOK_WHATSAPP_SESSIONS,
+    createClinicConfig,
+    getBaseClinicConfig,
+    registerTenant,
+    unregisterTenant,
+    getTenantContext,
+    findTenantContext,
+    listTenantContexts,
+    getDefaultTenant
+};
@@ -0,0 +1,58 @@
+// Ayudas para las migraciones (src/infrastructure/database/migrations). Las migraciones
+// deben poder correr sobre una base creada por syncModels, así que solo agregan lo que falta
+
+// Columnas de la tabla, o null si aún no existe (la crea syncModels al iniciar)
+async function describeTableIfExists(queryInterface, table) {
+  try {
+    return await queryInterface.describeTable(table);
+  } catch (error) {
+    return null;
+  }
+}
+
+// columns: { nombre: definición de queryInterface.addColumn }
+async function addMissingColumns(queryInterface, table, columns) {
+  const existing = await describeTableIfExists(queryInterface, table);
+  if (!existing) {
+    return;
+  }
+
+  for (const [name, definition] of Object.entries(columns)) {
+    if (!existing[name]) {
+      await queryInterface.addColumn(table, name, definition);
+    }
+  }
+}
+
+async function removeExistingColumns(queryInterface, table, names) {
+  const existing = await describeTableIfExists(queryInterface, table);
+  if (!existing) {
+    return;
+  }
+
+  for (const name of names) {
+    if (existing[name]) {
+      await queryInterface.removeColumn(table, name);
+    }
+  }
+}
+
+// Índice con el nombre que le da Sequelize a los índices del modelo, para que syncModels no lo duplique
+async function addIndexIfMissing(queryInterface, table, fields, options = {}) {
+  if (!(await describeTableIfExists(queryInterface, table))) {
+    return;
+  }
+
+  const name = `${table}_${fields.join('_')}`;
+  const indexes = await queryInterface.showIndex(table);
+  if (!indexes.some(index => index.name === name)) {
+    await queryInterface.addIndex(table, fields, { ...options, name });
+  }
+}
+
+module.exports = {
+  describeTableIfExists,
+  addMissingColumns,
+  removeExistingColumns,
+  addIndexIfMissing
+};
@@ -0,0 +1,16 @@
+'use strict';
+
+const { addMissingColumns, removeExistingColumns } = require('../migrationUtils');
+
+// Transcripción de las notas de voz
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await addMissingColumns(queryInterface, 'messages', {
+      transcript: { type: Sequelize.TEXT, allowNull: true }
+    });
+  },
+
+  async down(queryInterface) {
+    await removeExistingColumns(queryInterface, 'messages', ['transcript']);
+  }
+};
@@ -0,0 +1,18 @@
+'use strict';
+
+const { addMissingColumns, removeExistingColumns } = require('../migrationUtils');
+
+// Derivación a un gestor: motivo, inicio y vencimiento de la pausa del bot
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await addMissingColumns(queryInterface, 'leads', {
+      handoff_reason: { type: Sequelize.STRING, allowNull: true },
+      handoff_started_at: { type: Sequelize.DATE, allowNull: true },
+      handoff_expires_at: { type: Sequelize.DATE, allowNull: true }
+    });
+  },
+
+  async down(queryInterface) {
+    await removeExistingColumns(queryInterface, 'leads', ['handoff_reason', 'handoff_started_at', 'handoff_expires_at']);
+  }
+};
@@ -0,0 +1,17 @@
+'use strict';
+
+const { addMissingColumns, removeExistingColumns } = require('../migrationUtils');
+
+// Inbox de gestores: quién respondió desde el dashboard y cuándo se leyó cada mensaje
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await addMissingColumns(queryInterface, 'messages', {
+      agent_id: { type: Sequelize.STRING, allowNull: true },
+      read_at: { type: Sequelize.DATE, allowNull: true }
+    });
+  },
+
+  async down(queryInterface) {
+    await removeExistingColumns(queryInterface, 'messages', ['agent_id', 'read_at']);
+  }
+};
@@ -0,0 +1,18 @@
+'use strict';
+
+const { addMissingColumns, removeExistingColumns, addIndexIfMissing } = require('../migrationUtils');
+
+// Etapa del embudo; los leads existentes empiezan en 'new'
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await addMissingColumns(queryInterface, 'leads', {
+      etapa: { type: Sequelize.STRING, allowNull: false, defaultValue: 'new' },
+      etapa_updated_at: { type: Sequelize.DATE, allowNull: true }
+    });
+    await addIndexIfMissing(queryInterface, 'leads', ['etapa']);
+  },
+
+  async down(queryInterface) {
+    await removeExistingColumns(queryInterface, 'leads', ['etapa', 'etapa_updated_at']);
+  }
+};
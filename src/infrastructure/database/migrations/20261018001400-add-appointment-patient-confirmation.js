@@ -0,0 +1,16 @@
+'use strict';
+
+const { addMissingColumns, removeExistingColumns } = require('../migrationUtils');
+
+// Confirmación del paciente en respuesta a un recordatorio
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await addMissingColumns(queryInterface, 'appointments', {
+      confirmacion_paciente_at: { type: Sequelize.DATE, allowNull: true }
+    });
+  },
+
+  async down(queryInterface) {
+    await removeExistingColumns(queryInterface, 'appointments', ['confirmacion_paciente_at']);
+  }
+};
@@ -0,0 +1,17 @@
+'use strict';
+
+const { addMissingColumns, removeExistingColumns, addIndexIfMissing } = require('../migrationUtils');
+
+// Variante de prompt (A/B) asignada a cada chat
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await addMissingColumns(queryInterface, 'leads', {
+      prompt_variante: { type: Sequelize.STRING, allowNull: true }
+    });
+    await addIndexIfMissing(queryInterface, 'leads', ['prompt_variante']);
+  },
+
+  async down(queryInterface) {
+    await removeExistingColumns(queryInterface, 'leads', ['prompt_variante']);
+  }
+};
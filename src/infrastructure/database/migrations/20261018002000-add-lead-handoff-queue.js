@@ -0,0 +1,16 @@
+'use strict';
+
+const { addMissingColumns, removeExistingColumns } = require('../migrationUtils');
+
+// Derivaciones pedidas fuera de horario, en cola hasta la próxima apertura
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await addMissingColumns(queryInterface, 'leads', {
+      handoff_queued_until: { type: Sequelize.DATE, allowNull: true }
+    });
+  },
+
+  async down(queryInterface) {
+    await removeExistingColumns(queryInterface, 'leads', ['handoff_queued_until']);
+  }
+};
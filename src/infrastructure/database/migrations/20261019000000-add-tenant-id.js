@@ -0,0 +1,100 @@
+'use strict';
+
+// Lleva una base de antes de tener varias clínicas al esquema con tenant_id: agrega la
+// columna (las filas existentes quedan en la clínica 1 por el valor por defecto) y cambia
+// los índices para que teléfono, clave y versión de prompt sean únicos por clínica.
+// Se puede correr sobre una base creada por syncModels: lo que ya existe no se toca,
+// y las tablas que aún no existen las crea syncModels al iniciar
+const TENANT_TABLES = [
+  { table: 'appointments', indexes: [{ from: ['sede', 'fecha', 'turno'], to: ['tenant_id', 'sede', 'fecha', 'turno'] }] },
+  { table: 'broadcasts', indexes: [{ from: ['estado'], to: ['tenant_id', 'estado'] }] },
+  { table: 'clinic_settings', indexes: [{ from: ['clave'], to: ['tenant_id', 'clave'], unique: true }] },
+  { table: 'contact_consents', indexes: [{ from: ['telefono'], to: ['tenant_id', 'telefono'], unique: true }] },
+  { table: 'follow_ups', indexes: [{ from: ['telefono', 'estado'], to: ['tenant_id', 'telefono', 'estado'] }] },
+  { table: 'leads', indexes: [{ from: ['telefono'], to: ['tenant_id', 'telefono'], unique: true }] },
+  { table: 'lead_documents', indexes: [{ from: ['telefono'], to: ['tenant_id', 'telefono'] }] },
+  { table: 'lead_visits', indexes: [{ from: ['fecha'], to: ['tenant_id', 'fecha'] }] },
+  { table: 'messages', indexes: [{ from: ['chat_id', 'created_at'], to: ['tenant_id', 'chat_id', 'created_at'] }] },
+  { table: 'prompt_versions', indexes: [{ from: ['variante', 'version'], to: ['tenant_id', 'variante', 'version'], unique: true }] }
+];
+
+// Mismo nombre que le da Sequelize a los índices del modelo, para que syncModels no los duplique
+const indexName = (table, fields) => `${table}_${fields.join('_')}`;
+
+const sameFields = (index, fields) =>
+  index.fields.length === fields.length &&
+  index.fields.every((field, position) => field.attribute === fields[position]);
+
+async function describe(queryInterface, table) {
+  try {
+    return await queryInterface.describeTable(table);
+  } catch (error) {
+    return null;
+  }
+}
+
+// Cambia los índices sobre "from" por uno sobre "to" (incluye el unique de la columna,
+// que MySQL nombra como la columna)
+async function replaceIndexes(queryInterface, table, { from, to, unique = false }) {
+  const indexes = await queryInterface.showIndex(table);
+
+  for (const index of indexes) {
+    if (!index.primary && sameFields(index, from)) {
+      await queryInterface.removeIndex(table, index.name);
+    }
+  }
+  if (!indexes.some(index => sameFields(index, to))) {
+    await queryInterface.addIndex(table, to, { name: indexName(table, to), unique });
+  }
+}
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    for (const { table, indexes } of TENANT_TABLES) {
+      const columns = await describe(queryInterface, table);
+      if (!columns) {
+        continue;
+      }
+
+      if (!columns.tenant_id) {
+        await queryInterface.addColumn(table, 'tenant_id', {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 1
+        });
+      }
+      for (const change of indexes) {
+        await replaceIndexes(queryInterface, table, change);
+      }
+    }
+
+    // Usuarios existentes sin clínica: siguen viendo la principal y los admin, todas
+    const users = await describe(queryInterface, 'users');
+    if (users && !users.tenant_id) {
+      await queryInterface.addColumn('users', 'tenant_id', {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      });
+    }
+  },
+
+  // Solo es posible mientras haya una clínica: los índices únicos vuelven a ser globales
+  async down(queryInterface) {
+    const users = await describe(queryInterface, 'users');
+    if (users && users.tenant_id) {
+      await queryInterface.removeColumn('users', 'tenant_id');
+    }
+
+    for (const { table, indexes } of TENANT_TABLES) {
+      const columns = await describe(queryInterface, table);
+      if (!columns || !columns.tenant_id) {
+        continue;
+      }
+
+      for (const { from, to, unique } of indexes) {
+        await replaceIndexes(queryInterface, table, { from: to, to: from, unique });
+      }
+      await queryInterface.removeColumn(table, 'tenant_id');
+    }
+  }
+};
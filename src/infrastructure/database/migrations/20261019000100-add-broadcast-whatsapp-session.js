@@ -0,0 +1,28 @@
+'use strict';
+
+// Sesión de WhatsApp desde la que sale cada campaña; las existentes (null) usan el número de la clínica.
+// La tabla whatsapp_sessions es nueva y la crea syncModels al iniciar
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    let columns;
+    try {
+      columns = await queryInterface.describeTable('broadcasts');
+    } catch (error) {
+      return;
+    }
+
+    if (!columns.whatsapp_session) {
+      await queryInterface.addColumn('broadcasts', 'whatsapp_session', {
+        type: Sequelize.STRING(50),
+        allowNull: true
+      });
+    }
+  },
+
+  async down(queryInterface) {
+    const columns = await queryInterface.describeTable('broadcasts');
+    if (columns.whatsapp_session) {
+      await queryInterface.removeColumn('broadcasts', 'whatsapp_session');
+    }
+  }
+};
@@ -0,0 +1,21 @@
+'use strict';
+
+const { addMissingColumns, removeExistingColumns } = require('../migrationUtils');
+
+// Número de la clínica (sesión o webhook) por el que llegó o salió cada mensaje, y el último
+// por el que escribió cada lead; los registros existentes (null) usan el número principal
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await addMissingColumns(queryInterface, 'messages', {
+      whatsapp_session: { type: Sequelize.STRING(50), allowNull: true }
+    });
+    await addMissingColumns(queryInterface, 'leads', {
+      whatsapp_session: { type: Sequelize.STRING(50), allowNull: true }
+    });
+  },
+
+  async down(queryInterface) {
+    await removeExistingColumns(queryInterface, 'messages', ['whatsapp_session']);
+    await removeExistingColumns(queryInterface, 'leads', ['whatsapp_session']);
+  }
+};
@@ -0,0 +1,81 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const Appointment = sequelize.define('Appointment', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    tenant_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1
+    },
+    lead_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'leads',
+        key: 'id'
+      }
+    },
+    sede: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    servicio: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'chequeo_prostatico'
+    },
+    fecha: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    turno: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    hora: {
+      type: DataTypes.STRING(5),
+      allowNull: true
+    },
+    nombre_paciente: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    dni: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    telefono: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    estado: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'confirmada'
+    },
+    // Cuándo el paciente confirmó su asistencia respondiendo un recordatorio
+    confirmacion_paciente_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'appointments',
+    underscored: true,
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['tenant_id', 'sede', 'fecha', 'turno']
+      },
+      {
+        fields: ['lead_id']
+      }
+    ]
+  });
+
+  return Appointment;
+};
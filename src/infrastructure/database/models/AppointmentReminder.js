@@ -0,0 +1,59 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const AppointmentReminder = sequelize.define('AppointmentReminder', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    appointment_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'appointments',
+        key: 'id'
+      }
+    },
+    tipo: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    telefono: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    programado_para: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    // enviado, omitido (la cita se agendó después de la hora de envío o el paciente pidió la baja) o fallido
+    estado: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    enviado_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    error: {
+      type: DataTypes.STRING,
+      allowNull: true
+    }
+  }, {
+    tableName: 'appointment_reminders',
+    underscored: true,
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['appointment_id', 'tipo']
+      },
+      {
+        fields: ['telefono']
+      }
+    ]
+  });
+
+  return AppointmentReminder;
+};
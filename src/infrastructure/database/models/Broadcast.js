@@ -0,0 +1,87 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const Broadcast = sequelize.define('Broadcast', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    tenant_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1
+    },
+    nombre: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    plantilla: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    // Filtros del segmento de leads con los que se armó la lista de destinatarios
+    filtros: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    // pendiente, en_curso, pausada, cancelada o completada
+    estado: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'pendiente'
+    },
+    por_minuto: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    // Sesión de WhatsApp desde la que se envía; null usa el número de la clínica
+    whatsapp_session: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    },
+    total: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    enviados: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    fallidos: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    omitidos: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    created_by: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    started_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    finished_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'broadcasts',
+    underscored: true,
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['tenant_id', 'estado']
+      }
+    ]
+  });
+
+  return Broadcast;
+};
@@ -0,0 +1,64 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const BroadcastRecipient = sequelize.define('BroadcastRecipient', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    broadcast_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'broadcasts',
+        key: 'id'
+      }
+    },
+    lead_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'leads',
+        key: 'id'
+      }
+    },
+    telefono: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    // pendiente, enviado, fallido u omitido (opt-out o campaña cancelada)
+    estado: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'pendiente'
+    },
+    mensaje: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    error: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    enviado_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'broadcast_recipients',
+    underscored: true,
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['broadcast_id', 'telefono']
+      },
+      {
+        fields: ['broadcast_id', 'estado']
+      }
+    ]
+  });
+
+  return BroadcastRecipient;
+};
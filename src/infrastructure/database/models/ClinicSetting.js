@@ -0,0 +1,41 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const ClinicSetting = sequelize.define('ClinicSetting', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    tenant_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1
+    },
+    clave: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    valor: {
+      type: DataTypes.JSON,
+      allowNull: false
+    },
+    // Usuario que hizo el último cambio
+    updated_by: {
+      type: DataTypes.STRING,
+      allowNull: true
+    }
+  }, {
+    tableName: 'clinic_settings',
+    underscored: true,
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['tenant_id', 'clave']
+      }
+    ]
+  });
+
+  return ClinicSetting;
+};
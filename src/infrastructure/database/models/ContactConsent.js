@@ -0,0 +1,69 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // Consentimiento por teléfono: si opted_out es true no se le envían mensajes que no sean respuesta
+  const ContactConsent = sequelize.define('ContactConsent', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    tenant_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1
+    },
+    telefono: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    opted_out: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    // keyword (el paciente lo pidió por chat), agent o api
+    source: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    motivo: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    agent_id: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    opted_out_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    opted_in_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // Envíos bloqueados por la baja
+    blocked_count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    last_blocked_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'contact_consents',
+    underscored: true,
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['tenant_id', 'telefono']
+      }
+    ]
+  });
+
+  return ContactConsent;
+};
@@ -0,0 +1,66 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const FollowUp = sequelize.define('FollowUp', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    tenant_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1
+    },
+    lead_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'leads',
+        key: 'id'
+      }
+    },
+    telefono: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    secuencia: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    // Índice del próximo paso a enviar
+    paso: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    // activa, completada o detenida
+    estado: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'activa'
+    },
+    motivo_detencion: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    proximo_envio_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'follow_ups',
+    underscored: true,
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['estado', 'proximo_envio_at']
+      },
+      {
+        fields: ['tenant_id', 'telefono', 'estado']
+      }
+    ]
+  });
+
+  return FollowUp;
+};
@@ -0,0 +1,68 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const FollowUpAttempt = sequelize.define('FollowUpAttempt', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    follow_up_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'follow_ups',
+        key: 'id'
+      }
+    },
+    lead_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'leads',
+        key: 'id'
+      }
+    },
+    telefono: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    paso: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    // template o llm
+    modo: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    mensaje: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    // enviado o fallido
+    estado: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    error: {
+      type: DataTypes.STRING,
+      allowNull: true
+    }
+  }, {
+    tableName: 'follow_up_attempts',
+    underscored: true,
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+      {
+        fields: ['follow_up_id']
+      },
+      {
+        fields: ['lead_id']
+      }
+    ]
+  });
+
+  return FollowUpAttempt;
+};
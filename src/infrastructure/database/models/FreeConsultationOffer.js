@@ -0,0 +1,63 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const FreeConsultationOffer = sequelize.define('FreeConsultationOffer', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    lead_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'leads',
+        key: 'id'
+      }
+    },
+    objection_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'objections',
+        key: 'id'
+      }
+    },
+    telefono: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    motivo: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    oferta: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    // pendiente, aceptada o rechazada
+    respuesta: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'pendiente'
+    },
+    respondida_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'free_consultation_offers',
+    underscored: true,
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['lead_id']
+      },
+      {
+        fields: ['telefono', 'respuesta']
+      }
+    ]
+  });
+
+  return FreeConsultationOffer;
+};
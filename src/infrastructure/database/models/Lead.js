@@ -7,6 +7,12 @@ module.exports = (sequelize) => {
       primaryKey: true,
       autoIncrement: true
     },
+    // Clínica (tenants.id); sin clave foránea para que las filas existentes pasen a la clínica 1
+    tenant_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1
+    },
     fecha: {
       type: DataTypes.DATEONLY,
       allowNull: false,
@@ -19,8 +25,7 @@ module.exports = (sequelize) => {
     },
     telefono: {
       type: DataTypes.STRING,
-      allowNull: false,
-      unique: true
+      allowNull: false
     },
     nombre: {
       type: DataTypes.STRING,
@@ -57,10 +62,48 @@ module.exports = (sequelize) => {
       allowNull: false,
       defaultValue: true
     },
+    handoff_reason: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    handoff_started_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    handoff_expires_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // Derivación pedida fuera de horario: queda en cola hasta la próxima apertura
+    handoff_queued_until: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
     tipo_lead: {
       type: DataTypes.STRING,
       allowNull: false,
       defaultValue: 'organic'
+    },
+    // Etapa del embudo: new, qualified, screened, offered, scheduled, attended, lost
+    etapa: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'new'
+    },
+    etapa_updated_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // Variante de prompt (A/B) asignada al chat
+    prompt_variante: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    // Número de la clínica (sesión o webhook) por el que escribió por última vez;
+    // recordatorios, seguimientos y gestores le responden por ese número
+    whatsapp_session: {
+      type: DataTypes.STRING(50),
+      allowNull: true
     }
   }, {
     tableName: 'leads',
@@ -69,7 +112,13 @@ module.exports = (sequelize) => {
     indexes: [
       {
         unique: true,
-        fields: ['telefono']
+        fields: ['tenant_id', 'telefono']
+      },
+      {
+        fields: ['etapa']
+      },
+      {
+        fields: ['prompt_variante']
       }
     ]
   });
@@ -0,0 +1,78 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const LeadDocument = sequelize.define('LeadDocument', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    tenant_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1
+    },
+    lead_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'leads',
+        key: 'id'
+      }
+    },
+    message_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'messages',
+        key: 'id'
+      }
+    },
+    telefono: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    file_name: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    mimetype: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    size: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    url: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    public_id: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    extracted_text: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    summary: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    tableName: 'lead_documents',
+    underscored: true,
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['lead_id']
+      },
+      {
+        fields: ['tenant_id', 'telefono']
+      }
+    ]
+  });
+
+  return LeadDocument;
+};
@@ -0,0 +1,55 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const LeadStageTransition = sequelize.define('LeadStageTransition', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    lead_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'leads',
+        key: 'id'
+      }
+    },
+    from_stage: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    to_stage: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    // Qué provocó el cambio: extraction, booking, appointment, agent
+    trigger: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    agent_id: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    motivo: {
+      type: DataTypes.STRING,
+      allowNull: true
+    }
+  }, {
+    tableName: 'lead_stage_transitions',
+    underscored: true,
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+      {
+        fields: ['lead_id', 'created_at']
+      },
+      {
+        fields: ['to_stage', 'created_at']
+      }
+    ]
+  });
+
+  return LeadStageTransition;
+};
@@ -0,0 +1,92 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // Un registro por lead y día (en Perú) en que el paciente escribió
+  const LeadVisit = sequelize.define('LeadVisit', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    tenant_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1
+    },
+    lead_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'leads',
+        key: 'id'
+      }
+    },
+    telefono: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    fecha: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    origen: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'whatsapp'
+    },
+    tipo_lead: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'organic'
+    },
+    id_campana: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    id_anuncio: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    nombre: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    ubicacion: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    sintomas: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      defaultValue: ''
+    },
+    interacciones: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    primera_interaccion: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    ultima_interaccion: {
+      type: DataTypes.DATE,
+      allowNull: false
+    }
+  }, {
+    tableName: 'lead_visits',
+    underscored: true,
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['lead_id', 'fecha']
+      },
+      {
+        fields: ['tenant_id', 'fecha']
+      }
+    ]
+  });
+
+  return LeadVisit;
+};
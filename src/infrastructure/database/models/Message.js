@@ -0,0 +1,90 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const Message = sequelize.define('Message', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    tenant_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1
+    },
+    lead_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'leads',
+        key: 'id'
+      }
+    },
+    chat_id: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    telefono: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    direction: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    sender: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'user'
+    },
+    agent_id: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    type: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'chat'
+    },
+    body: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      defaultValue: ''
+    },
+    media_url: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    transcript: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    wa_message_id: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    read_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // Número de la clínica (sesión o webhook) por el que llegó o salió el mensaje
+    whatsapp_session: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    }
+  }, {
+    tableName: 'messages',
+    underscored: true,
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['tenant_id', 'chat_id', 'created_at']
+      },
+      {
+        fields: ['lead_id']
+      }
+    ]
+  });
+
+  return Message;
+};
@@ -0,0 +1,46 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const Objection = sequelize.define('Objection', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    lead_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'leads',
+        key: 'id'
+      }
+    },
+    telefono: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    tipo: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    mensaje_original: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      defaultValue: ''
+    }
+  }, {
+    tableName: 'objections',
+    underscored: true,
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['lead_id']
+      },
+      {
+        fields: ['tipo', 'created_at']
+      }
+    ]
+  });
+
+  return Objection;
+};
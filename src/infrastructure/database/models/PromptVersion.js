@@ -0,0 +1,72 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const PromptVersion = sequelize.define('PromptVersion', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    tenant_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1
+    },
+    // Nombre del guion; cada variante tiene a lo sumo una versión publicada
+    variante: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    version: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    contenido: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    notas: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    autor: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    // borrador, publicada o archivada
+    estado: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'borrador'
+    },
+    // Proporción de chats nuevos que reciben esta variante en el A/B
+    peso: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    published_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    published_by: {
+      type: DataTypes.STRING,
+      allowNull: true
+    }
+  }, {
+    tableName: 'prompt_versions',
+    underscored: true,
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['tenant_id', 'variante', 'version']
+      },
+      {
+        fields: ['estado']
+      }
+    ]
+  });
+
+  return PromptVersion;
+};
@@ -0,0 +1,41 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // Clínica (tenant): tiene sus propias sedes, precios, prompt, zona horaria y sesión de WhatsApp.
+  // Los datos de las demás tablas se separan por tenant_id; los registros anteriores a
+  // tener varias clínicas pertenecen a la clínica 1, que se crea al iniciar
+  const Tenant = sequelize.define('Tenant', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    // Identificador corto para la API y los archivos de la clínica (lima, guayaquil...)
+    slug: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      unique: true
+    },
+    nombre: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    activo: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    // Nombre de la sesión de WhatsApp (carpeta de autenticación) del número de la clínica
+    whatsapp_session: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+      unique: true
+    }
+  }, {
+    tableName: 'tenants',
+    underscored: true,
+    timestamps: true
+  });
+
+  return Tenant;
+};
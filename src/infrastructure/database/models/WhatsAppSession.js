@@ -0,0 +1,45 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // Sesión de WhatsApp (un número vinculado) de una clínica. La de tenants.whatsapp_session
+  // atiende el tráfico normal; las demás sirven, por ejemplo, para enviar campañas desde otro número
+  const WhatsAppSession = sequelize.define('WhatsAppSession', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    tenant_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1
+    },
+    // También es el nombre de su carpeta de autenticación (whatsapp-auth/session-<nombre>)
+    nombre: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      unique: true
+    },
+    // Si se inicia al arrancar; detenerla desde la API la deja en false
+    activo: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    created_by: {
+      type: DataTypes.STRING,
+      allowNull: true
+    }
+  }, {
+    tableName: 'whatsapp_sessions',
+    underscored: true,
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['tenant_id']
+      }
+    ]
+  });
+
+  return WhatsAppSession;
+};
@@ -4,6 +4,24 @@ const { logger } = require('../../../utils/logger');
 // Importar modelos
 const Lead = require('./Lead')(sequelize);
 const CampaignLeadDetail = require('./CampaignLeadDetail')(sequelize);
+const Appointment = require('./Appointment')(sequelize);
+const Message = require('./Message')(sequelize);
+const LeadDocument = require('./LeadDocument')(sequelize);
+const User = require('./User')(sequelize);
+const Objection = require('./Objection')(sequelize);
+const FreeConsultationOffer = require('./FreeConsultationOffer')(sequelize);
+const LeadVisit = require('./LeadVisit')(sequelize);
+const LeadStageTransition = require('./LeadStageTransition')(sequelize);
+const AppointmentReminder = require('./AppointmentReminder')(sequelize);
+const FollowUp = require('./FollowUp')(sequelize);
+const FollowUpAttempt = require('./FollowUpAttempt')(sequelize);
+const ContactConsent = require('./ContactConsent')(sequelize);
+const Broadcast = require('./Broadcast')(sequelize);
+const BroadcastRecipient = require('./BroadcastRecipient')(sequelize);
+const ClinicSetting = require('./ClinicSetting')(sequelize);
+const PromptVersion = require('./PromptVersion')(sequelize);
+const Tenant = require('./Tenant')(sequelize);
+const WhatsAppSession = require('./WhatsAppSession')(sequelize);
 
 // Definir relaciones
 Lead.hasOne(CampaignLeadDetail, {
@@ -16,11 +34,137 @@ CampaignLeadDetail.belongsTo(Lead, {
   as: 'lead'
 });
 
+Lead.hasMany(Appointment, {
+  foreignKey: 'lead_id',
+  as: 'appointments'
+});
+
+Appointment.belongsTo(Lead, {
+  foreignKey: 'lead_id',
+  as: 'lead'
+});
+
+Lead.hasMany(Message, {
+  foreignKey: 'lead_id',
+  as: 'messages'
+});
+
+Message.belongsTo(Lead, {
+  foreignKey: 'lead_id',
+  as: 'lead'
+});
+
+Lead.hasMany(LeadDocument, {
+  foreignKey: 'lead_id',
+  as: 'documents'
+});
+
+LeadDocument.belongsTo(Lead, {
+  foreignKey: 'lead_id',
+  as: 'lead'
+});
+
+LeadDocument.belongsTo(Message, {
+  foreignKey: 'message_id',
+  as: 'message'
+});
+
+Lead.hasMany(Objection, {
+  foreignKey: 'lead_id',
+  as: 'objections'
+});
+
+Objection.belongsTo(Lead, {
+  foreignKey: 'lead_id',
+  as: 'lead'
+});
+
+Lead.hasMany(FreeConsultationOffer, {
+  foreignKey: 'lead_id',
+  as: 'freeConsultationOffers'
+});
+
+FreeConsultationOffer.belongsTo(Lead, {
+  foreignKey: 'lead_id',
+  as: 'lead'
+});
+
+FreeConsultationOffer.belongsTo(Objection, {
+  foreignKey: 'objection_id',
+  as: 'objection'
+});
+
+Lead.hasMany(LeadVisit, {
+  foreignKey: 'lead_id',
+  as: 'visits'
+});
+
+LeadVisit.belongsTo(Lead, {
+  foreignKey: 'lead_id',
+  as: 'lead'
+});
+
+Lead.hasMany(LeadStageTransition, {
+  foreignKey: 'lead_id',
+  as: 'stageTransitions'
+});
+
+LeadStageTransition.belongsTo(Lead, {
+  foreignKey: 'lead_id',
+  as: 'lead'
+});
+
+Appointment.hasMany(AppointmentReminder, {
+  foreignKey: 'appointment_id',
+  as: 'reminders'
+});
+
+AppointmentReminder.belongsTo(Appointment, {
+  foreignKey: 'appointment_id',
+  as: 'appointment'
+});
+
+Lead.hasMany(FollowUp, {
+  foreignKey: 'lead_id',
+  as: 'followUps'
+});
+
+FollowUp.belongsTo(Lead, {
+  foreignKey: 'lead_id',
+  as: 'lead'
+});
+
+FollowUp.hasMany(FollowUpAttempt, {
+  foreignKey: 'follow_up_id',
+  as: 'attempts'
+});
+
+FollowUpAttempt.belongsTo(FollowUp, {
+  foreignKey: 'follow_up_id',
+  as: 'followUp'
+});
+
+Broadcast.hasMany(BroadcastRecipient, {
+  foreignKey: 'broadcast_id',
+  as: 'recipients'
+});
+
+BroadcastRecipient.belongsTo(Broadcast, {
+  foreignKey: 'broadcast_id',
+  as: 'broadcast'
+});
+
+BroadcastRecipient.belongsTo(Lead, {
+  foreignKey: 'lead_id',
+  as: 'lead'
+});
+
 // Función para sincronizar modelos
-const syncModels = async (force = false) => {
+// DB_SYNC_ALTER=true agrega las columnas nuevas a tablas existentes
+const syncModels = async (force = false, alter = process.env.DB_SYNC_ALTER === 'true') => {
   try {
     logger.info('Synchronizing database models...');
-    await sequelize.sync({ force });
+    await sequelize.sync({ force, alter });
     logger.info('Database models synchronized successfully');
   } catch (error) {
     logger.error('Error synchronizing database models:', error);
@@ -32,5 +176,23 @@ module.exports = {
   sequelize,
   Lead,
   CampaignLeadDetail,
+  Appointment,
+  Message,
+  LeadDocument,
+  User,
+  Objection,
+  FreeConsultationOffer,
+  LeadVisit,
+  LeadStageTransition,
+  AppointmentReminder,
+  FollowUp,
+  FollowUpAttempt,
+  ContactConsent,
+  Broadcast,
+  BroadcastRecipient,
+  ClinicSetting,
+  PromptVersion,
+  Tenant,
+  WhatsAppSession,
   syncModels
 }; 
\ No newline at end of file
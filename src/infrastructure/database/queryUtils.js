@@ -0,0 +1,26 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('./connection');
+
+// En Postgres LIKE distingue mayúsculas; ILIKE no existe en MySQL
+const getLikeOperator = () => (sequelize.getDialect() === 'postgres' ? Op.iLike : Op.like);
+
+// Cursores opacos para paginación: codifican el valor de orden y el id del último registro
+const encodeCursor = (value, id) => Buffer.from(JSON.stringify({ v: value, id })).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (decoded === null || typeof decoded !== 'object' || decoded.id === undefined) {
+      return null;
+    }
+    return decoded;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  getLikeOperator,
+  encodeCursor,
+  decodeCursor
+};
@@ -0,0 +1,34 @@
+// Se importa lib/pdf-parse.js directamente: el index del paquete intenta leer
+// un PDF de prueba cuando no tiene module.parent
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const mammoth = require('mammoth');
+const { logger } = require('../../utils/logger');
+
+class DocumentTextExtractor {
+    async extract(buffer, mimetype) {
+        try {
+            let text = '';
+
+            if (mimetype === 'application/pdf') {
+                const result = await pdfParse(buffer);
+                text = result.text;
+            } else if (mimetype === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') {
+                const result = await mammoth.extractRawText({ buffer });
+                text = result.value;
+            } else {
+                // Los .doc antiguos (application/msword) no se pueden leer localmente
+                logger.warn(`Text extraction not supported for ${mimetype}`);
+                return '';
+            }
+
+            const normalized = (text || '').replace(/[ \t]+/g, ' ').replace(/\n{3,}/g, '\n\n').trim();
+            logger.info(`Extracted ${normalized.length} characters from document`);
+            return normalized;
+        } catch (error) {
+            logger.error('Error extracting document text:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = new DocumentTextExtractor();
@@ -0,0 +1,120 @@
+const { logger } = require('../../utils/logger');
+
+const getBearerToken = (header) => {
+    if (!header || !header.startsWith('Bearer ')) {
+        return null;
+    }
+    return header.slice('Bearer '.length).trim() || null;
+};
+
+// Exige un token válido y deja el usuario en req.user
+function authenticate(authService) {
+    return async (req, res, next) => {
+        try {
+            const token = getBearerToken(req.headers.authorization);
+            if (!token) {
+                return res.status(401).json({ error: 'Authentication required' });
+            }
+
+            const user = await authService.verifyToken(token);
+            if (!user) {
+                return res.status(401).json({ error: 'Invalid or expired token' });
+            }
+
+            req.user = user;
+            next();
+        } catch (error) {
+            logger.error('[Auth] Error authenticating request:', error);
+            res.status(500).json({ error: 'Failed to authenticate request' });
+        }
+    };
+}
+
+// Debe usarse después de authenticate
+function requirePermission(authService, permission) {
+    return (req, res, next) => {
+        if (!req.user || !authService.hasPermission(req.user.role, permission)) {
+            logger.warn(`[Auth] ${req.user ? req.user.email : 'anonymous'} denied ${permission} on ${req.method} ${req.path}`);
+            return res.status(403).json({ error: 'Forbidden' });
+        }
+        next();
+    };
+}
+
+// Clínica con la que trabaja el usuario: la suya o, si es un administrador sin clínica
+// fija, la que pida (id o slug); si no pide ninguna, la principal.
+// getServices(valor) devuelve los servicios de una clínica activa (la principal si valor es null)
+function selectTenantServices(authService, user, requested, getServices) {
+    if (user.tenant_id) {
+        const services = getServices(user.tenant_id);
+        return services ? { services } : { status: 403, error: 'Tenant is not active' };
+    }
+    if (requested === undefined || requested === null || requested === '') {
+        return { services: getServices(null) };
+    }
+    if (!authService.hasPermission(user.role, 'tenants:manage')) {
+        return { status: 403, error: 'Forbidden' };
+    }
+
+    const services = getServices(requested);
+    return services ? { services } : { status: 404, error: 'Tenant not found' };
+}
+
+// Debe usarse después de authenticate; deja la clínica en req.tenant y sus servicios en req.services
+function resolveTenant(authService, getServices) {
+    return (req, res, next) => {
+        const { services, status, error } = selectTenantServices(authService, req.user, req.headers['x-tenant'], getServices);
+        if (!services) {
+            return res.status(status).json({ error });
+        }
+
+        req.services = services;
+        req.tenant = services.tenant;
+        next();
+    };
+}
+
+// Alta y edición de clínicas: solo administradores sin clínica fija
+function requireGlobalAdmin(authService) {
+    return (req, res, next) => {
+        if (!req.user || req.user.tenant_id || !authService.hasPermission(req.user.role, 'tenants:manage')) {
+            logger.warn(`[Auth] ${req.user ? req.user.email : 'anonymous'} denied tenants:manage on ${req.method} ${req.path}`);
+            return res.status(403).json({ error: 'Forbidden' });
+        }
+        next();
+    };
+}
+
+// Middleware de handshake para socket.io: el token llega en auth.token o en la query
+function authenticateSocket(authService) {
+    return async (socket, next) => {
+        try {
+            const token = socket.handshake.auth?.token ||
+                socket.handshake.query?.token ||
+                getBearerToken(socket.handshake.headers?.authorization);
+            if (!token) {
+                return next(new Error('Authentication required'));
+            }
+
+            const user = await authService.verifyToken(token);
+            if (!user) {
+                return next(new Error('Invalid or expired token'));
+            }
+
+            socket.data.user = user;
+            next();
+        } catch (error) {
+            logger.error('[Auth] Error authenticating socket:', error);
+            next(new Error('Failed to authenticate'));
+        }
+    };
+}
+
+module.exports = {
+    authenticate,
+    requirePermission,
+    selectTenantServices,
+    resolveTenant,
+    requireGlobalAdmin,
+    authenticateSocket
+};
@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+const { logger } = require('../../utils/logger');
+
+// Comparación en tiempo constante; falso si las longitudes difieren
+const safeEqual = (a, b) => {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+// Guarda el cuerpo tal como llegó: la firma de Meta se calcula sobre esos bytes.
+// Se usa como opción verify de express.json()
+function captureRawBody(req, res, buffer) {
+    req.rawBody = buffer;
+}
+
+// Webhook de WhatsApp Cloud: X-Hub-Signature-256 es el HMAC-SHA256 del cuerpo con el App Secret
+function verifyMetaSignature(appSecret) {
+    return (req, res, next) => {
+        if (!appSecret) {
+            logger.warn('[Webhook] WhatsApp Cloud webhook received but WHATSAPP_APP_SECRET is not configured');
+            return res.sendStatus(503);
+        }
+
+        const signature = req.get('x-hub-signature-256') || '';
+        const expected = 'sha256=' + crypto
+            .createHmac('sha256', appSecret)
+            .update(req.rawBody || '')
+            .digest('hex');
+
+        if (!safeEqual(signature, expected)) {
+            logger.warn(`[Webhook] Invalid WhatsApp Cloud signature from ${req.ip}`);
+            return res.sendStatus(401);
+        }
+        next();
+    };
+}
+
+// Webhooks sin firma (Woztell): secreto compartido en la cabecera X-Webhook-Secret
+// o en ?token= de la URL registrada en el proveedor
+function verifyWebhookSecret(secret, name) {
+    return (req, res, next) => {
+        if (!secret) {
+            logger.warn(`[Webhook] ${name} webhook received but its secret is not configured`);
+            return res.sendStatus(503);
+        }
+
+        const provided = req.get('x-webhook-secret') || req.query.token || '';
+        if (!safeEqual(provided, secret)) {
+            logger.warn(`[Webhook] Invalid ${name} webhook secret from ${req.ip}`);
+            return res.sendStatus(401);
+        }
+        next();
+    };
+}
+
+module.exports = {
+    captureRawBody,
+    verifyMetaSignature,
+    verifyWebhookSecret
+};
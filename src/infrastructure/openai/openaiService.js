@@ -2,15 +2,30 @@ const { OpenAI } = require('openai');
 const { logger } = require('../../utils/logger');
 const fs = require('fs');
 const path = require('path');
-const { formatPeruDate, getCurrentPeruDate } = require('../../utils/dateUtils');
+const { getDefaultTenant } = require('../config/tenantContext');
+const { getPromptRegistry } = require('./promptRegistry');
+const BusinessHoursService = require('../../application/services/BusinessHoursService');
+const { formatDateTime } = require('../../utils/dateUtils');
+const { formatPrice, describeLocation, describeWorkingDays } = require('../../utils/clinicUtils');
+
+// Marcador del prompt donde se insertan los datos de la clínica
+const CLINIC_PLACEHOLDER = '{{DATOS_CLINICA}}';
+
+const PROMPT_PATH = path.join(__dirname, 'prompt.txt');
 
 class OpenAIService {
-    constructor() {
+    constructor(tenant = getDefaultTenant()) {
+        this.clinic = tenant.clinic;
+        this.prompts = getPromptRegistry(tenant.id);
+        this.businessHours = new BusinessHoursService(tenant);
         this.retryAttempts = 3;
         this.retryDelay = 1000;
         this.maxTokens = 500;
         this.temperature = 0.7;
         this.model = process.env.OPENAI_MODEL || 'gpt-4';
+        this.maxToolIterations = 5;
+        this.maxDocumentChars = 12000;
+        this.tools = new Map();
         
         if (!process.env.OPENAI_API_KEY) {
             throw new Error('OPENAI_API_KEY is required');
@@ -23,15 +38,15 @@ class OpenAIService {
         this.loadPrompt();
     }
 
+    // prompt.txt se usa mientras no haya versiones publicadas en la base de datos
     loadPrompt() {
         try {
-            const promptPath = path.join(__dirname, 'prompt.txt');
-            if (!fs.existsSync(promptPath)) {
-                logger.error('Prompt file not found:', promptPath);
+            if (!fs.existsSync(PROMPT_PATH)) {
+                logger.error('Prompt file not found:', PROMPT_PATH);
                 throw new Error('Prompt file not found');
             }
 
-            const rawPrompt = fs.readFileSync(promptPath, 'utf8');
+            const rawPrompt = fs.readFileSync(PROMPT_PATH, 'utf8');
             this.basePrompt = rawPrompt;
             logger.info('Base prompt loaded successfully');
         } catch (error) {
@@ -45,18 +60,75 @@ class OpenAIService {
 Tu objetivo es ayudar a los pacientes a programar citas y responder consultas médicas básicas.`;
     }
 
-    getCurrentPrompt() {
-        const currentDateTime = formatPeruDate(getCurrentPeruDate());
-        return this.injectDateInformation(this.basePrompt, currentDateTime);
+    // variant: variante A/B asignada al chat; sin ella se usa la versión publicada
+    // de la variante por defecto o, si no hay ninguna, prompt.txt
+    getCurrentPrompt(variant = null) {
+        const currentDateTime = formatDateTime(new Date(), this.clinic.timezone);
+        const basePrompt = (variant && this.prompts.getPrompt(variant)) ||
+            this.prompts.getDefaultPrompt() ||
+            this.basePrompt;
+        const prompt = this.injectClinicInformation(basePrompt);
+        return this.injectDateInformation(prompt, currentDateTime);
+    }
+
+    // Sedes, servicios, horarios, pagos y teléfonos tal como están en la configuración
+    renderClinicInformation() {
+        const clinic = this.clinic;
+        const lines = [`[DATOS DE LA CLÍNICA - ${clinic.name}]`, '', `Sedes (solo ${describeLocation(clinic)}):`];
+
+        for (const sede of Object.values(clinic.sedes)) {
+            lines.push(`-${sede.name}: ${sede.address}.`);
+            if (sede.reference) {
+                lines.push(` Referencia: ${sede.reference}.`);
+            }
+            lines.push(` Ubicación: ${sede.mapUrl}`);
+        }
+
+        lines.push('', 'Servicios y precios (confírmalos siempre con get_price):');
+        for (const service of Object.values(clinic.services)) {
+            lines.push(`-${service.name}: ${formatPrice(service.price, clinic.currency)}`);
+            if (service.includes && service.includes.length > 0) {
+                lines.push(` Incluye: ${service.includes.join('; ')}.`);
+            }
+            if (service.preparation && service.preparation.length > 0) {
+                lines.push(` Recomendaciones: ${service.preparation.join(' ')}`);
+            }
+        }
+
+        const days = describeWorkingDays(clinic.workingDays);
+        lines.push('', 'Horarios:', `-${days.charAt(0).toUpperCase()}${days.slice(1)}`);
+        for (const turn of Object.values(clinic.turns)) {
+            lines.push(`-${turn.label}: ${turn.start} – ${turn.end}`);
+        }
+
+        lines.push('', 'Métodos de pago:', `-${clinic.payment.methods.join(', ')}.`);
+        if (clinic.payment.notes) {
+            lines.push(`-${clinic.payment.notes}`);
+        }
+
+        lines.push('', 'Teléfonos:');
+        for (const phone of Object.values(clinic.phones)) {
+            lines.push(`-${phone.label}: ${phone.number}`);
+        }
+
+        return lines.join('\n');
+    }
+
+    injectClinicInformation(prompt) {
+        const clinicInfo = this.renderClinicInformation();
+        if (prompt.includes(CLINIC_PLACEHOLDER)) {
+            return prompt.replace(CLINIC_PLACEHOLDER, clinicInfo);
+        }
+        return `${prompt}\n\n${clinicInfo}`;
     }
 
     injectDateInformation(prompt, currentDateTime) {
         try {
             // Asegurarnos de que la información de fecha esté al principio del prompt
             const dateInfo = `[INFORMACIÓN ACTUAL]
-- Fecha y hora actual en Perú: ${currentDateTime}
-- Zona horaria: America/Lima
-- Horario de atención: Lunes a Domingo de 8am a 8pm
+- Fecha y hora actual: ${currentDateTime}
+- Zona horaria: ${this.clinic.timezone}
+- Estado de la clínica: ${this.businessHours.describeStatus()}
 
 `;
             // Si ya existe una sección de fecha, la reemplazamos
@@ -73,97 +145,217 @@ Tu objetivo es ayudar a los pacientes a programar citas y responder consultas m
         }
     }
 
-    async generateResponse(userMessage, imageBase64 = null) {
-        let attempts = 0;
-        
-        while (attempts < this.retryAttempts) {
-            try {
-                const messages = [];
-                
-                // Obtener el prompt actualizado con la fecha actual
-                const currentPrompt = this.getCurrentPrompt();
-                
-                // Agregar el prompt del sistema con la fecha actualizada
-                messages.push({
-                    role: 'system',
-                    content: currentPrompt
-                });
+    // definition.parameters puede ser una función para armar el esquema en cada llamada
+    // (por ejemplo, enums con las sedes vigentes)
+    registerTool(name, definition, handler) {
+        if (typeof handler !== 'function') {
+            throw new Error(`Handler for tool ${name} must be a function`);
+        }
 
-                if (imageBase64) {
-                    messages.push({
-                        role: 'user',
-                        content: [
-                            { type: 'text', text: userMessage },
-                            {
-                                type: 'image_url',
-                                image_url: {
-                                    url: imageBase64
-                                }
-                            }
-                        ]
-                    });
-                } else {
-                    messages.push({
-                        role: 'user',
-                        content: userMessage
-                    });
-                }
+        this.tools.set(name, { name, definition, handler });
+        logger.info(`Tool registered: ${name}`);
+    }
+
+    getToolDefinitions() {
+        return Array.from(this.tools.values()).map(({ name, definition }) => ({
+            type: 'function',
+            function: {
+                name,
+                description: definition.description,
+                parameters: (typeof definition.parameters === 'function'
+                    ? definition.parameters()
+                    : definition.parameters) || { type: 'object', properties: {} }
+            }
+        }));
+    }
+
+    async executeToolCall(toolCall, toolContext) {
+        const name = toolCall.function.name;
+        const tool = this.tools.get(name);
+
+        if (!tool) {
+            logger.warn(`Model requested unknown tool: ${name}`);
+            return { error: `Herramienta desconocida: ${name}` };
+        }
+
+        try {
+            const args = toolCall.function.arguments ? JSON.parse(toolCall.function.arguments) : {};
+            logger.info(`Executing tool ${name}:`, args);
+            const result = await tool.handler(args, toolContext);
+            return result === undefined ? { success: true } : result;
+        } catch (error) {
+            logger.error(`Error executing tool ${name}:`, error);
+            return { error: error.message };
+        }
+    }
 
-                const completion = await this.openai.chat.completions.create({
-                    model: this.model,
-                    messages: messages,
-                    max_tokens: this.maxTokens,
-                    temperature: this.temperature,
-                    presence_penalty: 0.6,
-                    frequency_penalty: 0.5
+    // Ejecuta las herramientas que pida el modelo y le devuelve sus resultados
+    // hasta obtener una respuesta de texto o agotar maxToolIterations
+    async runToolLoop(messages, toolContext) {
+        const tools = this.getToolDefinitions();
+
+        for (let iteration = 0; iteration < this.maxToolIterations; iteration++) {
+            const isLastIteration = iteration === this.maxToolIterations - 1;
+            const completion = await this.createCompletion({
+                model: this.model,
+                messages: messages,
+                tools: tools,
+                tool_choice: isLastIteration ? 'none' : 'auto',
+                max_tokens: this.maxTokens,
+                temperature: this.temperature,
+                presence_penalty: 0.6,
+                frequency_penalty: 0.5
+            });
+
+            const reply = completion.choices[0].message;
+            if (!reply.tool_calls || reply.tool_calls.length === 0) {
+                return reply.content;
+            }
+
+            messages.push(reply);
+            for (const toolCall of reply.tool_calls) {
+                const result = await this.executeToolCall(toolCall, toolContext);
+                messages.push({
+                    role: 'tool',
+                    tool_call_id: toolCall.id,
+                    content: JSON.stringify(result)
                 });
+            }
+        }
+
+        return null;
+    }
 
-                return completion.choices[0].message.content;
+    // Reintenta solo esta petición: las herramientas ya ejecutadas (p. ej. book_appointment)
+    // no se repiten si falla una llamada posterior del mismo turno
+    async createCompletion(params) {
+        let attempts = 0;
 
+        while (true) {
+            try {
+                return await this.openai.chat.completions.create(params);
             } catch (error) {
                 attempts++;
                 logger.error(`OpenAI API error (attempt ${attempts}/${this.retryAttempts}):`, error);
 
-                if (error.status === 429) {
-                    await new Promise(resolve => setTimeout(resolve, this.retryDelay * 2));
-                    continue;
+                if (attempts >= this.retryAttempts) {
+                    throw error;
                 }
 
-                if (error.status === 500 || error.status === 503) {
-                    await new Promise(resolve => setTimeout(resolve, this.retryDelay));
-                    continue;
-                }
+                const delay = error.status === 429 ? this.retryDelay * 2 : this.retryDelay;
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
 
-                if (attempts === this.retryAttempts) {
-                    if (error.code === 'context_length_exceeded') {
-                        return "Tu mensaje es demasiado largo. Por favor, intenta ser más conciso o divide tu consulta en mensajes más cortos.";
-                    }
-                    
-                    if (error.code === 'rate_limit_exceeded') {
-                        return "Estamos experimentando mucha demanda en este momento. Por favor, espera unos minutos antes de intentar nuevamente.";
-                    }
-                    
-                    if (error.code === 'invalid_api_key') {
-                        logger.error('Invalid OpenAI API key');
-                        return "Lo siento, hay un problema de configuración. Por favor, contacta al administrador.";
-                    }
+    async generateResponse(userMessage, imageBase64 = null, options = {}) {
+        const { useTools = false, toolContext = {}, history = [], promptVariant = null } = options;
 
-                    return "Lo siento, hubo un problema al procesar tu consulta. Por favor, intenta nuevamente en unos momentos.";
-                }
+        try {
+            const messages = [];
+            
+            // Obtener el prompt actualizado con la fecha actual
+            const currentPrompt = this.getCurrentPrompt(promptVariant);
+            
+            // Agregar el prompt del sistema con la fecha actualizada
+            messages.push({
+                role: 'system',
+                content: currentPrompt
+            });
+
+            // Turnos previos de la conversación como mensajes reales
+            messages.push(...history);
+
+            if (imageBase64) {
+                messages.push({
+                    role: 'user',
+                    content: [
+                        { type: 'text', text: userMessage },
+                        {
+                            type: 'image_url',
+                            image_url: {
+                                url: imageBase64
+                            }
+                        }
+                    ]
+                });
+            } else {
+                messages.push({
+                    role: 'user',
+                    content: userMessage
+                });
+            }
+
+            if (useTools && this.tools.size > 0) {
+                return await this.runToolLoop(messages, toolContext);
+            }
+
+            const completion = await this.createCompletion({
+                model: this.model,
+                messages: messages,
+                max_tokens: this.maxTokens,
+                temperature: this.temperature,
+                presence_penalty: 0.6,
+                frequency_penalty: 0.5
+            });
 
-                await new Promise(resolve => setTimeout(resolve, this.retryDelay));
+            return completion.choices[0].message.content;
+
+        } catch (error) {
+            logger.error('Error generating OpenAI response:', error);
+
+            if (error.code === 'context_length_exceeded') {
+                return "Tu mensaje es demasiado largo. Por favor, intenta ser más conciso o divide tu consulta en mensajes más cortos.";
+            }
+            
+            if (error.code === 'rate_limit_exceeded') {
+                return "Estamos experimentando mucha demanda en este momento. Por favor, espera unos minutos antes de intentar nuevamente.";
+            }
+            
+            if (error.code === 'invalid_api_key') {
+                logger.error('Invalid OpenAI API key');
+                return "Lo siento, hay un problema de configuración. Por favor, contacta al administrador.";
             }
+
+            return "Lo siento, hubo un problema al procesar tu consulta. Por favor, intenta nuevamente en unos momentos.";
+        }
+    }
+
+    async summarizeDocument(text) {
+        try {
+            const completion = await this.openai.chat.completions.create({
+                model: this.model,
+                messages: [
+                    {
+                        role: 'system',
+                        content: 'Resume en español, en máximo 5 líneas, el documento médico que envió un paciente ' +
+                            '(resultados de PSA, ecografías u otros informes urológicos). Incluye tipo de examen, fecha, ' +
+                            'valores relevantes con sus rangos de referencia y conclusiones del informe. No hagas diagnósticos.'
+                    },
+                    {
+                        role: 'user',
+                        content: text.slice(0, this.maxDocumentChars)
+                    }
+                ],
+                max_tokens: 300,
+                temperature: 0.2
+            });
+
+            return completion.choices[0].message.content;
+        } catch (error) {
+            logger.error('Error summarizing document:', error);
+            throw error;
         }
     }
 
-    async transcribeAudioBuffer(audioBuffer) {
+    async transcribeAudioBuffer(audioBuffer, extension = 'ogg') {
         try {
             const tempDir = path.join(__dirname, '../../../temp');
             if (!fs.existsSync(tempDir)) {
                 fs.mkdirSync(tempDir, { recursive: true });
             }
             
-            const tempFilePath = path.join(tempDir, `audio_${Date.now()}.ogg`);
+            const tempFilePath = path.join(tempDir, `audio_${Date.now()}.${extension}`);
             fs.writeFileSync(tempFilePath, audioBuffer);
 
             logger.info('Transcribing audio file...');
@@ -184,4 +376,6 @@ Tu objetivo es ayudar a los pacientes a programar citas y responder consultas m
     }
 }
 
-module.exports = OpenAIService; 
\ No newline at end of file
+module.exports = OpenAIService;
+module.exports.PROMPT_PATH = PROMPT_PATH;
+module.exports.CLINIC_PLACEHOLDER = CLINIC_PLACEHOLDER;
\ No newline at end of file
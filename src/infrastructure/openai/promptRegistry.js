@@ -0,0 +1,76 @@
+const { logger } = require('../../utils/logger');
+
+const DEFAULT_VARIANT = 'principal';
+
+// Prompts publicados de una clínica en memoria, compartidos por sus instancias de OpenAIService.
+// PromptService los actualiza al publicar y en cada recarga; si está vacío se usa prompt.txt.
+class PromptRegistry {
+    constructor() {
+        this.variants = new Map();
+    }
+
+    setPublished(versions) {
+        this.variants = new Map(versions.map(version => [version.variante, {
+            id: version.id,
+            variante: version.variante,
+            version: version.version,
+            contenido: version.contenido,
+            peso: version.peso
+        }]));
+        logger.info(`Prompt registry loaded with ${this.variants.size} published variants`);
+    }
+
+    has(variante) {
+        return this.variants.has(variante);
+    }
+
+    getPrompt(variante) {
+        const published = this.variants.get(variante);
+        return published ? published.contenido : null;
+    }
+
+    // Prompt para las llamadas sin chat asignado (extracción de datos, seguimientos):
+    // la variante principal o, si no está publicada, la de mayor peso
+    getDefaultPrompt() {
+        const published = this.variants.get(DEFAULT_VARIANT) ||
+            Array.from(this.variants.values()).sort((a, b) => b.peso - a.peso)[0];
+        return published ? published.contenido : null;
+    }
+
+    // Elige una variante al azar en proporción a su peso
+    pickVariant() {
+        const candidates = Array.from(this.variants.values()).filter(variant => variant.peso > 0);
+        const totalWeight = candidates.reduce((sum, variant) => sum + variant.peso, 0);
+        if (totalWeight === 0) {
+            return null;
+        }
+
+        let threshold = Math.random() * totalWeight;
+        for (const variant of candidates) {
+            threshold -= variant.peso;
+            if (threshold < 0) {
+                return variant.variante;
+            }
+        }
+        return candidates[candidates.length - 1].variante;
+    }
+
+    list() {
+        return Array.from(this.variants.values()).map(({ contenido, ...variant }) => variant);
+    }
+}
+
+// Un registro por clínica
+const registries = new Map();
+
+function getPromptRegistry(tenantId) {
+    if (!registries.has(tenantId)) {
+        registries.set(tenantId, new PromptRegistry());
+    }
+    return registries.get(tenantId);
+}
+
+module.exports = {
+    getPromptRegistry,
+    DEFAULT_VARIANT
+};
@@ -0,0 +1,160 @@
+const { logger } = require('../../utils/logger');
+const { toChatId } = require('../../application/services/MessageHistoryService');
+const socketNotifier = require('./socketNotifier');
+
+// Un gestor responde a la conversación si el paciente escribió en las últimas 24 horas
+const REPLY_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Responder al callback de socket.io solo si el cliente lo envió
+const reply = (ack, payload) => {
+    if (typeof ack === 'function') {
+        ack(payload);
+    }
+};
+
+// Eventos del inbox de gestores: listado de chats, salas por chat,
+// respuestas desde el dashboard, indicador de escritura y lectura.
+// Los servicios son los de la clínica del gestor; getReplyService(nombre) da el
+// WhatsAppService del número de la clínica por el que escribió el paciente
+function registerAgentInboxHandlers(socket, { getReplyService, messageHistoryService, handoffService, authService }) {
+    const user = socket.data.user;
+    const agentId = String(user.id);
+    const can = (permission) => authService.hasPermission(user.role, permission);
+    const forbidden = (ack) => reply(ack, { success: false, error: 'Forbidden' });
+    const chatRoom = (chatId) => socketNotifier.getChatRoom(messageHistoryService.tenantId, chatId);
+    const getChatService = (lastInbound) => getReplyService(lastInbound ? lastInbound.whatsapp_session : null);
+
+    socket.on('get-inbox', async (payload = {}, ack) => {
+        if (!can('inbox:read')) {
+            return forbidden(ack);
+        }
+
+        try {
+            const inbox = await messageHistoryService.getInbox(payload.limit);
+            reply(ack, { success: true, inbox });
+        } catch (error) {
+            logger.error('[Inbox] Error getting inbox:', error);
+            reply(ack, { success: false, error: 'Failed to get inbox' });
+        }
+    });
+
+    socket.on('join-chat', async (payload = {}, ack) => {
+        if (!can('inbox:read')) {
+            return forbidden(ack);
+        }
+
+        try {
+            if (!payload.chatId) {
+                return reply(ack, { success: false, error: 'chatId is required' });
+            }
+
+            const chatId = toChatId(payload.chatId);
+            socket.join(chatRoom(chatId));
+            const messages = await messageHistoryService.getRecentMessages(chatId, payload.limit || 50);
+
+            reply(ack, {
+                success: true,
+                chatId,
+                messages: messages.map(message => messageHistoryService.serializeMessage(message))
+            });
+        } catch (error) {
+            logger.error('[Inbox] Error joining chat:', error);
+            reply(ack, { success: false, error: 'Failed to join chat' });
+        }
+    });
+
+    socket.on('leave-chat', (payload = {}) => {
+        if (payload.chatId) {
+            socket.leave(chatRoom(toChatId(payload.chatId)));
+        }
+    });
+
+    socket.on('agent-reply', async (payload = {}, ack) => {
+        if (!can('inbox:reply')) {
+            return forbidden(ack);
+        }
+
+        const { message } = payload;
+
+        try {
+            if (!payload.chatId || !message) {
+                return reply(ack, { success: false, error: 'chatId and message are required' });
+            }
+
+            const chatId = toChatId(payload.chatId);
+            const telefono = chatId.replace('@c.us', '');
+
+            // Si el gestor responde, el bot deja de hacerlo en este chat
+            if (await handoffService.isBotActive(telefono)) {
+                await handoffService.startHandoff(telefono, {
+                    reason: 'Atendido por gestor',
+                    requestedBy: 'agent',
+                    agentId
+                });
+            } else {
+                await handoffService.extendHandoff(telefono);
+            }
+
+            const lastInbound = await messageHistoryService.getLastInbound(chatId);
+            const isReply = Boolean(lastInbound) && Date.now() - new Date(lastInbound.createdAt).getTime() < REPLY_WINDOW_MS;
+
+            await getChatService(lastInbound).sendMessage(chatId, message, { sender: 'agent', agentId, isReply });
+            await messageHistoryService.markChatAsRead(chatId);
+
+            reply(ack, { success: true });
+        } catch (error) {
+            if (error.code === 'OPTED_OUT') {
+                return reply(ack, { success: false, error: 'Recipient opted out of messages' });
+            }
+            logger.error('[Inbox] Error sending agent reply:', error);
+            reply(ack, { success: false, error: 'Failed to send message', details: error.message });
+        }
+    });
+
+    socket.on('agent-typing', async (payload = {}) => {
+        if (!payload.chatId || !can('inbox:reply')) {
+            return;
+        }
+
+        const chatId = toChatId(payload.chatId);
+        const isTyping = payload.isTyping !== false;
+
+        // Avisar a los demás gestores del chat y mostrar "escribiendo..." al paciente
+        socket.to(chatRoom(chatId)).emit('agent-typing', {
+            chatId,
+            agentId,
+            isTyping
+        });
+        try {
+            const lastInbound = await messageHistoryService.getLastInbound(chatId);
+            await getChatService(lastInbound).sendTyping(chatId, isTyping);
+        } catch (error) {
+            logger.error('[Inbox] Error sending typing state:', error);
+        }
+    });
+
+    socket.on('mark-seen', async (payload = {}, ack) => {
+        if (!can('inbox:reply')) {
+            return forbidden(ack);
+        }
+
+        try {
+            if (!payload.chatId) {
+                return reply(ack, { success: false, error: 'chatId is required' });
+            }
+
+            const chatId = toChatId(payload.chatId);
+            await messageHistoryService.markChatAsRead(chatId);
+            await getChatService(await messageHistoryService.getLastInbound(chatId)).markAsSeen(chatId);
+
+            reply(ack, { success: true });
+        } catch (error) {
+            logger.error('[Inbox] Error marking chat as seen:', error);
+            reply(ack, { success: false, error: 'Failed to mark chat as seen' });
+        }
+    });
+}
+
+module.exports = {
+    registerAgentInboxHandlers
+};
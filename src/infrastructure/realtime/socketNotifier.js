@@ -0,0 +1,53 @@
+const { logger } = require('../../utils/logger');
+
+// Punto único para emitir eventos a los dashboards conectados por socket.io.
+// Los servicios lo usan sin depender de index.js; si el servidor aún no está
+// configurado, los eventos se descartan.
+class SocketNotifier {
+    constructor() {
+        this.io = null;
+    }
+
+    setServer(io) {
+        this.io = io;
+    }
+
+    emit(event, payload) {
+        if (!this.io) {
+            return;
+        }
+
+        try {
+            this.io.emit(event, payload);
+        } catch (error) {
+            logger.error(`Error emitting socket event ${event}:`, error);
+        }
+    }
+
+    // Salas por clínica: cada dashboard solo recibe los eventos de su clínica
+    getTenantRoom(tenantId) {
+        return `tenant:${tenantId}`;
+    }
+
+    getChatRoom(tenantId, chatId) {
+        return `tenant:${tenantId}:chat:${chatId}`;
+    }
+
+    emitToTenant(tenantId, event, payload) {
+        this.emitToRoom(this.getTenantRoom(tenantId), event, payload);
+    }
+
+    emitToRoom(room, event, payload) {
+        if (!this.io) {
+            return;
+        }
+
+        try {
+            this.io.to(room).emit(event, payload);
+        } catch (error) {
+            logger.error(`Error emitting socket event ${event} to ${room}:`, error);
+        }
+    }
+}
+
+module.exports = new SocketNotifier();
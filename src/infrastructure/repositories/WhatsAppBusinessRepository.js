@@ -69,6 +69,60 @@ class WhatsAppBusinessRepository {
         }
     }
 
+    async sendTextMessage(to, text) {
+        try {
+            const response = await axios.post(
+                `${this.baseUrl}/${this.phoneNumberId}/messages`,
+                {
+                    messaging_product: 'whatsapp',
+                    recipient_type: 'individual',
+                    to,
+                    type: 'text',
+                    text: { body: text, preview_url: false }
+                },
+                { headers: { Authorization: `Bearer ${this.accessToken}` } }
+            );
+
+            return {
+                messageId: response.data.messages?.[0]?.id || null
+            };
+        } catch (error) {
+            throw new Error(`WhatsApp Business Send Message Error: ${error.response?.data?.error?.message || error.message}`);
+        }
+    }
+
+    async markAsRead(messageId) {
+        try {
+            await axios.post(
+                `${this.baseUrl}/${this.phoneNumberId}/messages`,
+                {
+                    messaging_product: 'whatsapp',
+                    status: 'read',
+                    message_id: messageId
+                },
+                { headers: { Authorization: `Bearer ${this.accessToken}` } }
+            );
+        } catch (error) {
+            throw new Error(`WhatsApp Business API Error: ${error.response?.data?.error?.message || error.message}`);
+        }
+    }
+
+    // La multimedia recibida se descarga en dos pasos: la URL temporal del id y luego el archivo
+    async downloadMedia(mediaId) {
+        try {
+            const headers = { Authorization: `Bearer ${this.accessToken}` };
+            const { data: media } = await axios.get(`${this.baseUrl}/${mediaId}`, { headers });
+            const file = await axios.get(media.url, { headers, responseType: 'arraybuffer' });
+
+            return {
+                mimetype: media.mime_type,
+                data: Buffer.from(file.data).toString('base64')
+            };
+        } catch (error) {
+            throw new Error(`WhatsApp Business Media Error: ${error.response?.data?.error?.message || error.message}`);
+        }
+    }
+
     // Verificar si estamos autenticados correctamente
     async verifyAuthentication() {
         try {
@@ -59,6 +59,25 @@ class WhatsappRepository {
             throw new Error(`WhatsApp Send Message Error: ${error.response?.data?.message || error.message}`);
         }
     }
+
+    // Los archivos recibidos llegan como URL en el webhook
+    async downloadMedia(url) {
+        try {
+            const response = await axios.get(url, {
+                headers: {
+                    'Authorization': `Bearer ${this.apiToken}`
+                },
+                responseType: 'arraybuffer'
+            });
+
+            return {
+                mimetype: response.headers['content-type'],
+                data: Buffer.from(response.data).toString('base64')
+            };
+        } catch (error) {
+            throw new Error(`WhatsApp Media Download Error: ${error.response?.data?.message || error.message}`);
+        }
+    }
 }
 
 module.exports = WhatsappRepository; 
\ No newline at end of file
@@ -0,0 +1,482 @@
+const fs = require('fs');
+const path = require('path');
+const { Client, LocalAuth } = require('whatsapp-web.js');
+const qrcode = require('qrcode-terminal');
+const QRCode = require('qrcode');
+const { logger } = require('../../utils/logger');
+const { DEFAULT_WHATSAPP_SESSION } = require('../config/tenantContext');
+const socketNotifier = require('../realtime/socketNotifier');
+
+const AUTH_DIR = './whatsapp-auth';
+
+/**
+ * Clientes de WhatsApp en ejecución, uno por sesión (número vinculado). Cada sesión
+ * tiene su carpeta de autenticación, su QR, su estado y sus reintentos de conexión,
+ * y entrega los mensajes recibidos a su WhatsAppService (y este a su MessageHandler).
+ *
+ * Estados: iniciando, esperando_qr, conectada, reconectando, desconectada,
+ * error_auth y fallida (se agotaron los reintentos).
+ *
+ * El QR se guarda como imagen (data URL) y se emite en whatsapp-qr cada vez que
+ * WhatsApp lo renueva; si no llega uno nuevo antes de WHATSAPP_QR_TTL_SECONDS se
+ * descarta y se emite whatsapp-qr-expired.
+ */
+class WhatsAppSessionManager {
+    // onMessage(tenant) se llama después de procesar cada mensaje recibido
+    constructor({ onMessage = null } = {}) {
+        this.sessions = new Map();
+        this.onMessage = onMessage;
+        this.RECONNECT_DELAY = parseInt(process.env.WHATSAPP_RECONNECT_DELAY || '5000', 10);
+        this.MAX_RECONNECT_ATTEMPTS = parseInt(process.env.WHATSAPP_MAX_RECONNECT_ATTEMPTS || '5', 10);
+        this.QR_TTL = parseInt(process.env.WHATSAPP_QR_TTL_SECONDS || '60', 10) * 1000;
+        this.printQrInTerminal = process.env.WHATSAPP_QR_TERMINAL !== 'false';
+    }
+
+    // La sesión por defecto conserva la carpeta de siempre (whatsapp-auth/session)
+    getAuthPath(nombre) {
+        return path.join(AUTH_DIR, nombre === DEFAULT_WHATSAPP_SESSION ? 'session' : `session-${nombre}`);
+    }
+
+    createClient(nombre) {
+        return new Client({
+            authStrategy: new LocalAuth({
+                dataPath: AUTH_DIR,
+                ...(nombre === DEFAULT_WHATSAPP_SESSION ? {} : { clientId: nombre })
+            }),
+            puppeteer: {
+                headless: true,
+                args: [
+                    '--no-sandbox',
+                    '--disable-setuid-sandbox',
+                    '--disable-dev-shm-usage',
+                    '--disable-accelerated-2d-canvas',
+                    '--no-first-run',
+                    '--no-zygote',
+                    '--disable-gpu'
+                ]
+            }
+        });
+    }
+
+    isRunning(nombre) {
+        return this.sessions.has(nombre);
+    }
+
+    // WhatsAppService de una sesión en ejecución de la clínica
+    getService(nombre, tenantId) {
+        const session = this.sessions.get(nombre);
+        return session && session.tenant.id === tenantId ? session.service : null;
+    }
+
+    getStatus(nombre) {
+        const session = this.sessions.get(nombre);
+        if (!session) {
+            return {
+                nombre,
+                estado: 'detenida',
+                isReady: false,
+                qrCodeUrl: null,
+                qrExpiresAt: null,
+                reconnectAttempts: 0,
+                lastDisconnectReason: null,
+                nextReconnectAt: null,
+                connectedAt: null
+            };
+        }
+        return this.serialize(session);
+    }
+
+    serialize(session) {
+        const { nombre } = session;
+        return {
+            nombre,
+            tenant_id: session.tenant.id,
+            principal: session.tenant.whatsappSession === nombre,
+            estado: session.estado,
+            isReady: session.estado === 'conectada',
+            qrCodeUrl: session.qr ? session.qr.dataUrl : null,
+            qrExpiresAt: session.qr ? session.qr.expiresAt : null,
+            reconnectAttempts: session.reconnectAttempts,
+            lastDisconnectReason: session.lastDisconnectReason,
+            nextReconnectAt: session.nextReconnectAt,
+            connectedAt: session.connectedAt
+        };
+    }
+
+    listStatuses(tenantId) {
+        return Array.from(this.sessions.values())
+            .filter(session => session.tenant.id === tenantId)
+            .map(session => this.getStatus(session.nombre));
+    }
+
+    // Inicia la sesión si no está en ejecución; la conexión sigue en segundo plano
+    start(nombre, tenant, service) {
+        if (this.sessions.has(nombre)) {
+            return this.getStatus(nombre);
+        }
+
+        const session = {
+            nombre,
+            tenant,
+            service,
+            client: null,
+            tag: `[WhatsApp:${tenant.slug}/${nombre}]`,
+            estado: 'iniciando',
+            qr: null,
+            qrTimer: null,
+            qrRefreshes: 0,
+            reconnectAttempts: 0,
+            reconnectTimer: null,
+            lastDisconnectReason: null,
+            nextReconnectAt: null,
+            connectedAt: null,
+            stopping: false
+        };
+        this.sessions.set(nombre, session);
+
+        this.launch(session);
+        return this.getStatus(nombre);
+    }
+
+    async stop(nombre) {
+        const session = this.sessions.get(nombre);
+        if (!session) {
+            return false;
+        }
+
+        session.stopping = true;
+        this.sessions.delete(nombre);
+        if (session.reconnectTimer) {
+            clearTimeout(session.reconnectTimer);
+        }
+        this.clearQr(session);
+
+        const client = session.client;
+        session.client = null;
+        session.service.dispose();
+        try {
+            if (client) {
+                await client.destroy();
+            }
+            logger.info(`${session.tag} Client destroyed`);
+        } catch (error) {
+            logger.error(`${session.tag} Error destroying client:`, error);
+        }
+
+        session.estado = 'detenida';
+        this.notify(session);
+        return true;
+    }
+
+    async stopTenant(tenantId) {
+        const names = Array.from(this.sessions.values())
+            .filter(session => session.tenant.id === tenantId)
+            .map(session => session.nombre);
+        for (const nombre of names) {
+            await this.stop(nombre);
+        }
+    }
+
+    async stopAll() {
+        for (const nombre of Array.from(this.sessions.keys())) {
+            await this.stop(nombre);
+        }
+    }
+
+    // Detiene la sesión y borra su carpeta de autenticación: volver a usarla pide QR
+    async remove(nombre) {
+        await this.stop(nombre);
+        await fs.promises.rm(this.getAuthPath(nombre), { recursive: true, force: true });
+        logger.info(`[WhatsApp:${nombre}] Auth data removed`);
+    }
+
+    // Relanza una sesión en ejecución con un cliente nuevo y los reintentos en cero
+    async restart(nombre) {
+        const session = this.sessions.get(nombre);
+        if (!session) {
+            return null;
+        }
+
+        logger.info(`${session.tag} Restarting client`);
+        if (session.reconnectTimer) {
+            clearTimeout(session.reconnectTimer);
+            session.reconnectTimer = null;
+        }
+        session.reconnectAttempts = 0;
+        session.nextReconnectAt = null;
+        session.connectedAt = null;
+        session.service.detachClient();
+        this.setState(session, 'iniciando');
+
+        this.launch(session);
+        return this.serialize(session);
+    }
+
+    // Desvincula el teléfono (borra la autenticación) y relanza la sesión para mostrar un QR nuevo
+    async logout(nombre) {
+        const session = this.sessions.get(nombre);
+        if (!session) {
+            return null;
+        }
+
+        logger.info(`${session.tag} Logging out`);
+        try {
+            if (session.service.isClientReady()) {
+                await session.service.logout();
+            } else {
+                await fs.promises.rm(this.getAuthPath(nombre), { recursive: true, force: true });
+            }
+        } catch (error) {
+            logger.error(`${session.tag} Error logging out:`, error);
+            throw error;
+        }
+
+        return this.restart(nombre);
+    }
+
+    // PNG del QR pendiente de la sesión, o null si no está esperando uno
+    async getQrImage(nombre) {
+        const session = this.sessions.get(nombre);
+        if (!session || !session.qr) {
+            return null;
+        }
+        return QRCode.toBuffer(session.qr.raw, { type: 'png', margin: 2, width: 320 });
+    }
+
+    setState(session, estado) {
+        session.estado = estado;
+        if (estado !== 'esperando_qr') {
+            this.clearQr(session);
+        }
+        this.notify(session);
+    }
+
+    async setQr(session, raw) {
+        const dataUrl = await QRCode.toDataURL(raw, { margin: 2, width: 320 });
+        if (session.stopping) {
+            return;
+        }
+        const generatedAt = new Date();
+
+        this.clearQr(session);
+        session.qrRefreshes++;
+        session.qr = {
+            raw,
+            dataUrl,
+            generatedAt,
+            expiresAt: new Date(generatedAt.getTime() + this.QR_TTL)
+        };
+        session.qrTimer = setTimeout(() => this.expireQr(session), this.QR_TTL);
+
+        socketNotifier.emitToTenant(session.tenant.id, 'whatsapp-qr', {
+            nombre: session.nombre,
+            qrCodeUrl: dataUrl,
+            generatedAt,
+            expiresAt: session.qr.expiresAt,
+            refreshes: session.qrRefreshes
+        });
+        this.setState(session, 'esperando_qr');
+    }
+
+    // WhatsApp dejó de renovar el QR (por ejemplo, se agotaron sus intentos)
+    expireQr(session) {
+        session.qrTimer = null;
+        if (!session.qr) {
+            return;
+        }
+
+        logger.warn(`${session.tag} QR Code expired`);
+        session.qr = null;
+        socketNotifier.emitToTenant(session.tenant.id, 'whatsapp-qr-expired', { nombre: session.nombre });
+        this.notify(session);
+    }
+
+    clearQr(session) {
+        if (session.qrTimer) {
+            clearTimeout(session.qrTimer);
+            session.qrTimer = null;
+        }
+        session.qr = null;
+        if (session.estado !== 'esperando_qr') {
+            session.qrRefreshes = 0;
+        }
+    }
+
+    // Emitir estado a los dashboards de la clínica; whatsapp-status es el del número principal
+    notify(session) {
+        const payload = this.serialize(session);
+
+        socketNotifier.emitToTenant(session.tenant.id, 'whatsapp-session-status', payload);
+        if (session.tenant.whatsappSession === session.nombre) {
+            socketNotifier.emitToTenant(session.tenant.id, 'whatsapp-status', {
+                isReady: payload.isReady,
+                qrCodeUrl: payload.qrCodeUrl
+            });
+        }
+    }
+
+    // Crea un cliente nuevo para la sesión (también en cada reconexión) y lo inicializa
+    async launch(session) {
+        const { tag } = session;
+
+        if (session.client) {
+            const previous = session.client;
+            session.client = null;
+            try {
+                await previous.destroy();
+            } catch (error) {
+                logger.warn(`${tag} Error destroying previous client:`, error.message);
+            }
+        }
+        if (session.stopping) {
+            return;
+        }
+
+        const client = this.createClient(session.nombre);
+        session.client = client;
+        this.attachHandlers(session, client);
+
+        logger.info(`${tag} Initializing client...`);
+        try {
+            await client.initialize();
+            logger.info(`${tag} Client initialization started successfully`);
+        } catch (error) {
+            logger.error(`${tag} Failed to initialize client:`, error);
+            if (session.client === client) {
+                this.scheduleReconnect(session, error.message);
+            }
+        }
+    }
+
+    // Reintentos con espera exponencial; al agotarlos la sesión queda fallida hasta iniciarla de nuevo
+    scheduleReconnect(session, reason) {
+        const { tag } = session;
+        session.lastDisconnectReason = reason;
+        if (session.stopping) {
+            return;
+        }
+
+        if (session.reconnectAttempts >= this.MAX_RECONNECT_ATTEMPTS) {
+            logger.error(`${tag} Max reconnection attempts reached`);
+            session.nextReconnectAt = null;
+            this.setState(session, 'fallida');
+            return;
+        }
+
+        session.reconnectAttempts++;
+        const delay = this.RECONNECT_DELAY * Math.pow(2, session.reconnectAttempts - 1);
+        session.nextReconnectAt = new Date(Date.now() + delay);
+        logger.info(`${tag} Attempting reconnection ${session.reconnectAttempts}/${this.MAX_RECONNECT_ATTEMPTS} in ${delay}ms`);
+        this.setState(session, 'reconectando');
+
+        session.reconnectTimer = setTimeout(() => {
+            session.reconnectTimer = null;
+            session.nextReconnectAt = null;
+            this.launch(session);
+        }, delay);
+    }
+
+    attachHandlers(session, client) {
+        const { tag, tenant, service } = session;
+        // Eventos de un cliente ya reemplazado por una reconexión
+        const isCurrent = () => session.client === client && !session.stopping;
+
+        // Manejo de errores global para el cliente
+        client.on('error', error => {
+            logger.error(`${tag} Client error:`, error);
+        });
+
+        client.on('qr', async (qr) => {
+            if (!isCurrent()) return;
+            logger.info(`${tag} New QR Code generated`);
+
+            // Para vincular desde la consola en desarrollo; en producción se usa GET /api/whatsapp/qr
+            if (this.printQrInTerminal) {
+                try {
+                    qrcode.generate(qr, { small: true });
+                } catch (error) {
+                    logger.error(`${tag} Error generating QR in console:`, error);
+                }
+            }
+
+            try {
+                await this.setQr(session, qr);
+            } catch (error) {
+                logger.error(`${tag} Error generating QR image:`, error);
+            }
+        });
+
+        client.on('authenticated', () => {
+            logger.info(`${tag} Client authenticated successfully`);
+        });
+
+        client.on('ready', async () => {
+            if (!isCurrent()) return;
+            try {
+                logger.info(`${tag} Client is ready!`);
+                session.reconnectAttempts = 0;
+                session.connectedAt = new Date();
+
+                await service.setClient(client);
+                this.setState(session, 'conectada');
+
+                logger.info(`${tag} WhatsApp service and message handler initialized successfully`);
+            } catch (error) {
+                logger.error(`${tag} Error initializing WhatsApp service:`, error);
+            }
+        });
+
+        client.on('auth_failure', (error) => {
+            if (!isCurrent()) return;
+            logger.error(`${tag} Authentication failed:`, error);
+            session.lastDisconnectReason = 'auth_failure';
+            this.setState(session, 'error_auth');
+        });
+
+        // Cerrar sesión desde el teléfono no se reintenta: hace falta un QR nuevo
+        client.on('disconnected', (reason) => {
+            if (!isCurrent()) return;
+            logger.warn(`${tag} Client disconnected:`, reason);
+            session.connectedAt = null;
+
+            if (reason === 'LOGOUT') {
+                session.lastDisconnectReason = reason;
+                this.setState(session, 'desconectada');
+                return;
+            }
+            this.scheduleReconnect(session, String(reason));
+        });
+
+        // Confirmaciones de entrega y lectura de los mensajes enviados
+        client.on('message_ack', (message, ack) => {
+            socketNotifier.emitToRoom(socketNotifier.getChatRoom(tenant.id, message.to), 'message-ack', {
+                chatId: message.to,
+                waMessageId: message.id?._serialized || null,
+                ack
+            });
+        });
+
+        client.on('message', async (message) => {
+            try {
+                logger.info(`${tag} Message received`);
+                await service.handleIncomingMessage(service.normalize(message));
+
+                if (this.onMessage) {
+                    await this.onMessage(tenant);
+                }
+            } catch (error) {
+                logger.error(`${tag} Error handling message:`, error);
+                // Por WhatsAppService: respeta las bajas y queda en el historial
+                try {
+                    await service.sendMessage(message.from,
+                        "Lo siento, hubo un error procesando tu mensaje. Por favor, intenta nuevamente en unos momentos.",
+                        { isReply: true });
+                } catch (sendError) {
+                    logger.error('Error sending error message:', sendError);
+                }
+            }
+        });
+    }
+}
+
+module.exports = WhatsAppSessionManager;
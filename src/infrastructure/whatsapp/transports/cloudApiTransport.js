@@ -0,0 +1,87 @@
+const { createInboundMessage, toChatId, toPhoneNumber } = require('./inboundMessage');
+
+const MEDIA_TYPES = ['image', 'audio', 'video', 'document', 'sticker'];
+
+// Transporte de la API oficial (WhatsApp Cloud): recibe por POST /webhook y envía con WhatsAppBusinessRepository
+class CloudApiTransport {
+    constructor(repository) {
+        this.name = 'cloud';
+        this.repository = repository;
+        // Último mensaje recibido por chat: la API marca como leído un mensaje, no un chat
+        this.lastInboundIds = new Map();
+    }
+
+    // Mensajes de una notificación del webhook (entry[].changes[].value.messages[])
+    parseWebhook(body) {
+        const messages = [];
+        for (const entry of body.entry || []) {
+            for (const change of entry.changes || []) {
+                const value = change.value || {};
+                for (const message of value.messages || []) {
+                    const contact = (value.contacts || []).find(item => item.wa_id === message.from);
+                    messages.push(this.normalize(message, contact));
+                }
+            }
+        }
+        return messages;
+    }
+
+    normalize(message, contact = null) {
+        const media = MEDIA_TYPES.includes(message.type) ? message[message.type] : null;
+        const from = toChatId(message.from);
+        this.lastInboundIds.set(from, message.id);
+
+        return createInboundMessage({
+            id: message.id,
+            from,
+            body: this.getBody(message, media),
+            type: this.getType(message, media),
+            hasMedia: Boolean(media && media.id),
+            timestamp: message.timestamp ? new Date(Number(message.timestamp) * 1000) : new Date(),
+            contactName: contact?.profile?.name || null,
+            adId: message.referral?.source_id || null,
+            downloadMedia: media && media.id
+                ? async () => ({ ...(await this.repository.downloadMedia(media.id)), filename: media.filename || null })
+                : null
+        });
+    }
+
+    // Los tipos se traducen a los de whatsapp-web.js, que son los que entiende MessageHandler
+    getType(message, media) {
+        if (message.type === 'text') return 'chat';
+        if (message.type === 'audio') return media && media.voice ? 'ptt' : 'audio';
+        return message.type;
+    }
+
+    // Respuestas a botones y listas se tratan como texto escrito
+    getBody(message, media) {
+        if (message.type === 'text') return message.text?.body || '';
+        if (message.type === 'button') return message.button?.text || '';
+        if (message.type === 'interactive') {
+            const reply = message.interactive?.button_reply || message.interactive?.list_reply;
+            return reply?.title || '';
+        }
+        return media?.caption || '';
+    }
+
+    async sendMessage(chatId, content) {
+        if (typeof content !== 'string') {
+            throw new Error('WhatsApp Cloud API transport only sends text messages');
+        }
+        const sent = await this.repository.sendTextMessage(toPhoneNumber(chatId), content);
+        return { id: sent.messageId };
+    }
+
+    // La API no tiene un estado "escribiendo" independiente de un mensaje
+    async sendTyping() {}
+
+    async markAsSeen(chatId) {
+        const messageId = this.lastInboundIds.get(chatId);
+        if (messageId) {
+            await this.repository.markAsRead(messageId);
+            this.lastInboundIds.delete(chatId);
+        }
+    }
+}
+
+module.exports = CloudApiTransport;
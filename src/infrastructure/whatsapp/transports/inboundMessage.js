@@ -0,0 +1,57 @@
+/**
+ * Mensaje recibido con la misma forma en todos los transportes (whatsapp-web.js,
+ * API oficial de WhatsApp Cloud, Woztell). WhatsAppService y MessageHandler solo usan
+ * estos campos:
+ *
+ * - id: id del mensaje en el transporte
+ * - from: chat del paciente, siempre `<telefono>@c.us`
+ * - body: texto, o la descripción de la multimedia
+ * - type: chat, image, ptt (nota de voz), audio, document, video, sticker...
+ * - hasMedia, duration (segundos, en audios), fromMe, timestamp (Date)
+ * - contactName: nombre de perfil de WhatsApp; adId: anuncio del que llegó
+ * - downloadMedia(): { mimetype, data (base64), filename }
+ * - whatsappSession: número de la clínica que lo recibió; lo agrega WhatsAppService
+ */
+function createInboundMessage({
+    id = null,
+    from,
+    body = '',
+    type = 'chat',
+    hasMedia = false,
+    duration = null,
+    fromMe = false,
+    timestamp = new Date(),
+    contactName = null,
+    adId = null,
+    downloadMedia = null
+}) {
+    return {
+        id,
+        from,
+        body,
+        type,
+        hasMedia,
+        duration,
+        fromMe,
+        timestamp,
+        contactName,
+        adId,
+        downloadMedia: downloadMedia || (async () => {
+            throw new Error('Message has no media');
+        })
+    };
+}
+
+function toChatId(telefono) {
+    return `${String(telefono).replace(/\D/g, '')}@c.us`;
+}
+
+function toPhoneNumber(chatId) {
+    return chatId.replace('@c.us', '');
+}
+
+module.exports = {
+    createInboundMessage,
+    toChatId,
+    toPhoneNumber
+};
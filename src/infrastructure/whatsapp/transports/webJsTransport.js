@@ -0,0 +1,46 @@
+const { createInboundMessage } = require('./inboundMessage');
+
+// Transporte de whatsapp-web.js: un cliente de WhatsApp Web vinculado por QR
+class WebJsTransport {
+    constructor(client) {
+        this.name = 'webjs';
+        this.client = client;
+    }
+
+    normalize(message) {
+        return createInboundMessage({
+            id: message.id?._serialized || null,
+            from: message.from,
+            body: message.body || '',
+            type: message.type || 'chat',
+            hasMedia: Boolean(message.hasMedia),
+            duration: message.duration || null,
+            fromMe: Boolean(message.fromMe),
+            timestamp: message.timestamp ? new Date(message.timestamp * 1000) : new Date(),
+            contactName: message._data?.notifyName || message._data?.pushname || null,
+            adId: message._data?.ad_id || null,
+            downloadMedia: () => message.downloadMedia()
+        });
+    }
+
+    async sendMessage(chatId, content) {
+        const sent = await this.client.sendMessage(chatId, content);
+        return { id: sent?.id?._serialized || null };
+    }
+
+    async sendTyping(chatId, isTyping = true) {
+        const chat = await this.client.getChatById(chatId);
+        if (isTyping) {
+            await chat.sendStateTyping();
+        } else {
+            await chat.clearState();
+        }
+    }
+
+    async markAsSeen(chatId) {
+        const chat = await this.client.getChatById(chatId);
+        await chat.sendSeen();
+    }
+}
+
+module.exports = WebJsTransport;
@@ -0,0 +1,62 @@
+const { createInboundMessage, toChatId, toPhoneNumber } = require('./inboundMessage');
+
+// Tipos de Woztell en los tipos de whatsapp-web.js, que son los que entiende MessageHandler
+const TYPES = {
+    TEXT: 'chat',
+    IMAGE: 'image',
+    AUDIO: 'audio',
+    VIDEO: 'video',
+    FILE: 'document',
+    STICKER: 'sticker'
+};
+
+// Transporte de Woztell: recibe por POST /webhook/woztell y envía con WhatsappRepository
+class WoztellTransport {
+    constructor(repository) {
+        this.name = 'woztell';
+        this.repository = repository;
+    }
+
+    // Woztell envía un evento por notificación; se aceptan también listas de eventos
+    parseWebhook(body) {
+        const events = Array.isArray(body) ? body : (body.events || [body]);
+        return events
+            .filter(event => event && event.from && (!event.eventType || event.eventType === 'INBOUND'))
+            .map(event => this.normalize(event));
+    }
+
+    normalize(event) {
+        const data = event.data || {};
+        const mediaUrl = data.url || null;
+        const timestamp = Number(event.timestamp);
+
+        return createInboundMessage({
+            id: event.messageId || event.id || null,
+            from: toChatId(event.from),
+            body: data.text || data.caption || '',
+            type: TYPES[event.type] || String(event.type || 'chat').toLowerCase(),
+            hasMedia: Boolean(mediaUrl),
+            timestamp: timestamp ? new Date(timestamp) : new Date(),
+            contactName: event.profile?.name || data.profile?.name || null,
+            adId: data.referral?.source_id || null,
+            downloadMedia: mediaUrl
+                ? async () => ({ ...(await this.repository.downloadMedia(mediaUrl)), filename: data.fileName || null })
+                : null
+        });
+    }
+
+    async sendMessage(chatId, content) {
+        if (typeof content !== 'string') {
+            throw new Error('Woztell transport only sends text messages');
+        }
+        const sent = await this.repository.sendMessage(toPhoneNumber(chatId), content);
+        return { id: sent.messageId || null };
+    }
+
+    // Woztell no expone estados de escritura ni de lectura
+    async sendTyping() {}
+
+    async markAsSeen() {}
+}
+
+module.exports = WoztellTransport;
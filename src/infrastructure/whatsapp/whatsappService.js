@@ -1,112 +1,100 @@
 const { Client, LocalAuth, MessageMedia } = require('whatsapp-web.js');
-const qrcode = require('qrcode-terminal');
 const { logger } = require('../../utils/logger');
 const openaiService = require('../openai/openaiService');
 const metaRepository = require('../repositories/MetaRepository');
-const config = require('../config/config');
+const { getDefaultTenant } = require('../config/tenantContext');
 const MessageHandler = require('../../application/messageHandler');
+const WebJsTransport = require('./transports/webJsTransport');
 const LeadTrackingService = require('../../application/services/LeadTrackingService');
-const { getCurrentPeruDate, getPeruStartOfDay } = require('../../utils/dateUtils');
-
+const MessageHistoryService = require('../../application/services/MessageHistoryService');
+const ConsentService = require('../../application/services/ConsentService');
+const { getDateString } = require('../../utils/dateUtils');
+
+// Resultado de Promise.race cuando vence PROCESSING_TIMEOUT
+const PROCESSING_TIMED_OUT = Symbol('processingTimedOut');
+
+// Una instancia por número de una clínica. Envía y recibe a través de un transporte
+// (whatsapp-web.js, API oficial o Woztell) con mensajes ya normalizados (ver
+// transports/inboundMessage.js). Las sesiones de whatsapp-web.js las conecta
+// WhatsAppSessionManager, que entrega aquí cada cliente listo. whatsappSession identifica
+// el número: el nombre de la sesión, o el del transporte (cloud, woztell) en los webhooks
 class WhatsAppService {
-    constructor() {
+    constructor(tenant = getDefaultTenant(), whatsappSession = null) {
+        this.tenant = tenant;
+        this.whatsappSession = whatsappSession;
         this.client = null;
+        this.transport = null;
         this.messageHandler = null;
-        this.leadTrackingService = new LeadTrackingService(null, null);
+        this.leadTrackingService = new LeadTrackingService(null, null, tenant);
+        this.messageHistoryService = new MessageHistoryService(tenant);
+        this.consentService = new ConsentService(tenant);
         
         // Sistema de bloqueo de chats
         this.activeChats = new Map(); // Chats actualmente en proceso
         this.chatLastInteraction = new Map(); // Última interacción por chat
         this.processingLock = new Map(); // Bloqueo de procesamiento por chat
+        this.messageBuffers = new Map(); // Mensajes en espera de ser agrupados por chat
         
         this.isReady = false;
-        this.qrCode = null;
         
         // Configuraciones
         this.MAX_RETRIES = 3;
-        this.RATE_LIMIT_DELAY = 2000; // 2 segundos entre mensajes
+        this.RATE_LIMIT_DELAY = parseInt(process.env.RATE_LIMIT_DELAY || '2000', 10); // Pausa mínima entre envíos masivos
         this.CHAT_TIMEOUT = 300000; // 5 minutos de timeout para un chat
-        this.PROCESSING_TIMEOUT = 30000; // 30 segundos máximo de procesamiento
-        this.MESSAGE_BUFFER_TIMEOUT = 15000; // 15 segundos de espera para agrupar mensajes
-        this.RECONNECT_DELAY = 5000;
-        this.MAX_RECONNECT_ATTEMPTS = 5;
-        this.reconnectAttempts = 0;
-        this.connectionTimeout = null;
+        this.PROCESSING_TIMEOUT = 60000; // 60 segundos máximo de procesamiento (incluye herramientas)
+        this.MESSAGE_BUFFER_TIMEOUT = parseInt(process.env.MESSAGE_BUFFER_TIMEOUT || '15000', 10); // Espera para agrupar mensajes
         this.messageQueue = new Map();
         this.processingQueue = false;
     }
 
-    async setClient(client) {
+    // El MessageHandler se crea con el primer transporte y se reutiliza en las reconexiones
+    async setTransport(transport) {
         try {
-            this.client = client;
-            this.messageHandler = new MessageHandler(client);
+            this.transport = transport;
+            if (this.messageHandler) {
+                this.messageHandler.setTransport(transport);
+            } else {
+                this.messageHandler = new MessageHandler(transport, this.tenant);
+            }
             await this.messageHandler.initialize();
             this.isReady = true;
-            this.setupEventHandlers();
             this.startQueueProcessor();
-            logger.info('WhatsApp client and message handler initialized successfully');
+            logger.info(`WhatsApp ${transport.name} transport and message handler initialized for tenant ${this.tenant.slug}`);
         } catch (error) {
             logger.error('Error initializing WhatsApp service:', error);
             throw error;
         }
     }
 
+    // Cliente de whatsapp-web.js; sus mensajes se normalizan con normalize() antes de handleIncomingMessage
+    async setClient(client) {
+        this.client = client;
+        await this.setTransport(new WebJsTransport(client));
+        this.setupEventHandlers();
+    }
+
+    normalize(message) {
+        if (!this.transport) {
+            throw new Error('WhatsApp transport not initialized');
+        }
+        return this.transport.normalize(message);
+    }
+
     setupEventHandlers() {
         if (!this.client) {
             throw new Error('WhatsApp client not initialized');
         }
 
-        this.client.on('qr', (qr) => {
-            this.qrCode = qr;
-            
-            // Forzar limpieza de consola
-            process.stdout.write('\x1Bc');
-            
-            console.log('\n==================================================');
-            console.log('🔄 NUEVO CÓDIGO QR GENERADO - ESCANEA CON WHATSAPP');
-            console.log('==================================================\n');
-            
-            // Generar QR de manera síncrona
-            try {
-                qrcode.generate(qr, { small: true });
-                logger.info('Código QR generado exitosamente');
-            } catch (error) {
-                logger.error('Error al generar QR:', error);
-                // Intento alternativo de mostrar QR
-                console.log('QR Code:', qr);
-            }
-            
-            this.lastQRTimestamp = Date.now();
-            logger.info(`QR Code timestamp: ${this.lastQRTimestamp}`);
-        });
-
         this.client.on('ready', () => {
             this.isReady = true;
-            this.qrCode = null;
-            logger.info('WhatsApp client is ready!');
         });
 
-        this.client.on('authenticated', () => {
-            logger.info('WhatsApp client authenticated successfully');
-        });
-
-        this.client.on('auth_failure', (error) => {
-            logger.error('WhatsApp authentication failed:', error);
+        this.client.on('auth_failure', () => {
             this.isReady = false;
-            this.handleAuthFailure();
         });
 
-        this.client.on('disconnected', (reason) => {
-            logger.warn('WhatsApp client disconnected:', reason);
+        this.client.on('disconnected', () => {
             this.isReady = false;
-            this.handleDisconnection(reason);
-        });
-
-        this.client.on('error', async (error) => {
-            logger.error('WhatsApp client error:', error);
-            if (error.message.includes('timeout') || error.message.includes('connection')) {
-                await this.handleConnectionError(error);
-            }
         });
     }
 
@@ -118,21 +106,104 @@ class WhatsAppService {
 
         const chatId = message.from;
 
+        // Agrupar ráfagas: cada mensaje nuevo reinicia la espera del chat
+        const buffer = this.messageBuffers.get(chatId) || { messages: [], timer: null, ready: false };
+        buffer.messages.push({ ...message, whatsappSession: this.whatsappSession });
+
+        if (buffer.timer) {
+            clearTimeout(buffer.timer);
+        }
+        buffer.timer = setTimeout(() => {
+            this.flushBuffer(chatId).catch(error => {
+                logger.error(`Error flushing buffer for chat ${chatId}:`, error);
+            });
+        }, this.MESSAGE_BUFFER_TIMEOUT);
+
+        this.messageBuffers.set(chatId, buffer);
+        logger.info(`Mensaje de ${chatId} agregado al buffer (${buffer.messages.length} pendientes)`);
+    }
+
+    async flushBuffer(chatId) {
+        const buffer = this.messageBuffers.get(chatId);
+        if (!buffer) {
+            return;
+        }
+        buffer.timer = null;
+
+        // Si el chat se está procesando, el buffer queda listo y se atiende al terminar
+        if (this.processingLock.get(chatId)) {
+            buffer.ready = true;
+            logger.info(`Chat ${chatId} está siendo procesado, mensajes en espera`);
+            return;
+        }
+
+        this.processingLock.set(chatId, true);
+
         try {
-            // Verificar si el chat está bloqueado
-            if (this.processingLock.get(chatId)) {
-                logger.info(`Chat ${chatId} está siendo procesado, ignorando nuevo mensaje`);
-                return;
+            let current = buffer;
+            while (current) {
+                this.messageBuffers.delete(chatId);
+
+                for (const turn of this.groupBufferedMessages(current.messages)) {
+                    await this.processMessage(chatId, turn);
+                }
+
+                // Mensajes que llegaron y terminaron su espera durante el procesamiento
+                const next = this.messageBuffers.get(chatId);
+                current = next && next.ready ? next : null;
+            }
+        } finally {
+            // Asegurar que el bloqueo se libere
+            this.processingLock.delete(chatId);
+        }
+    }
+
+    // Une los textos consecutivos en un solo turno; multimedia y comandos van por separado
+    groupBufferedMessages(messages) {
+        const turns = [];
+        let textRun = [];
+
+        const closeTextRun = () => {
+            if (textRun.length > 0) {
+                turns.push(this.mergeTextMessages(textRun));
+                textRun = [];
+            }
+        };
+
+        for (const message of messages) {
+            const isPlainText = !message.hasMedia && message.body && !message.body.startsWith('/');
+            if (isPlainText) {
+                textRun.push(message);
+            } else {
+                closeTextRun();
+                turns.push(message);
             }
+        }
+        closeTextRun();
+
+        return turns;
+    }
 
-            // Obtener la fecha actual en Perú
-            const currentDate = getCurrentPeruDate();
-            const startOfDay = getPeruStartOfDay(currentDate);
-            
-            // Verificar si es un nuevo día para este chat
+    mergeTextMessages(messages) {
+        if (messages.length === 1) {
+            return messages[0];
+        }
+
+        // Conserva los datos del último mensaje (id, contactName, adId, etc.)
+        const lastMessage = messages[messages.length - 1];
+        return {
+            ...lastMessage,
+            body: messages.map(message => message.body).join('\n')
+        };
+    }
+
+    async processMessage(chatId, message) {
+        try {
+            // Verificar si es un nuevo día para este chat (en la zona horaria de la clínica)
+            const currentDate = new Date();
             const lastInteraction = this.chatLastInteraction.get(chatId);
-            const isNewDay = !lastInteraction || 
-                           getPeruStartOfDay(new Date(lastInteraction)).getTime() < startOfDay.getTime();
+            const isNewDay = !lastInteraction ||
+                           getDateString(lastInteraction, this.tenant.clinic.timezone) !== getDateString(currentDate, this.tenant.clinic.timezone);
 
             // Si es un nuevo día, resetear el estado del chat
             if (isNewDay) {
@@ -143,20 +214,31 @@ class WhatsAppService {
             // Actualizar última interacción
             this.chatLastInteraction.set(chatId, currentDate);
 
-            // Establecer bloqueo de procesamiento
-            this.processingLock.set(chatId, true);
-            
-            // Configurar timeout para liberar el bloqueo
-            setTimeout(() => {
-                this.processingLock.delete(chatId);
-            }, this.PROCESSING_TIMEOUT);
+            // Si el procesamiento tarda demasiado se avisa al paciente, pero el chat sigue bloqueado
+            // hasta que el handler termine (respuestas y estado no se mezclan con la próxima ráfaga)
+            let processingTimer = null;
+            const timeout = new Promise(resolve => {
+                processingTimer = setTimeout(() => resolve(PROCESSING_TIMED_OUT), this.PROCESSING_TIMEOUT);
+            });
+            const handling = this.messageHandler.handleIncomingMessage(message);
+            const response = await Promise.race([handling, timeout])
+                .finally(() => clearTimeout(processingTimer));
 
-            // Procesar el mensaje
-            const response = await this.messageHandler.handleIncomingMessage(message);
+            if (response === PROCESSING_TIMED_OUT) {
+                logger.warn(`Processing timeout for chat ${chatId}, waiting for the handler to finish`);
+                await this.handleError(chatId, new Error(`Processing timeout for chat ${chatId}`));
+                try {
+                    await handling;
+                    logger.warn(`Late response for chat ${chatId} discarded`);
+                } catch (error) {
+                    logger.error(`Error handling message for chat ${chatId} after timeout:`, error);
+                }
+                return;
+            }
 
             // Si hay respuesta, enviarla
             if (response) {
-                await this.sendMessage(chatId, response);
+                await this.sendMessage(chatId, response, { isReply: true });
             }
 
             // Actualizar estado del chat
@@ -180,9 +262,6 @@ class WhatsAppService {
         } catch (error) {
             logger.error('Error handling incoming message:', error);
             await this.handleError(chatId, error);
-        } finally {
-            // Asegurar que el bloqueo se libere
-            this.processingLock.delete(chatId);
         }
     }
 
@@ -191,58 +270,25 @@ class WhatsAppService {
         return;
     }
 
-    async handleConnectionError(error) {
-        this.isReady = false;
-        if (this.reconnectAttempts < this.MAX_RECONNECT_ATTEMPTS) {
-            this.reconnectAttempts++;
-            const delay = this.RECONNECT_DELAY * Math.pow(2, this.reconnectAttempts - 1);
-            logger.info(`Attempting reconnection ${this.reconnectAttempts}/${this.MAX_RECONNECT_ATTEMPTS} in ${delay}ms`);
-            
-            if (this.connectionTimeout) {
-                clearTimeout(this.connectionTimeout);
-            }
-            
-            this.connectionTimeout = setTimeout(async () => {
-                try {
-                    await this.initialize();
-                    this.reconnectAttempts = 0;
-                    this.isReady = true;
-                    logger.info('Reconnection successful');
-                } catch (reconnectError) {
-                    logger.error('Reconnection failed:', reconnectError);
-                    await this.handleConnectionError(reconnectError);
-                }
-            }, delay);
-        } else {
-            logger.error('Max reconnection attempts reached');
-            // Aquí podrías implementar una notificación al administrador
-        }
-    }
-
-    async handleAuthFailure() {
-        logger.error('Authentication failed - requiring manual intervention');
-        this.isReady = false;
-        // Aquí podrías implementar una notificación al administrador
-    }
-
-    async handleDisconnection(reason) {
-        logger.warn(`Client disconnected: ${reason}`);
-        this.isReady = false;
-        await this.handleConnectionError(new Error(reason));
-    }
-
     async handleError(chatId, error) {
         const errorMessage = 'Lo siento, hubo un error al procesar tu mensaje. Por favor, intenta nuevamente en unos momentos.';
         try {
-            await this.sendMessage(chatId, errorMessage);
+            await this.sendMessage(chatId, errorMessage, { isReply: true });
         } catch (sendError) {
             logger.error(`Failed to send error message to ${chatId}:`, sendError);
         }
     }
 
-    async sendMessage(to, message) {
+    // isReply: el mensaje responde a uno del paciente; los demás no se envían a quien pidió la baja
+    async sendMessage(to, message, options = {}) {
+        const { sender = 'bot', agentId = null, isReply = false } = options;
+        let sentMessage = null;
+
+        // Fuera del try: un envío bloqueado no es un error del cliente de WhatsApp
+        await this.consentService.assertCanSend(to.replace('@c.us', ''), { isReply });
+
         try {
-            if (!this.client || !this.isReady) {
+            if (!this.transport || !this.isReady) {
                 throw new Error('WhatsApp client not ready');
             }
 
@@ -251,9 +297,9 @@ class WhatsAppService {
 
             while (retries < maxRetries) {
                 try {
-                    await this.client.sendMessage(to, message);
+                    sentMessage = await this.transport.sendMessage(to, message);
                     logger.info(`Message sent to ${to}`);
-                    return;
+                    break;
                 } catch (error) {
                     retries++;
                     if (retries === maxRetries) throw error;
@@ -264,25 +310,46 @@ class WhatsAppService {
             logger.error('Error sending message:', error);
             throw error;
         }
+
+        // Registrar el mensaje saliente; un fallo aquí no debe reenviar el mensaje
+        try {
+            if (typeof message === 'string') {
+                await this.messageHistoryService.recordOutbound(
+                    to,
+                    message,
+                    sender,
+                    agentId,
+                    sentMessage?.id || null,
+                    this.whatsappSession
+                );
+            }
+        } catch (error) {
+            logger.error('Error recording outbound message:', error);
+        }
     }
 
-    async initialize() {
+    async sendTyping(chatId, isTyping = true) {
         try {
-            if (this.client) {
-                await this.client.initialize();
-                this.isReady = true;
-                logger.info('WhatsApp client initialized successfully');
-            } else {
-                throw new Error('WhatsApp client not set');
+            if (!this.transport || !this.isReady) {
+                return;
             }
+
+            await this.transport.sendTyping(chatId, isTyping);
         } catch (error) {
-            logger.error('Error initializing WhatsApp client:', error);
-            throw error;
+            logger.error(`Error updating typing state for ${chatId}:`, error);
         }
     }
 
-    getQRCode() {
-        return this.qrCode;
+    async markAsSeen(chatId) {
+        try {
+            if (!this.transport || !this.isReady) {
+                return;
+            }
+
+            await this.transport.markAsSeen(chatId);
+        } catch (error) {
+            logger.error(`Error marking ${chatId} as seen:`, error);
+        }
     }
 
     // Métodos de compatibilidad necesarios
@@ -301,10 +368,36 @@ class WhatsAppService {
         }
     }
 
+    // Suelta el cliente sin cerrarlo (lo cierra quien lo creó) y descarta los mensajes en espera;
+    // conserva el MessageHandler para el próximo cliente
+    detachClient() {
+        for (const buffer of this.messageBuffers.values()) {
+            if (buffer.timer) {
+                clearTimeout(buffer.timer);
+            }
+        }
+        this.messageBuffers.clear();
+
+        this.isReady = false;
+        this.client = null;
+        this.transport = null;
+    }
+
+    // Suelta el cliente y detiene el MessageHandler; un setTransport posterior crea otro
+    dispose() {
+        this.detachClient();
+        if (this.messageHandler) {
+            this.messageHandler.dispose();
+            this.messageHandler = null;
+        }
+    }
+
     async destroy() {
-        if (this.client) {
-            this.isReady = false;
-            await this.client.destroy();
+        const client = this.client;
+        this.dispose();
+
+        if (client) {
+            await client.destroy();
         }
     }
 }
@@ -0,0 +1,63 @@
+/**
+ * Utilidades para mostrar los datos de la clínica a los pacientes
+ */
+
+const DAY_NAMES = ['domingo', 'lunes', 'martes', 'miércoles', 'jueves', 'viernes', 'sábado'];
+
+/**
+ * Formatea un precio en la moneda de la clínica
+ * @param {number} price - Precio
+ * @param {Object} currency - Moneda de la clínica ({ code, symbol })
+ * @returns {string} Precio con el símbolo de la moneda (S/.200)
+ */
+function formatPrice(price, currency) {
+    return `${currency.symbol}${price}`;
+}
+
+/**
+ * Describe dónde atiende la clínica: "Lima, Perú", o solo el país si no tiene región
+ * @param {Object} clinic - Configuración de la clínica
+ * @returns {string} Ubicación
+ */
+function describeLocation(clinic) {
+    return clinic.region ? `${clinic.region}, ${clinic.country}` : clinic.country;
+}
+
+/**
+ * Une una lista de nombres en español: "A", "A y B", "A, B y C"
+ * @param {string[]} names - Nombres
+ * @returns {string} Lista unida
+ */
+function joinNames(names) {
+    if (names.length <= 1) {
+        return names.join('');
+    }
+    return `${names.slice(0, -1).join(', ')} y ${names[names.length - 1]}`;
+}
+
+/**
+ * Describe los días de atención: "lunes a sábado" si son consecutivos,
+ * o la lista de días si no lo son
+ * @param {number[]} workingDays - Días de atención (0 = domingo ... 6 = sábado)
+ * @returns {string} Descripción de los días
+ */
+function describeWorkingDays(workingDays) {
+    // Semana empezando en lunes para que lunes-domingo cuente como consecutivo
+    const days = [...workingDays].sort((a, b) => ((a + 6) % 7) - ((b + 6) % 7));
+    const isRange = days.length > 2 && days.every((day, index) =>
+        index === 0 || (days[index - 1] + 1) % 7 === day
+    );
+
+    if (isRange) {
+        return `${DAY_NAMES[days[0]]} a ${DAY_NAMES[days[days.length - 1]]}`;
+    }
+    return joinNames(days.map(day => DAY_NAMES[day]));
+}
+
+module.exports = {
+    formatPrice,
+    describeLocation,
+    joinNames,
+    describeWorkingDays,
+    DAY_NAMES
+};
@@ -1,56 +1,230 @@
 /**
- * Utilidades para manejo de fechas en la zona horaria de Perú
+ * Utilidades para manejo de fechas por zona horaria.
+ *
+ * Los Date siempre representan instantes reales; la zona horaria (por ejemplo
+ * 'America/Lima' o 'America/Guayaquil') solo se usa para leer o construir la
+ * fecha y hora locales, así que el resultado no depende de la zona del servidor.
+ * Las fechas calendario se manejan como texto YYYY-MM-DD.
  */
 
-const PERU_TZ = 'America/Lima';
+const DEFAULT_TIMEZONE = 'America/Lima';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Un formateador por zona horaria: crearlos es costoso y se usan en cada mensaje
+const partsFormatters = new Map();
+
+function getPartsFormatter(timeZone) {
+    if (!partsFormatters.has(timeZone)) {
+        partsFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+            hourCycle: 'h23'
+        }));
+    }
+    return partsFormatters.get(timeZone);
+}
+
+/**
+ * Obtiene la fecha y hora locales de un instante en una zona horaria
+ * @param {Date} date - Instante
+ * @param {string} timeZone - Zona horaria IANA
+ * @returns {{year: string, month: string, day: string, hour: string, minute: string, second: string}}
+ */
+function getZonedParts(date, timeZone) {
+    const parts = {};
+    for (const { type, value } of getPartsFormatter(timeZone).formatToParts(date)) {
+        parts[type] = value;
+    }
+    return parts;
+}
+
+/**
+ * Indica si una zona horaria IANA es válida
+ * @param {string} timeZone - Zona horaria (por ejemplo 'America/Lima')
+ * @returns {boolean} true si el entorno la reconoce
+ */
+function isValidTimeZone(timeZone) {
+    if (typeof timeZone !== 'string' || timeZone.length === 0) {
+        return false;
+    }
+    try {
+        getPartsFormatter(timeZone);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
 
 /**
- * Obtiene la fecha y hora actual en Perú
- * @returns {Date} Fecha actual en la zona horaria de Perú
+ * Obtiene la diferencia con UTC de una zona horaria en un instante dado
+ * (cambia durante el año en las zonas con horario de verano)
+ * @param {Date} date - Instante de referencia
+ * @param {string} timeZone - Zona horaria IANA
+ * @returns {number} Diferencia en minutos (por ejemplo -300 para Lima)
  */
-function getCurrentPeruDate() {
-    return new Date(new Date().toLocaleString('en-US', { timeZone: PERU_TZ }));
+function getTimeZoneOffset(date, timeZone = DEFAULT_TIMEZONE) {
+    const parts = getZonedParts(date, timeZone);
+    const localAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    const instant = Math.floor(date.getTime() / 1000) * 1000;
+    return Math.round((localAsUtc - instant) / 60000);
 }
 
 /**
- * Formatea una fecha para mostrarla en formato peruano
- * @param {Date} date - Fecha a formatear
- * @returns {string} Fecha formateada en formato peruano
+ * Convierte una fecha y hora locales de una zona horaria en un instante.
+ * Si la hora no existe (adelanto por horario de verano) se usa la diferencia
+ * previa al cambio; si se repite (atraso), la primera de las dos.
+ * @param {string} dateString - Fecha en formato YYYY-MM-DD
+ * @param {string} time - Hora en formato HH:MM (opcional, por defecto 00:00)
+ * @param {string} timeZone - Zona horaria IANA
+ * @returns {Date} Instante correspondiente
  */
-function formatPeruDate(date) {
-    return new Intl.DateTimeFormat('es-PE', { 
-        timeZone: PERU_TZ,
+function zonedDateTimeToDate(dateString, time = '00:00', timeZone = DEFAULT_TIMEZONE) {
+    const [year, month, day] = dateString.split('-').map(Number);
+    const [hour, minute] = time.split(':').map(Number);
+    const localAsUtc = Date.UTC(year, month - 1, day, hour, minute);
+
+    // Se prueba con la diferencia de la víspera y la del día siguiente, que son
+    // las dos posibles alrededor de un cambio de hora
+    const candidates = [
+        localAsUtc - getTimeZoneOffset(new Date(localAsUtc - DAY_MS), timeZone) * 60000,
+        localAsUtc - getTimeZoneOffset(new Date(localAsUtc + DAY_MS), timeZone) * 60000
+    ].sort((a, b) => a - b);
+
+    const match = candidates.find(candidate =>
+        getDateString(new Date(candidate), timeZone) === dateString &&
+        getTimeString(new Date(candidate), timeZone) === time.slice(0, 5)
+    );
+    return new Date(match !== undefined ? match : candidates[1]);
+}
+
+/**
+ * Formatea un instante en la zona horaria indicada para mostrarlo al usuario
+ * @param {Date} date - Instante a formatear (opcional, por defecto el actual)
+ * @param {string} timeZone - Zona horaria IANA
+ * @returns {string} Fecha y hora en texto, por ejemplo "lunes, 20 de octubre de 2025, 09:15:00 GMT-5"
+ */
+function formatDateTime(date = new Date(), timeZone = DEFAULT_TIMEZONE) {
+    return new Intl.DateTimeFormat('es-PE', {
+        timeZone,
         dateStyle: 'full',
         timeStyle: 'long'
     }).format(date);
 }
 
 /**
- * Obtiene el inicio del día en Perú para una fecha dada
- * @param {Date} date - Fecha de referencia (opcional, por defecto usa la fecha actual)
- * @returns {Date} Fecha al inicio del día (00:00:00) en la zona horaria de Perú
+ * Obtiene la fecha calendario de un instante en la zona horaria indicada
+ * @param {Date} date - Instante de referencia (opcional, por defecto el actual)
+ * @param {string} timeZone - Zona horaria IANA
+ * @returns {string} Fecha en formato YYYY-MM-DD
+ */
+function getDateString(date = new Date(), timeZone = DEFAULT_TIMEZONE) {
+    const { year, month, day } = getZonedParts(date, timeZone);
+    return `${year}-${month}-${day}`;
+}
+
+/**
+ * Obtiene la hora de un instante en la zona horaria indicada (24 horas)
+ * @param {Date} date - Instante de referencia (opcional, por defecto el actual)
+ * @param {string} timeZone - Zona horaria IANA
+ * @returns {string} Hora en formato HH:MM
+ */
+function getTimeString(date = new Date(), timeZone = DEFAULT_TIMEZONE) {
+    const { hour, minute } = getZonedParts(date, timeZone);
+    return `${hour}:${minute}`;
+}
+
+/**
+ * Obtiene el primer instante de una fecha calendario en la zona horaria indicada
+ * @param {string} dateString - Fecha en formato YYYY-MM-DD
+ * @param {string} timeZone - Zona horaria IANA
+ * @returns {Date} Instante de las 00:00 locales
+ */
+function getStartOfDateString(dateString, timeZone = DEFAULT_TIMEZONE) {
+    return zonedDateTimeToDate(dateString, '00:00', timeZone);
+}
+
+/**
+ * Obtiene el último instante de una fecha calendario en la zona horaria indicada
+ * (el día puede durar 23 o 25 horas si hay cambio de hora)
+ * @param {string} dateString - Fecha en formato YYYY-MM-DD
+ * @param {string} timeZone - Zona horaria IANA
+ * @returns {Date} Instante de las 23:59:59.999 locales
+ */
+function getEndOfDateString(dateString, timeZone = DEFAULT_TIMEZONE) {
+    return new Date(getStartOfDateString(addDaysToDateString(dateString, 1), timeZone).getTime() - 1);
+}
+
+/**
+ * Obtiene el inicio del día local al que pertenece un instante
+ * @param {Date} date - Instante de referencia (opcional, por defecto el actual)
+ * @param {string} timeZone - Zona horaria IANA
+ * @returns {Date} Instante de las 00:00 locales de ese día
+ */
+function getStartOfDay(date = new Date(), timeZone = DEFAULT_TIMEZONE) {
+    return getStartOfDateString(getDateString(date, timeZone), timeZone);
+}
+
+/**
+ * Obtiene el fin del día local al que pertenece un instante
+ * @param {Date} date - Instante de referencia (opcional, por defecto el actual)
+ * @param {string} timeZone - Zona horaria IANA
+ * @returns {Date} Instante de las 23:59:59.999 locales de ese día
+ */
+function getEndOfDay(date = new Date(), timeZone = DEFAULT_TIMEZONE) {
+    return getEndOfDateString(getDateString(date, timeZone), timeZone);
+}
+
+/**
+ * Obtiene el lunes de la semana local a la que pertenece un instante
+ * @param {Date} date - Instante de referencia (opcional, por defecto el actual)
+ * @param {string} timeZone - Zona horaria IANA
+ * @returns {string} Fecha del lunes en formato YYYY-MM-DD
+ */
+function getWeekStart(date = new Date(), timeZone = DEFAULT_TIMEZONE) {
+    const day = getDateString(date, timeZone);
+    return addDaysToDateString(day, -((getWeekdayOfDateString(day) + 6) % 7));
+}
+
+/**
+ * Suma (o resta) días a una fecha calendario
+ * @param {string} dateString - Fecha en formato YYYY-MM-DD
+ * @param {number} days - Días a sumar; negativo para restar
+ * @returns {string} Fecha resultante en formato YYYY-MM-DD
  */
-function getPeruStartOfDay(date = getCurrentPeruDate()) {
-    const peruDate = new Date(date.toLocaleString('en-US', { timeZone: PERU_TZ }));
-    peruDate.setHours(0, 0, 0, 0);
-    return peruDate;
+function addDaysToDateString(dateString, days) {
+    const date = new Date(`${dateString}T12:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
 }
 
 /**
- * Obtiene el fin del día en Perú para una fecha dada
- * @param {Date} date - Fecha de referencia (opcional, por defecto usa la fecha actual)
- * @returns {Date} Fecha al final del día (23:59:59.999) en la zona horaria de Perú
+ * Obtiene el día de la semana de una fecha calendario
+ * @param {string} dateString - Fecha en formato YYYY-MM-DD
+ * @returns {number} Día de la semana (0 = domingo ... 6 = sábado)
  */
-function getPeruEndOfDay(date = getCurrentPeruDate()) {
-    const peruDate = new Date(date.toLocaleString('en-US', { timeZone: PERU_TZ }));
-    peruDate.setHours(23, 59, 59, 999);
-    return peruDate;
+function getWeekdayOfDateString(dateString) {
+    return new Date(`${dateString}T12:00:00Z`).getUTCDay();
 }
 
 module.exports = {
-    getCurrentPeruDate,
-    formatPeruDate,
-    getPeruStartOfDay,
-    getPeruEndOfDay,
-    PERU_TZ
-}; 
\ No newline at end of file
+    isValidTimeZone,
+    getTimeZoneOffset,
+    zonedDateTimeToDate,
+    formatDateTime,
+    getDateString,
+    getTimeString,
+    getStartOfDateString,
+    getEndOfDateString,
+    getStartOfDay,
+    getEndOfDay,
+    getWeekStart,
+    addDaysToDateString,
+    getWeekdayOfDateString,
+    DEFAULT_TIMEZONE
+};
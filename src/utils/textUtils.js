@@ -0,0 +1,36 @@
+/**
+ * Utilidades de texto para los mensajes con pacientes
+ */
+
+/**
+ * Pasa el texto a minúsculas y sin tildes
+ * @param {string} value - Texto a normalizar
+ * @returns {string} Texto normalizado
+ */
+function normalizeText(value) {
+    return value.toString()
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .trim();
+}
+
+/**
+ * Reemplaza {nombre} por el primer nombre del lead y limpia los espacios
+ * que quedan cuando no se conoce
+ * @param {string} template - Plantilla del mensaje
+ * @param {Object} lead - Lead destinatario
+ * @returns {string} Mensaje listo para enviar
+ */
+function fillLeadTemplate(template, lead) {
+    const nombre = lead.nombre && lead.nombre !== 'No proporcionado' ? lead.nombre.split(' ')[0] : '';
+    return template
+        .replace(/\{nombre\}/g, nombre)
+        .replace(/\s+([,.!?])/g, '$1')
+        .replace(/ {2,}/g, ' ');
+}
+
+module.exports = {
+    normalizeText,
+    fillLeadTemplate
+};
@@ -0,0 +1,76 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestTenant, daysFromToday } = require('./helpers');
+const { Appointment } = require('../src/infrastructure/database/models');
+const AppointmentReminderService = require('../src/application/services/AppointmentReminderService');
+
+describe('AppointmentReminderService', () => {
+    const service = new AppointmentReminderService(null, createTestTenant());
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    describe('parseReply', () => {
+        it('recognizes confirmations with greetings and courtesy words', () => {
+            for (const text of ['Confirmo', 'CONFIRMO ✅', 'Hola doctora, confirmo mi asistencia. Gracias', 'sí asistiré', 'Ahí estaré']) {
+                assert.equal(service.parseReply(text), 'confirm', text);
+            }
+        });
+
+        it('recognizes cancellations', () => {
+            for (const text of ['No podré ir', 'Lamentablemente no podré asistir', 'cancelo la cita', 'Cancelar']) {
+                assert.equal(service.parseReply(text), 'cancel', text);
+            }
+        });
+
+        it('leaves questions and longer messages to the conversation', () => {
+            for (const text of ['no puedo ir a las 9, ¿puedo llegar a las 10?', '¿confirmo?', 'confirmo que no voy', 'ok', 'no', 'si']) {
+                assert.equal(service.parseReply(text), null, text);
+            }
+        });
+    });
+
+    describe('handleReply', () => {
+        const appointment = (data = {}) => ({
+            id: 5,
+            sede: 'lince',
+            fecha: daysFromToday(1),
+            confirmacion_paciente_at: null,
+            update: mock.fn(async () => {}),
+            ...data
+        });
+
+        it('confirms the appointment and sends the sede address', async () => {
+            const found = appointment();
+            mock.method(Appointment, 'findOne', async () => found);
+
+            const reply = await service.handleReply('51999888777', 'Confirmo');
+
+            assert.equal(reply, '¡Gracias por confirmar! 😊 Te esperamos en nuestra sede Lince: Av. Arequipa 100.');
+            assert.equal(found.update.mock.calls[0].arguments[0].estado, 'confirmada');
+        });
+
+        it('confirms even if the sede was removed after booking', async () => {
+            mock.method(Appointment, 'findOne', async () => appointment({ sede: 'cerrada' }));
+
+            assert.equal(await service.handleReply('51999888777', 'Confirmo'), '¡Gracias por confirmar! 😊 Te esperamos.');
+        });
+
+        it('cancels the appointment', async () => {
+            const found = appointment();
+            mock.method(Appointment, 'findOne', async () => found);
+
+            assert.match(await service.handleReply('51999888777', 'No podré ir'), /^Entendido, hemos cancelado tu cita/);
+            assert.deepEqual(found.update.mock.calls[0].arguments[0], { estado: 'cancelada' });
+        });
+
+        it('ignores messages that are not replies to a reminder', async () => {
+            mock.method(Appointment, 'findOne', async () => null);
+
+            assert.equal(await service.handleReply('51999888777', 'Confirmo'), null);
+            assert.equal(await service.handleReply('51999888777', 'Quiero otra cita'), null);
+            assert.equal(Appointment.findOne.mock.callCount(), 1);
+        });
+    });
+});
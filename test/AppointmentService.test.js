@@ -0,0 +1,135 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestTenant, daysFromToday } = require('./helpers');
+const { Appointment, Lead, sequelize } = require('../src/infrastructure/database/models');
+const AppointmentService = require('../src/application/services/AppointmentService');
+
+const lead = { id: 7, telefono: '51999888777' };
+const booking = (data = {}) => ({
+    telefono: lead.telefono,
+    nombre_paciente: 'Juan Pérez',
+    dni: '12345678',
+    sede: 'lince',
+    fecha: daysFromToday(7),
+    turno: 'manana',
+    ...data
+});
+
+// Las reservas corren en una transacción falsa; las consultas se reemplazan en cada prueba
+function mockBooking({ existing = null, booked = 0 } = {}) {
+    mock.method(Lead, 'findOne', async () => lead);
+    mock.method(Appointment, 'findOne', async () => existing);
+    mock.method(Appointment, 'count', async () => booked);
+    mock.method(Appointment, 'create', async (data) => ({ id: 1, ...data }));
+    mock.method(sequelize, 'transaction', async (options, callback) => callback({ LOCK: { UPDATE: 'UPDATE' } }));
+}
+
+describe('AppointmentService', () => {
+    let service;
+
+    beforeEach(() => {
+        service = new AppointmentService(createTestTenant());
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    describe('validateSlot', () => {
+        it('rejects past dates', () => {
+            const result = service.validateSlot({ sede: 'lince', fecha: daysFromToday(-1), turno: 'manana' });
+            assert.deepEqual(result, { valid: false, reason: 'No es posible agendar citas en fechas pasadas.' });
+        });
+
+        it('rejects unknown sedes and services', () => {
+            assert.equal(service.validateSlot({ sede: 'miraflores', fecha: daysFromToday(7), turno: 'manana' }).valid, false);
+            assert.match(
+                service.validateSlot({ sede: 'lince', fecha: daysFromToday(7), turno: 'manana', servicio: 'cirugia' }).reason,
+                /^Solo agendamos los servicios Chequeo prostático/
+            );
+        });
+
+        it('derives the turn from the hour', () => {
+            const result = service.validateSlot({ sede: 'Lince', fecha: daysFromToday(7), hora: '16:30' });
+            assert.deepEqual(result, { valid: true, sede: 'lince', fecha: daysFromToday(7), turno: 'tarde', hora: '16:30' });
+        });
+
+        it('rejects holidays', () => {
+            const fecha = daysFromToday(7);
+            service = new AppointmentService(createTestTenant({
+                holidays: { fixed: [], easter: [], extra: [{ date: fecha, name: 'Feriado de prueba' }] }
+            }));
+            assert.equal(service.validateSlot({ sede: 'lince', fecha, turno: 'manana' }).reason,
+                'Ese día es feriado (Feriado de prueba) y no atendemos.');
+        });
+    });
+
+    describe('bookAppointment', () => {
+        it('books while the turn has capacity', async () => {
+            mockBooking({ booked: 1 });
+
+            const result = await service.bookAppointment(booking());
+
+            assert.equal(result.success, true);
+            assert.equal(Appointment.create.mock.callCount(), 1);
+            assert.equal(result.appointment.servicio, 'chequeo_prostatico');
+            assert.equal(result.appointment.estado, 'confirmada');
+        });
+
+        it('rejects a full turn', async () => {
+            mockBooking({ booked: 2 });
+
+            const result = await service.bookAppointment(booking());
+
+            assert.deepEqual(result, { success: false, reason: 'Ese turno ya no tiene cupos disponibles.' });
+            assert.equal(Appointment.create.mock.callCount(), 0);
+        });
+
+        it('allows one active appointment per patient and day', async () => {
+            const fecha = daysFromToday(7);
+            mockBooking({ existing: { sede: 'lince', fecha, turno: 'tarde', hora: null } });
+
+            const result = await service.bookAppointment(booking({ fecha }));
+
+            assert.equal(result.success, false);
+            assert.match(result.reason, /^El paciente ya tiene una cita ese día: .* - turno tarde \(15:00 - 18:00\) - sede Lince\.$/);
+            assert.equal(Appointment.create.mock.callCount(), 0);
+        });
+
+        it('rejects past dates before touching the database', async () => {
+            mockBooking();
+
+            const result = await service.bookAppointment(booking({ fecha: daysFromToday(-1) }));
+
+            assert.equal(result.success, false);
+            assert.equal(sequelize.transaction.mock.callCount(), 0);
+        });
+
+        it('retries when the database aborts the transaction for a lock conflict', async () => {
+            mockBooking();
+            let attempts = 0;
+            sequelize.transaction.mock.mockImplementation(async (options, callback) => {
+                attempts++;
+                if (attempts === 1) {
+                    throw Object.assign(new Error('could not serialize access'), { parent: { code: '40001' } });
+                }
+                return callback({ LOCK: { UPDATE: 'UPDATE' } });
+            });
+
+            const result = await service.bookAppointment(booking());
+
+            assert.equal(result.success, true);
+            assert.equal(attempts, 2);
+        });
+
+        it('gives up after the last lock conflict', async () => {
+            mockBooking();
+            sequelize.transaction.mock.mockImplementation(async () => {
+                throw Object.assign(new Error('Deadlock found'), { parent: { code: 'ER_LOCK_DEADLOCK' } });
+            });
+
+            await assert.rejects(service.bookAppointment(booking()), /Deadlock found/);
+            assert.equal(sequelize.transaction.mock.callCount(), 3);
+        });
+    });
+});
@@ -0,0 +1,67 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestTenant } = require('./helpers');
+const { ContactConsent } = require('../src/infrastructure/database/models');
+const ConsentService = require('../src/application/services/ConsentService');
+
+describe('ConsentService', () => {
+    const service = new ConsentService(createTestTenant());
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    describe('isOptOutMessage', () => {
+        it('accepts the keywords alone, in any case and with punctuation', () => {
+            for (const text of ['BAJA', 'Stop', 'baja.', '  detener!! ', 'Cancelar suscripción']) {
+                assert.equal(service.isOptOutMessage(text), true, text);
+            }
+        });
+
+        it('finds the phrases inside longer messages', () => {
+            assert.equal(service.isOptOutMessage('Por favor no me escriban más, gracias'), true);
+            assert.equal(service.isOptOutMessage('Quiero que me den de baja... dame de baja'), true);
+        });
+
+        it('ignores keywords used in another sense', () => {
+            for (const text of ['la baja de precio', 'stop de la bici', 'quiero una cita', '', null]) {
+                assert.equal(service.isOptOutMessage(text), false, String(text));
+            }
+        });
+
+        it('recognizes opt-in keywords only on their own', () => {
+            assert.equal(service.isOptInMessage('ALTA'), true);
+            assert.equal(service.isOptInMessage('me dieron de alta'), false);
+        });
+    });
+
+    describe('assertCanSend', () => {
+        it('always lets replies through without checking the list', async () => {
+            mock.method(ContactConsent, 'findOne', async () => {
+                throw new Error('should not be called');
+            });
+
+            await service.assertCanSend('51999888777', { isReply: true });
+        });
+
+        it('lets messages through to numbers that did not opt out', async () => {
+            mock.method(ContactConsent, 'findOne', async () => null);
+
+            await service.assertCanSend('51999888777');
+            assert.deepEqual(ContactConsent.findOne.mock.calls[0].arguments[0].where,
+                { tenant_id: 99, telefono: '51999888777', opted_out: true });
+        });
+
+        it('blocks and counts messages to numbers that opted out', async () => {
+            const consent = { blocked_count: 2, update: mock.fn(async () => {}) };
+            mock.method(ContactConsent, 'findOne', async () => consent);
+
+            await assert.rejects(service.assertCanSend('51999888777'), error => {
+                assert.equal(error.code, 'OPTED_OUT');
+                assert.equal(error.telefono, '51999888777');
+                return true;
+            });
+            assert.equal(consent.update.mock.calls[0].arguments[0].blocked_count, 3);
+        });
+    });
+});
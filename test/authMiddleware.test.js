@@ -0,0 +1,88 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const AuthService = require('../src/application/services/AuthService');
+const { requirePermission, requireGlobalAdmin, selectTenantServices } = require('../src/infrastructure/http/authMiddleware');
+
+const authService = new AuthService();
+
+// Servicios de dos clínicas activas: 1 (principal) y 2 (norte)
+const tenants = {
+    1: { tenant: { id: 1, slug: 'principal' } },
+    2: { tenant: { id: 2, slug: 'norte' } }
+};
+const getServices = (value) => {
+    if (value === null) return tenants[1];
+    return Object.values(tenants).find(({ tenant }) => tenant.id === Number(value) || tenant.slug === value) || null;
+};
+
+// Ejecuta el middleware con una petición falsa; devuelve el estado respondido o 'next'
+function run(middleware, user) {
+    let result = null;
+    const req = { user, method: 'GET', path: '/api/test' };
+    const res = { status: (status) => ({ json: () => { result = status; } }) };
+    middleware(req, res, () => { result = 'next'; });
+    return result;
+}
+
+describe('AuthService.hasPermission', () => {
+    it('grants every permission to admins', () => {
+        assert.equal(authService.hasPermission('admin', 'tenants:manage'), true);
+    });
+
+    it('limits agents and viewers to their permissions', () => {
+        assert.equal(authService.hasPermission('agent', 'inbox:reply'), true);
+        assert.equal(authService.hasPermission('agent', 'clinic:write'), false);
+        assert.equal(authService.hasPermission('viewer', 'inbox:read'), true);
+        assert.equal(authService.hasPermission('viewer', 'inbox:reply'), false);
+        assert.equal(authService.hasPermission('unknown', 'stats:read'), false);
+    });
+});
+
+describe('requirePermission', () => {
+    it('lets through users whose role has the permission', () => {
+        assert.equal(run(requirePermission(authService, 'messages:send'), { role: 'agent' }), 'next');
+    });
+
+    it('answers 403 otherwise', () => {
+        assert.equal(run(requirePermission(authService, 'messages:send'), { role: 'viewer' }), 403);
+        assert.equal(run(requirePermission(authService, 'messages:send'), undefined), 403);
+    });
+});
+
+describe('requireGlobalAdmin', () => {
+    it('only accepts admins without a fixed tenant', () => {
+        assert.equal(run(requireGlobalAdmin(authService), { role: 'admin', tenant_id: null }), 'next');
+        assert.equal(run(requireGlobalAdmin(authService), { role: 'admin', tenant_id: 2 }), 403);
+        assert.equal(run(requireGlobalAdmin(authService), { role: 'agent', tenant_id: null }), 403);
+    });
+});
+
+describe('selectTenantServices', () => {
+    it('always uses the tenant of users bound to one', () => {
+        const agent = { role: 'agent', tenant_id: 2 };
+        assert.equal(selectTenantServices(authService, agent, undefined, getServices).services, tenants[2]);
+        assert.equal(selectTenantServices(authService, agent, 'principal', getServices).services, tenants[2]);
+    });
+
+    it('rejects users whose tenant is not active', () => {
+        assert.deepEqual(selectTenantServices(authService, { role: 'agent', tenant_id: 3 }, undefined, getServices),
+            { status: 403, error: 'Tenant is not active' });
+    });
+
+    it('defaults to the main tenant when none is requested', () => {
+        assert.equal(selectTenantServices(authService, { role: 'agent', tenant_id: null }, '', getServices).services, tenants[1]);
+    });
+
+    it('lets global admins pick a tenant by id or slug', () => {
+        const admin = { role: 'admin', tenant_id: null };
+        assert.equal(selectTenantServices(authService, admin, 'norte', getServices).services, tenants[2]);
+        assert.equal(selectTenantServices(authService, admin, '2', getServices).services, tenants[2]);
+        assert.deepEqual(selectTenantServices(authService, admin, 'sur', getServices), { status: 404, error: 'Tenant not found' });
+    });
+
+    it('does not let other users pick a tenant', () => {
+        assert.deepEqual(selectTenantServices(authService, { role: 'agent', tenant_id: null }, 'norte', getServices),
+            { status: 403, error: 'Forbidden' });
+    });
+});
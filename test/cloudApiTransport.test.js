@@ -0,0 +1,64 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const CloudApiTransport = require('../src/infrastructure/whatsapp/transports/cloudApiTransport');
+
+// Notificación de WhatsApp Cloud con los mensajes de value.messages
+const notification = (messages, contacts = []) => ({
+    object: 'whatsapp_business_account',
+    entry: [{ changes: [{ field: 'messages', value: { contacts, messages } }] }]
+});
+
+describe('CloudApiTransport.parseWebhook', () => {
+    const repository = { downloadMedia: async (id) => ({ mimetype: 'audio/ogg', data: `media-${id}` }) };
+
+    it('normalizes text messages with the contact name and ad referral', () => {
+        const transport = new CloudApiTransport(repository);
+        const [message] = transport.parseWebhook(notification(
+            [{
+                id: 'wamid.1',
+                from: '51999888777',
+                timestamp: '1760000000',
+                type: 'text',
+                text: { body: 'Hola, quiero una cita' },
+                referral: { source_id: 'ad-42' }
+            }],
+            [{ wa_id: '51999888777', profile: { name: 'Juan' } }]
+        ));
+
+        assert.equal(message.id, 'wamid.1');
+        assert.equal(message.from, '51999888777@c.us');
+        assert.equal(message.body, 'Hola, quiero una cita');
+        assert.equal(message.type, 'chat');
+        assert.equal(message.hasMedia, false);
+        assert.equal(message.contactName, 'Juan');
+        assert.equal(message.adId, 'ad-42');
+        assert.equal(message.timestamp.toISOString(), '2025-10-09T08:53:20.000Z');
+    });
+
+    it('maps voice notes to ptt and downloads their media', async () => {
+        const transport = new CloudApiTransport(repository);
+        const [message] = transport.parseWebhook(notification([
+            { id: 'wamid.2', from: '51999888777', type: 'audio', audio: { id: 'media-1', voice: true } }
+        ]));
+
+        assert.equal(message.type, 'ptt');
+        assert.equal(message.hasMedia, true);
+        assert.deepEqual(await message.downloadMedia(), { mimetype: 'audio/ogg', data: 'media-media-1', filename: null });
+    });
+
+    it('treats button and list replies as text', () => {
+        const transport = new CloudApiTransport(repository);
+        const messages = transport.parseWebhook(notification([
+            { id: 'wamid.3', from: '51999888777', type: 'button', button: { text: 'Confirmo' } },
+            { id: 'wamid.4', from: '51999888777', type: 'interactive', interactive: { list_reply: { title: 'Lince' } } }
+        ]));
+
+        assert.deepEqual(messages.map(message => message.body), ['Confirmo', 'Lince']);
+    });
+
+    it('ignores status notifications and empty bodies', () => {
+        const transport = new CloudApiTransport(repository);
+        assert.deepEqual(transport.parseWebhook({ entry: [{ changes: [{ value: { statuses: [{ id: 'wamid.1' }] } }] }] }), []);
+        assert.deepEqual(transport.parseWebhook({}), []);
+    });
+});
@@ -0,0 +1,119 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    zonedDateTimeToDate,
+    getDateString,
+    getStartOfDateString,
+    getEndOfDateString,
+    addDaysToDateString
+} = require('../src/utils/dateUtils');
+
+// npm test corre este archivo con varias zonas del servidor (TZ); los resultados no deben cambiar
+const HOST_TZ = process.env.TZ || 'local';
+const HOUR_MS = 60 * 60 * 1000;
+
+describe(`dateUtils (TZ=${HOST_TZ})`, () => {
+    describe('zonedDateTimeToDate', () => {
+        it('converts clinic local time to the UTC instant', () => {
+            assert.equal(zonedDateTimeToDate('2025-10-20', '09:00', 'America/Lima').toISOString(), '2025-10-20T14:00:00.000Z');
+            assert.equal(zonedDateTimeToDate('2025-10-20', '09:00', 'America/Guayaquil').toISOString(), '2025-10-20T14:00:00.000Z');
+            assert.equal(zonedDateTimeToDate('2025-10-20', '18:30', 'America/Panama').toISOString(), '2025-10-20T23:30:00.000Z');
+        });
+
+        it('defaults to midnight', () => {
+            assert.equal(zonedDateTimeToDate('2025-01-01', undefined, 'America/Lima').toISOString(), '2025-01-01T05:00:00.000Z');
+        });
+
+        it('uses the new offset after clocks go forward', () => {
+            assert.equal(zonedDateTimeToDate('2025-03-08', '09:00', 'America/New_York').toISOString(), '2025-03-08T14:00:00.000Z');
+            assert.equal(zonedDateTimeToDate('2025-03-09', '09:00', 'America/New_York').toISOString(), '2025-03-09T13:00:00.000Z');
+        });
+
+        it('uses the offset before the change for a skipped hour', () => {
+            assert.equal(zonedDateTimeToDate('2025-03-09', '02:30', 'America/New_York').toISOString(), '2025-03-09T07:30:00.000Z');
+        });
+
+        it('uses the first occurrence of a repeated hour', () => {
+            assert.equal(zonedDateTimeToDate('2025-11-02', '01:30', 'America/New_York').toISOString(), '2025-11-02T05:30:00.000Z');
+            assert.equal(zonedDateTimeToDate('2025-11-02', '09:00', 'America/New_York').toISOString(), '2025-11-02T14:00:00.000Z');
+        });
+
+        it('handles southern hemisphere daylight saving time', () => {
+            assert.equal(zonedDateTimeToDate('2025-01-15', '09:00', 'America/Santiago').toISOString(), '2025-01-15T12:00:00.000Z');
+            assert.equal(zonedDateTimeToDate('2025-07-15', '09:00', 'America/Santiago').toISOString(), '2025-07-15T13:00:00.000Z');
+        });
+    });
+
+    describe('getDateString', () => {
+        it('returns the calendar day in the clinic time zone', () => {
+            const instant = new Date('2025-10-21T03:00:00Z');
+            assert.equal(getDateString(instant, 'America/Lima'), '2025-10-20');
+            assert.equal(getDateString(instant, 'UTC'), '2025-10-21');
+            assert.equal(getDateString(instant, 'Asia/Kolkata'), '2025-10-21');
+        });
+
+        it('changes day at local midnight', () => {
+            assert.equal(getDateString(new Date('2025-10-21T04:59:59.999Z'), 'America/Lima'), '2025-10-20');
+            assert.equal(getDateString(new Date('2025-10-21T05:00:00Z'), 'America/Lima'), '2025-10-21');
+        });
+
+        it('follows daylight saving time changes', () => {
+            // El 9 de marzo empieza a las 05:00Z (EST) y el 10 a las 04:00Z (EDT)
+            assert.equal(getDateString(new Date('2025-03-09T04:59:59Z'), 'America/New_York'), '2025-03-08');
+            assert.equal(getDateString(new Date('2025-03-10T03:59:59Z'), 'America/New_York'), '2025-03-09');
+            assert.equal(getDateString(new Date('2025-03-10T04:00:00Z'), 'America/New_York'), '2025-03-10');
+        });
+    });
+
+    describe('getStartOfDateString / getEndOfDateString', () => {
+        it('bounds a regular day in the clinic time zone', () => {
+            assert.equal(getStartOfDateString('2025-10-20', 'America/Lima').toISOString(), '2025-10-20T05:00:00.000Z');
+            assert.equal(getEndOfDateString('2025-10-20', 'America/Lima').toISOString(), '2025-10-21T04:59:59.999Z');
+        });
+
+        it('has 23 hours on the day clocks go forward', () => {
+            const start = getStartOfDateString('2025-03-09', 'America/New_York');
+            const end = getEndOfDateString('2025-03-09', 'America/New_York');
+            assert.equal(start.toISOString(), '2025-03-09T05:00:00.000Z');
+            assert.equal(end.toISOString(), '2025-03-10T03:59:59.999Z');
+            assert.equal(end - start + 1, 23 * HOUR_MS);
+        });
+
+        it('has 25 hours on the day clocks go back', () => {
+            const start = getStartOfDateString('2025-11-02', 'America/New_York');
+            const end = getEndOfDateString('2025-11-02', 'America/New_York');
+            assert.equal(start.toISOString(), '2025-11-02T04:00:00.000Z');
+            assert.equal(end.toISOString(), '2025-11-03T04:59:59.999Z');
+            assert.equal(end - start + 1, 25 * HOUR_MS);
+        });
+
+        it('contains every instant of its own day', () => {
+            const instant = new Date('2025-11-02T05:30:00Z');
+            const day = getDateString(instant, 'America/New_York');
+            assert.ok(getStartOfDateString(day, 'America/New_York') <= instant);
+            assert.ok(instant <= getEndOfDateString(day, 'America/New_York'));
+        });
+    });
+
+    describe('addDaysToDateString', () => {
+        it('adds and subtracts calendar days', () => {
+            assert.equal(addDaysToDateString('2025-10-20', 1), '2025-10-21');
+            assert.equal(addDaysToDateString('2025-10-20', -1), '2025-10-19');
+            assert.equal(addDaysToDateString('2025-10-20', 0), '2025-10-20');
+        });
+
+        it('crosses month, year and leap day boundaries', () => {
+            assert.equal(addDaysToDateString('2025-01-31', 1), '2025-02-01');
+            assert.equal(addDaysToDateString('2025-12-31', 1), '2026-01-01');
+            assert.equal(addDaysToDateString('2024-02-28', 1), '2024-02-29');
+            assert.equal(addDaysToDateString('2024-03-01', -1), '2024-02-29');
+        });
+
+        it('is not shifted by daylight saving time changes', () => {
+            assert.equal(addDaysToDateString('2025-03-08', 1), '2025-03-09');
+            assert.equal(addDaysToDateString('2025-03-09', 1), '2025-03-10');
+            assert.equal(addDaysToDateString('2025-11-01', 2), '2025-11-03');
+            assert.equal(addDaysToDateString('2025-03-30', -1), '2025-03-29');
+        });
+    });
+});
@@ -0,0 +1,64 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+require('./helpers');
+const { verifyMetaSignature, verifyWebhookSecret } = require('../src/infrastructure/http/webhookAuth');
+
+// Ejecuta el middleware con una petición falsa; devuelve el estado respondido o 'next'
+function run(middleware, { headers = {}, query = {}, rawBody = Buffer.from('') } = {}) {
+    let result = null;
+    const req = {
+        ip: '127.0.0.1',
+        query,
+        rawBody,
+        get: (name) => headers[name.toLowerCase()]
+    };
+    const res = { sendStatus: (status) => { result = status; } };
+    middleware(req, res, () => { result = 'next'; });
+    return result;
+}
+
+const sign = (secret, body) => 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+
+describe('verifyMetaSignature', () => {
+    const body = Buffer.from('{"entry":[]}');
+
+    it('accepts the HMAC of the raw body', () => {
+        assert.equal(run(verifyMetaSignature('app-secret'), {
+            headers: { 'x-hub-signature-256': sign('app-secret', body) },
+            rawBody: body
+        }), 'next');
+    });
+
+    it('rejects missing, wrong or stale signatures', () => {
+        const middleware = verifyMetaSignature('app-secret');
+        assert.equal(run(middleware, { rawBody: body }), 401);
+        assert.equal(run(middleware, { headers: { 'x-hub-signature-256': sign('other-secret', body) }, rawBody: body }), 401);
+        assert.equal(run(middleware, {
+            headers: { 'x-hub-signature-256': sign('app-secret', body) },
+            rawBody: Buffer.from('{"entry":[{}]}')
+        }), 401);
+    });
+
+    it('refuses notifications while the app secret is not configured', () => {
+        assert.equal(run(verifyMetaSignature(undefined), { rawBody: body }), 503);
+    });
+});
+
+describe('verifyWebhookSecret', () => {
+    const middleware = verifyWebhookSecret('woztell-secret', 'Woztell');
+
+    it('accepts the secret in the header or in the token query parameter', () => {
+        assert.equal(run(middleware, { headers: { 'x-webhook-secret': 'woztell-secret' } }), 'next');
+        assert.equal(run(middleware, { query: { token: 'woztell-secret' } }), 'next');
+    });
+
+    it('rejects a missing or wrong secret', () => {
+        assert.equal(run(middleware), 401);
+        assert.equal(run(middleware, { headers: { 'x-webhook-secret': 'woztell-secre' } }), 401);
+    });
+
+    it('refuses notifications while the secret is not configured', () => {
+        assert.equal(run(verifyWebhookSecret('', 'Woztell')), 503);
+    });
+});
@@ -0,0 +1,117 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestTenant } = require('./helpers');
+const WhatsAppService = require('../src/infrastructure/whatsapp/whatsappService');
+
+const CHAT_ID = '51999888777@c.us';
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Espera a que se cumpla la condición sin depender de cuánto tarde cada paso
+async function waitFor(condition, timeout = 2000) {
+    const start = Date.now();
+    while (!condition()) {
+        if (Date.now() - start > timeout) {
+            throw new Error('Condition not met in time');
+        }
+        await wait(5);
+    }
+}
+const text = (body, id = body) => ({ id, from: CHAT_ID, body, type: 'chat', hasMedia: false });
+
+describe('WhatsAppService', () => {
+    let service;
+    let handled;
+    let sent;
+
+    beforeEach(() => {
+        service = new WhatsAppService(createTestTenant(), 'ventas');
+        service.MESSAGE_BUFFER_TIMEOUT = 20;
+        service.CHAT_TIMEOUT = 1;
+
+        handled = [];
+        sent = [];
+        service.messageHandler = {
+            handleIncomingMessage: async (message) => {
+                handled.push(message);
+                return `respuesta a ${message.body}`;
+            }
+        };
+        service.sendMessage = async (to, message, options) => {
+            sent.push({ to, message, options });
+        };
+    });
+
+    describe('groupBufferedMessages', () => {
+        it('joins consecutive texts and keeps media and commands apart', () => {
+            const image = { ...text('mira', 'img'), type: 'image', hasMedia: true };
+            const turns = service.groupBufferedMessages([
+                text('hola'),
+                text('quiero una cita'),
+                image,
+                text('/status'),
+                text('gracias')
+            ]);
+
+            assert.deepEqual(turns.map(turn => turn.body), ['hola\nquiero una cita', 'mira', '/status', 'gracias']);
+            // El turno unido conserva los datos del último mensaje
+            assert.equal(turns[0].id, 'quiero una cita');
+        });
+    });
+
+    describe('handleIncomingMessage', () => {
+        it('answers a burst of messages once', async () => {
+            await service.handleIncomingMessage(text('hola'));
+            await service.handleIncomingMessage(text('soy Juan'));
+            await waitFor(() => sent.length > 0);
+
+            assert.deepEqual(handled.map(message => message.body), ['hola\nsoy Juan']);
+            assert.equal(handled[0].whatsappSession, 'ventas');
+            assert.deepEqual(sent, [{ to: CHAT_ID, message: 'respuesta a hola\nsoy Juan', options: { isReply: true } }]);
+        });
+
+        it('keeps messages that arrive while the chat is being processed', async () => {
+            const pending = [];
+            service.messageHandler.handleIncomingMessage = (message) => {
+                handled.push(message);
+                return new Promise(resolve => pending.push(resolve));
+            };
+
+            await service.handleIncomingMessage(text('primero'));
+            await waitFor(() => handled.length === 1);
+            await service.handleIncomingMessage(text('segundo'));
+            await waitFor(() => service.messageBuffers.get(CHAT_ID)?.ready);
+
+            // El segundo espera a que termine el primero
+            assert.deepEqual(handled.map(message => message.body), ['primero']);
+
+            pending.shift()(null);
+            await waitFor(() => handled.length === 2);
+            pending.shift()(null);
+            await waitFor(() => !service.processingLock.has(CHAT_ID));
+            assert.deepEqual(handled.map(message => message.body), ['primero', 'segundo']);
+        });
+    });
+
+    describe('processing timeout', () => {
+        it('apologizes, discards the late answer and keeps the chat locked until the handler ends', async () => {
+            service.PROCESSING_TIMEOUT = 20;
+            let finish;
+            service.messageHandler.handleIncomingMessage = (message) => {
+                handled.push(message);
+                return new Promise(resolve => { finish = resolve; });
+            };
+
+            await service.handleIncomingMessage(text('hola'));
+            await waitFor(() => sent.length > 0);
+
+            assert.equal(sent.length, 1);
+            assert.match(sent[0].message, /^Lo siento, hubo un error al procesar tu mensaje/);
+            assert.equal(service.processingLock.get(CHAT_ID), true);
+
+            finish('respuesta tardía');
+            await waitFor(() => !service.processingLock.has(CHAT_ID));
+
+            assert.equal(sent.length, 1);
+        });
+    });
+});
@@ -0,0 +1,56 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const WoztellTransport = require('../src/infrastructure/whatsapp/transports/woztellTransport');
+
+describe('WoztellTransport.parseWebhook', () => {
+    const repository = { downloadMedia: async (url) => ({ mimetype: 'application/pdf', data: url }) };
+    const transport = new WoztellTransport(repository);
+
+    it('normalizes a single inbound text event', () => {
+        const [message] = transport.parseWebhook({
+            eventType: 'INBOUND',
+            messageId: 'wz-1',
+            from: '+51 999 888 777',
+            type: 'TEXT',
+            timestamp: 1760000000000,
+            data: { text: 'Hola' },
+            profile: { name: 'Juan' }
+        });
+
+        assert.equal(message.id, 'wz-1');
+        assert.equal(message.from, '51999888777@c.us');
+        assert.equal(message.body, 'Hola');
+        assert.equal(message.type, 'chat');
+        assert.equal(message.contactName, 'Juan');
+        assert.equal(message.timestamp.toISOString(), '2025-10-09T08:53:20.000Z');
+    });
+
+    it('maps files to documents and downloads them from their url', async () => {
+        const [message] = transport.parseWebhook({
+            from: '51999888777',
+            type: 'FILE',
+            data: { url: 'https://files.example/resultado.pdf', caption: 'mis resultados', fileName: 'resultado.pdf' }
+        });
+
+        assert.equal(message.type, 'document');
+        assert.equal(message.body, 'mis resultados');
+        assert.equal(message.hasMedia, true);
+        assert.deepEqual(await message.downloadMedia(), {
+            mimetype: 'application/pdf',
+            data: 'https://files.example/resultado.pdf',
+            filename: 'resultado.pdf'
+        });
+    });
+
+    it('accepts lists of events and skips outbound ones and events without sender', () => {
+        const messages = transport.parseWebhook({
+            events: [
+                { eventType: 'INBOUND', from: '51911111111', type: 'TEXT', data: { text: 'uno' } },
+                { eventType: 'OUTBOUND', from: '51922222222', type: 'TEXT', data: { text: 'dos' } },
+                { eventType: 'INBOUND', type: 'TEXT', data: { text: 'tres' } }
+            ]
+        });
+
+        assert.deepEqual(messages.map(message => message.body), ['uno']);
+    });
+});